@@ -0,0 +1,239 @@
+/**
+ * Action Registry for Architecture Flow Visualizer
+ * Central list of app actions, shared by the toolbar buttons, keyboard shortcuts and the command palette
+ */
+
+class ActionRegistry {
+    constructor() {
+        this.actions = new Map(); // id -> { id, label, category, icon, shortcuts, run, isEnabled, requiresCanvasFocus, nativeShortcuts }
+        this.providers = [];      // Functions returning actions that follow the diagram, e.g. one per layer
+        this.keymap = new Map();  // id -> shortcuts the user bound in place of the defaults
+    }
+
+    /**
+     * Register an action. Shortcuts are strings such as 'Mod+Shift+C', where Mod is Ctrl (Cmd on macOS).
+     * `isEnabled` is optional; actions with `requiresCanvasFocus` ignore key presses from inside dialogs.
+     * `nativeShortcuts` are keys left to the browser, e.g. Mod+C, which it turns into its own copy event.
+     */
+    register(action) {
+        this.actions.set(action.id, ActionRegistry.normalize(action));
+        return this;
+    }
+
+    registerAll(actions) {
+        actions.forEach(action => this.register(action));
+        return this;
+    }
+
+    /**
+     * Add a function that lists actions on demand, for sets that change while the app runs
+     */
+    addProvider(provider) {
+        this.providers.push(provider);
+        return this;
+    }
+
+    get(id) {
+        const action = this.actions.get(id) || this.getProvidedActions().find(provided => provided.id === id);
+        return action ? this.resolve(action) : null;
+    }
+
+    getAll() {
+        return [...this.actions.values(), ...this.getProvidedActions()].map(action => this.resolve(action));
+    }
+
+    getProvidedActions() {
+        return this.providers.flatMap(provider => provider().map(ActionRegistry.normalize));
+    }
+
+    // Apply the user's keymap; the registered shortcuts stay available as defaultShortcuts
+    resolve(action) {
+        return {
+            ...action,
+            defaultShortcuts: action.shortcuts,
+            shortcuts: this.keymap.get(action.id) || action.shortcuts
+        };
+    }
+
+    /**
+     * Bind an action to the given shortcuts; binding it back to its defaults drops the override
+     */
+    setShortcuts(id, shortcuts) {
+        const action = this.get(id);
+        if (!action) return this;
+
+        if (ActionRegistry.sameShortcuts(shortcuts, action.defaultShortcuts)) {
+            this.keymap.delete(id);
+        } else {
+            this.keymap.set(id, [...shortcuts]);
+        }
+        return this;
+    }
+
+    resetShortcuts() {
+        this.keymap.clear();
+        return this;
+    }
+
+    /**
+     * The user's overrides as a plain object, for saving
+     */
+    getKeymap() {
+        return Object.fromEntries(this.keymap);
+    }
+
+    /**
+     * Replace the overrides with a saved keymap, skipping malformed entries
+     */
+    loadKeymap(keymap) {
+        this.keymap.clear();
+        Object.entries(keymap || {}).forEach(([id, shortcuts]) => {
+            if (Array.isArray(shortcuts) && shortcuts.every(shortcut => typeof shortcut === 'string')) {
+                this.keymap.set(id, shortcuts);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Shortcuts bound to more than one action, as canonical shortcut -> action ids.
+     * Takes [{ id, shortcuts }], so unsaved bindings can be checked too.
+     */
+    static findConflicts(bindings) {
+        const owners = new Map();
+        bindings.forEach(({ id, shortcuts }) => {
+            new Set(shortcuts.map(ActionRegistry.canonical)).forEach(shortcut => {
+                owners.set(shortcut, [...(owners.get(shortcut) || []), id]);
+            });
+        });
+
+        return new Map(Array.from(owners).filter(([, ids]) => ids.length > 1));
+    }
+
+    isEnabled(action) {
+        return !action.isEnabled || action.isEnabled();
+    }
+
+    /**
+     * Run an action by id; returns false if it does not exist or is disabled
+     */
+    run(id, ...args) {
+        const action = this.get(id);
+        if (!action || !this.isEnabled(action)) return false;
+
+        action.run(...args);
+        return true;
+    }
+
+    /**
+     * Find the action bound to a keydown event
+     */
+    findByEvent(e) {
+        return this.getAll().find(action =>
+            action.shortcuts.some(shortcut => ActionRegistry.matchesEvent(shortcut, e))
+        ) || null;
+    }
+
+    static normalize(action) {
+        return { category: 'General', shortcuts: [], ...action };
+    }
+
+    static sameShortcuts(a, b) {
+        const canonical = shortcuts => shortcuts.map(ActionRegistry.canonical).sort().join(' ');
+        return canonical(a) === canonical(b);
+    }
+
+    /**
+     * One spelling per key combination, so 'shift+mod+k' and 'Mod+Shift+K' compare equal
+     */
+    static canonical(shortcut) {
+        const { mod, shift, alt, key } = ActionRegistry.parseShortcut(shortcut);
+        const names = [];
+        if (mod) names.push('Mod');
+        if (alt) names.push('Alt');
+        if (shift && !ActionRegistry.isSymbol(key)) names.push('Shift');
+        names.push(key);
+        return names.join('+');
+    }
+
+    /**
+     * Split 'Mod+Shift+K' into its modifiers and key; 'Mod++' binds the plus key
+     */
+    static parseShortcut(shortcut) {
+        const parts = shortcut.split('+');
+        let name = parts.pop();
+        if (name === '') {
+            parts.pop();
+            name = '+';
+        }
+
+        return {
+            mod: parts.includes('Mod'),
+            shift: parts.includes('Shift'),
+            alt: parts.includes('Alt'),
+            key: name === 'Space' ? ' ' : name.toLowerCase(),
+            name
+        };
+    }
+
+    /**
+     * Turn a keydown event into a shortcut string, or null while only modifiers are held
+     */
+    static shortcutFromEvent(e) {
+        if (['Control', 'Meta', 'Shift', 'Alt'].includes(e.key)) return null;
+
+        const name = e.key === ' ' ? 'Space' : (e.key.length === 1 ? e.key.toUpperCase() : e.key);
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Mod');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey && !ActionRegistry.isSymbol(e.key.toLowerCase())) parts.push('Shift');
+        parts.push(name);
+        return parts.join('+');
+    }
+
+    // Symbols such as '+' or '?' need Shift on some layouts, so Shift only counts for letters, digits and named keys
+    static isSymbol(key) {
+        return key.length === 1 && !/[a-z0-9 ]/.test(key);
+    }
+
+    static matchesEvent(shortcut, e) {
+        const { mod, shift, alt, key } = ActionRegistry.parseShortcut(shortcut);
+        if (!e.key || e.key.toLowerCase() !== key) return false;
+        if (mod !== (e.ctrlKey || e.metaKey) || alt !== e.altKey) return false;
+
+        return ActionRegistry.isSymbol(key) || shift === e.shiftKey;
+    }
+
+    /**
+     * Shortcut as shown to the user, e.g. 'Ctrl+Shift+C' or 'Cmd+Shift+C'
+     */
+    static formatShortcut(shortcut) {
+        const { mod, shift, alt, key, name } = ActionRegistry.parseShortcut(shortcut);
+        const names = [];
+        if (mod) names.push(ActionRegistry.isMac() ? 'Cmd' : 'Ctrl');
+        if (alt) names.push(ActionRegistry.isMac() ? 'Option' : 'Alt');
+        if (shift && !ActionRegistry.isSymbol(key)) names.push('Shift');
+        names.push(ActionRegistry.getKeyName(key, name));
+        return names.join('+');
+    }
+
+    // How a key is shown to the user
+    static getKeyName(key, name) {
+        const names = {
+            ' ': 'Space',
+            arrowleft: '←',
+            arrowright: '→',
+            arrowup: '↑',
+            arrowdown: '↓',
+            escape: 'Esc'
+        };
+        return names[key] || (name.length === 1 ? name.toUpperCase() : name);
+    }
+
+    static isMac() {
+        return /Mac|iPhone|iPad/.test(navigator.platform || '');
+    }
+}
+
+// Export for use in other modules
+window.ActionRegistry = ActionRegistry;
@@ -8,22 +8,43 @@ class ArchitectureApp {
         this.canvas = null;
         this.canvasEngine = null;
         this.layerManager = null;
+        this.minimap = null;
+        this.actions = new ActionRegistry(); // Every app action, for buttons, shortcuts and the command palette
+        this.commandPalette = null;
+        this.propertyEditor = null;     // Custom property rows in the edit node modal
+        this.shortcutDraft = null;      // id -> shortcuts being edited in the shortcut settings
+        this.recordingShortcut = null;  // Action id waiting for a key combination
+        this.lastNudge = null;          // { command, moves, time } so held arrow keys undo as one step
         this.currentTheme = 'light';
         this.sidebarCollapsed = false;
         
         // Node management state
         this.connectionMode = false;
         this.selectedNodeForConnection = null;
+        this.inlineConnectionEdit = null; // { connectionId, connectionData } while naming a drawn connection
+        this.inlineLabelEdit = null;      // { nodeId } or { connectionId } while a label is edited on the canvas
+        this.nodeCreationPosition = null; // World position for the node being created, if not the view centre
         this.nextNodeId = 1000; // Start from 1000 to avoid conflicts
         
         // Copy/paste state
-        this.nodeClipboard = null;
-        this.lastClickedNode = null;
+        this.nodeClipboard = null;   // Last copy, for browsers that don't let us read the system clipboard
+        this.canvasPointer = null;   // Pointer position over the canvas (screen), where pastes land
+        
+        // Node filter state
+        this.filterQuery = null;  // FilterQuery typed in the sidebar filter box
+        this.savedFilters = [];   // [{ name, query, mode }], exported with the diagram
         
         // Command history for undo/redo
         this.commandHistory = [];
         this.historyIndex = -1;
         this.maxHistorySize = 50;
+        this.transaction = null;      // { name, commands } while grouping commands into one step
+        this.applyingCommand = false; // True while a command executes or undoes
+        
+        // Drill-down navigation: one entry per level above the one on the canvas,
+        // { nodeId, label, nodes, connections, layers, viewport }
+        this.diagramStack = [];
+        this.levelTransition = null; // Token of the running level animation
         
         this.init();
     }
@@ -40,8 +61,13 @@ class ArchitectureApp {
     initialize() {
         this.setupCanvas();
         this.setupLayerManager();
+        this.registerActions();
+        this.loadKeymap();
+        this.setupCommandPalette();
+        this.setupSearchPanel();
         this.bindUIEvents();
         this.setupKeyboardShortcuts();
+        this.setupClipboardEvents();
         this.loadInitialData();
         
         // Apply saved theme
@@ -69,10 +95,36 @@ class ArchitectureApp {
         // Set app reference for state checking
         this.canvasEngine.app = this;
         
+        // Track the pointer so pasted nodes land under it
+        this.canvas.addEventListener('mousemove', (e) => {
+            this.canvasPointer = this.canvasEngine.getMousePosition(e);
+        });
+        this.canvas.addEventListener('mouseleave', () => {
+            this.canvasPointer = null;
+        });
+        
         // Bind canvas events
         this.canvasEngine.onZoomChange = (zoom) => this.updateZoomDisplay(zoom);
         this.canvasEngine.onNodeClick = (node) => this.handleNodeClick(node);
         this.canvasEngine.onConnectionClick = (connection) => this.handleConnectionClick(connection);
+        this.canvasEngine.onNodesMoved = (moves, layerDrop) => this.handleNodesMoved(moves, layerDrop);
+        this.canvasEngine.onSelectionChange = (selection) => this.updateSelectionBar(selection);
+        this.canvasEngine.onContainerToggle = (node) => this.toggleContainer(node.id);
+        this.canvasEngine.onNodeDrillDown = (node) => this.openSubDiagram(node.id);
+        this.canvasEngine.onConnectionDrawn = (fromNode, toNode) => this.handleConnectionDrawn(fromNode, toNode);
+        this.canvasEngine.onConnectionReconnect = (connection, end, node) => this.reconnectConnection(connection.id, end, node.id);
+        this.canvasEngine.onWaypointsChange = (connection, from, to) => this.setConnectionWaypoints(connection.id, from, to);
+        this.canvasEngine.onContextMenu = (target) => this.showContextMenu(target);
+        this.canvasEngine.onLabelEdit = (target) => this.showInlineLabelEditor(target);
+        
+        // Minimap, search results, filter status and the in-place label editor follow every main canvas render
+        this.minimap = new Minimap(this.canvasEngine, this.canvas.parentElement);
+        this.canvasEngine.onRender = () => {
+            this.minimap.update();
+            this.searchPanel?.update();
+            this.updateFilterStatus();
+            this.positionInlineLabelEditor();
+        };
     }
     
     setupLayerManager() {
@@ -84,27 +136,343 @@ class ArchitectureApp {
         this.layerManager.onLayerToggle((layerId, visible, layer) => {
             this.handleLayerToggle(layerId, visible, layer);
         });
+        
+        // Bulk layer changes (show all, focus, ...) undo as one step
+        this.layerManager.onBatch((name, fn) => this.runTransaction(name, fn));
+        
+        // Layers added, edited, reordered or deleted in the layer panel
+        this.layerManager.onLayerCreate((values) => this.createLayer(values));
+        this.layerManager.onLayerEdit((layerId, updates) => this.editLayer(layerId, updates));
+        this.layerManager.onLayerReorder((layerIds) => this.reorderLayers(layerIds));
+        this.layerManager.onLayerDelete((layerId, moveTo) => this.deleteLayer(layerId, moveTo));
     }
     
-    bindUIEvents() {
-        // Theme toggle
-        const themeToggle = document.getElementById('theme-toggle');
-        if (themeToggle) {
-            themeToggle.addEventListener('click', () => this.toggleTheme());
+    // Action registry: the one place app commands are named and bound to shortcuts
+    registerActions() {
+        this.actions.registerAll([
+            // View
+            { id: 'zoom-in', label: 'Zoom In', category: 'View', icon: 'fas fa-search-plus', shortcuts: ['Mod+=', 'Mod++'], run: () => this.zoomIn() },
+            { id: 'zoom-out', label: 'Zoom Out', category: 'View', icon: 'fas fa-search-minus', shortcuts: ['Mod+-'], run: () => this.zoomOut() },
+            { id: 'reset-zoom', label: 'Reset Zoom', category: 'View', icon: 'fas fa-expand-arrows-alt', shortcuts: ['Mod+0'], run: () => this.resetZoom() },
+            { id: 'fit-to-screen', label: 'Fit to Screen', category: 'View', icon: 'fas fa-expand', shortcuts: ['Mod+F'], run: () => this.fitToScreen() },
+            { id: 'center-view', label: 'Center View', category: 'View', icon: 'fas fa-crosshairs', shortcuts: ['Home'], run: () => this.centerView() },
+            { id: 'toggle-routing', label: 'Toggle Elbow Routing', category: 'View', icon: 'fas fa-route', run: () => this.toggleConnectionRouting() },
+            { id: 'toggle-legend', label: 'Toggle Legend', category: 'View', icon: 'fas fa-list', run: () => this.toggleLegend() },
+            { id: 'toggle-flow', label: 'Play/Pause Flow Animation', category: 'View', icon: 'fas fa-play', run: () => this.toggleFlowAnimation() },
+            { id: 'cycle-regions', label: 'Cycle Layer Regions', category: 'View', icon: 'fas fa-object-ungroup', run: () => this.cycleLayerRegions() },
+            { id: 'toggle-minimap', label: 'Toggle Minimap', category: 'View', icon: 'fas fa-map', run: () => this.toggleMinimap() },
+            { id: 'toggle-theme', label: 'Toggle Dark/Light Theme', category: 'View', icon: 'fas fa-moon', shortcuts: ['Mod+T'], run: () => this.toggleTheme() },
+            { id: 'toggle-fullscreen', label: 'Toggle Fullscreen', category: 'View', icon: 'fas fa-expand', run: () => this.toggleFullscreen() },
+            { id: 'toggle-sidebar', label: 'Toggle Sidebar', category: 'View', icon: 'fas fa-bars', shortcuts: ['Mod+S'], run: () => this.toggleSidebar() },
+            { id: 'clear-filter', label: 'Clear Filter', category: 'View', icon: 'fas fa-filter', isEnabled: () => !!this.filterQuery && !this.filterQuery.isEmpty(), run: () => this.setFilter('') },
+            { id: 'save-filter', label: 'Save Filter', category: 'View', icon: 'fas fa-save', run: () => this.saveFilter() },
+            { id: 'command-palette', label: 'Command Palette', category: 'View', icon: 'fas fa-terminal', shortcuts: ['Mod+K'], hidden: true, run: () => this.commandPalette?.toggle() },
+            
+            // Edit
+            { id: 'undo', label: 'Undo', category: 'Edit', icon: 'fas fa-undo', shortcuts: ['Mod+Z'], run: () => this.undo() },
+            { id: 'redo', label: 'Redo', category: 'Edit', icon: 'fas fa-redo', shortcuts: ['Mod+Y', 'Mod+Shift+Z'], run: () => this.redo() },
+            { id: 'copy', label: 'Copy Selected Nodes', category: 'Edit', icon: 'fas fa-copy', shortcuts: ['Mod+C', 'Mod+Shift+C'], nativeShortcuts: ['Mod+C'], run: () => this.copySelectedNode() },
+            { id: 'paste', label: 'Paste Nodes', category: 'Edit', icon: 'fas fa-paste', shortcuts: ['Mod+V', 'Mod+Shift+V'], nativeShortcuts: ['Mod+V', 'Mod+Shift+V'], run: async () => this.pasteNode(null, await Utils.readClipboardText()) },
+            { id: 'delete-selection', label: 'Delete Selection', category: 'Edit', icon: 'fas fa-trash', shortcuts: ['Delete', 'Backspace'], requiresCanvasFocus: true, run: () => this.deleteSelection() },
+            { id: 'group-selection', label: 'Group Selected Nodes', category: 'Edit', icon: 'fas fa-object-group', shortcuts: ['Mod+G'], run: () => this.groupSelection() },
+            { id: 'clear-selection', label: 'Clear Selection', category: 'Edit', icon: 'fas fa-times', shortcuts: ['Escape'], run: () => this.dismissAll() },
+            { id: 'add-node', label: 'Add Node', category: 'Edit', icon: 'fas fa-plus', run: () => this.showNodeCreationModal() },
+            { id: 'connection-mode', label: 'Toggle Connection Mode', category: 'Edit', icon: 'fas fa-link', run: () => this.toggleConnectionMode() },
+            { id: 'auto-layout', label: 'Auto Layout', category: 'Edit', icon: 'fas fa-magic', run: () => this.autoLayoutNodes() },
+            { id: 'clear-all', label: 'Clear All Nodes', category: 'Edit', icon: 'fas fa-trash-alt', run: () => this.clearAllNodes() },
+            
+            // File
+            { id: 'export-json', label: 'Export as JSON', category: 'File', icon: 'fas fa-download', run: () => this.exportDiagramAsJSON() },
+            { id: 'import-json', label: 'Import JSON', category: 'File', icon: 'fas fa-upload', run: () => this.triggerImportJSON() },
+            { id: 'export-image', label: 'Export as Image', category: 'File', icon: 'fas fa-image', run: () => this.exportDiagramAsImage() },
+            
+            // Layers
+            { id: 'show-all-layers', label: 'Show All Layers', category: 'Layers', icon: 'fas fa-eye', run: () => this.layerManager?.showAllLayers() },
+            { id: 'hide-all-layers', label: 'Hide All Layers', category: 'Layers', icon: 'fas fa-eye-slash', run: () => this.layerManager?.hideAllLayers() },
+            { id: 'add-layer', label: 'Add Layer', category: 'Layers', icon: 'fas fa-plus', run: () => this.layerManager?.showLayerForm() },
+            
+            // Navigation
+            { id: 'focus-search', label: 'Search Nodes', category: 'Navigation', icon: 'fas fa-search', shortcuts: ['/'], requiresCanvasFocus: true, run: () => this.focusSearch() },
+            {
+                id: 'navigate-up',
+                label: 'Back to Parent Diagram',
+                category: 'Navigation',
+                icon: 'fas fa-level-up-alt',
+                isEnabled: () => this.diagramStack.length > 0,
+                run: () => this.navigateToLevel(this.diagramStack.length - 1)
+            },
+            
+            // Help
+            { id: 'shortcut-help', label: 'Show Keyboard Shortcuts', category: 'Help', icon: 'fas fa-question-circle', shortcuts: ['?'], run: () => this.toggleShortcutHelp() },
+            { id: 'shortcut-settings', label: 'Customize Keyboard Shortcuts', category: 'Help', icon: 'fas fa-keyboard', shortcuts: ['Mod+,'], run: () => this.showShortcutSettings() }
+        ]);
+        
+        // Arrow keys nudge the selected nodes, with Shift in bigger steps
+        const nudges = [
+            { id: 'left', label: 'Left', key: 'ArrowLeft', dx: -1, dy: 0 },
+            { id: 'right', label: 'Right', key: 'ArrowRight', dx: 1, dy: 0 },
+            { id: 'up', label: 'Up', key: 'ArrowUp', dx: 0, dy: -1 },
+            { id: 'down', label: 'Down', key: 'ArrowDown', dx: 0, dy: 1 }
+        ];
+        this.actions.registerAll(nudges.flatMap(({ id, label, key, dx, dy }) => [
+            { id: `nudge-${id}`, label: `Nudge Selection ${label}`, shortcuts: [key], run: () => this.nudgeSelection(dx * 10, dy * 10) },
+            { id: `nudge-${id}-large`, label: `Nudge Selection ${label} (Large)`, shortcuts: [`Shift+${key}`], run: () => this.nudgeSelection(dx * 50, dy * 50) }
+        ]).map(action => ({
+            ...action,
+            category: 'Edit',
+            icon: 'fas fa-arrows-alt',
+            hidden: true,
+            requiresCanvasFocus: true,
+            isEnabled: () => (this.canvasEngine?.selectedNodes.size || 0) > 0
+        })));
+        
+        // One toggle per layer, the first nine on Ctrl/Cmd+1-9
+        this.actions.addProvider(() => (this.layerManager?.getLayerData() || []).map((layer, index) => ({
+            id: `toggle-layer:${layer.id}`,
+            label: `Toggle Layer: ${layer.name}`,
+            category: 'Layers',
+            icon: 'fas fa-layer-group',
+            shortcuts: index < 9 ? [`Mod+${index + 1}`] : [],
+            run: () => this.toggleLayerByIndex(index)
+        })));
+        
+        // Saved filters
+        this.actions.addProvider(() => this.savedFilters.map(filter => ({
+            id: `apply-filter:${filter.name}`,
+            label: `Apply Filter: ${filter.name}`,
+            category: 'Filters',
+            icon: 'fas fa-filter',
+            run: () => this.applySavedFilter(filter.name)
+        })));
+        
+        // Templates, as listed in the template picker
+        this.actions.addProvider(() => {
+            const select = document.getElementById('architecture-select');
+            return Array.from(select?.options || [])
+                .filter(option => option.value)
+                .map(option => ({
+                    id: `load-template:${option.value}`,
+                    label: `Load Template: ${option.textContent}`,
+                    category: 'Templates',
+                    icon: 'fas fa-sitemap',
+                    run: () => {
+                        select.value = option.value;
+                        this.loadArchitectureTemplate(option.value);
+                    }
+                }));
+        });
+    }
+    
+    setupCommandPalette() {
+        if (!this.canvasEngine) return;
+        
+        this.commandPalette = new CommandPalette(this.actions, this.canvasEngine);
+        this.commandPalette.onNodePick(nodeId => this.focusNode(nodeId));
+    }
+    
+    setupSearchPanel() {
+        const input = document.getElementById('node-search');
+        const list = document.getElementById('search-results');
+        if (!this.canvasEngine || !this.layerManager || !input || !list) return;
+        
+        this.searchPanel = new SearchPanel(this.canvasEngine, this.layerManager, input, list);
+        this.searchPanel.onResultFocus(result => {
+            if (result.kind === 'node') {
+                this.focusNode(result.id);
+            } else {
+                this.focusConnection(result.id);
+            }
+        });
+        this.searchPanel.onResultOpen(result => {
+            if (result.kind === 'node') {
+                const node = this.canvasEngine.nodes.get(result.id);
+                if (node) this.showNodeDetails(node);
+            } else {
+                const connection = this.canvasEngine.connections.find(conn => conn.id === result.id);
+                if (connection) this.showConnectionEditModal(connection);
+            }
+        });
+    }
+    
+    focusSearch() {
+        if (this.sidebarCollapsed) {
+            this.toggleSidebar();
+        }
+        this.searchPanel?.focusInput();
+    }
+    
+    // Node filter
+    bindFilterEvents() {
+        const input = document.getElementById('filter-query');
+        const mode = document.getElementById('filter-mode');
+        const saved = document.getElementById('saved-filters');
+        
+        if (input) {
+            // Wait for a pause in typing, so half-typed terms don't flash errors
+            input.addEventListener('input', Utils.debounce(() => this.applyFilter(), 250));
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.applyFilter();
+                }
+            });
         }
         
-        // Fullscreen toggle
-        const fullscreenToggle = document.getElementById('fullscreen-toggle');
-        if (fullscreenToggle) {
-            fullscreenToggle.addEventListener('click', () => this.toggleFullscreen());
+        if (mode) {
+            mode.addEventListener('change', () => this.applyFilter());
         }
         
-        // Sidebar toggle
-        const sidebarToggle = document.getElementById('sidebar-toggle');
-        if (sidebarToggle) {
-            sidebarToggle.addEventListener('click', () => this.toggleSidebar());
+        if (saved) {
+            saved.addEventListener('change', () => this.applySavedFilter(saved.value));
+        }
+        
+        this.bindAction('clear-filter-btn', 'clear-filter');
+        this.bindAction('save-filter-btn', 'save-filter');
+        document.getElementById('delete-filter-btn')?.addEventListener('click', () => this.deleteSavedFilter());
+        
+        // Save dialog
+        const saveModal = document.getElementById('save-filter-modal');
+        if (saveModal) {
+            saveModal.addEventListener('click', (e) => {
+                if (e.target === saveModal) {
+                    this.hideSaveFilterDialog();
+                }
+            });
         }
         
+        document.getElementById('save-filter-form')?.addEventListener('submit', (e) => this.handleSaveFilterSubmit(e));
+        document.getElementById('save-filter-close')?.addEventListener('click', () => this.hideSaveFilterDialog());
+        document.getElementById('save-filter-cancel')?.addEventListener('click', () => this.hideSaveFilterDialog());
+        document.getElementById('save-filter-name')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideSaveFilterDialog();
+            }
+        });
+    }
+    
+    // Filter the canvas by the query in the filter box; an invalid query leaves every node shown
+    applyFilter() {
+        const input = document.getElementById('filter-query');
+        const mode = document.getElementById('filter-mode');
+        if (!input || !this.canvasEngine) return;
+        
+        this.filterQuery = new FilterQuery(input.value);
+        this.canvasEngine.setNodeFilter(this.filterQuery.isValid() ? this.filterQuery : null, mode?.value || 'dim');
+        this.canvasEngine.render();
+    }
+    
+    setFilter(query, mode) {
+        const input = document.getElementById('filter-query');
+        const modeSelect = document.getElementById('filter-mode');
+        if (input) {
+            input.value = query;
+        }
+        if (modeSelect && mode) {
+            modeSelect.value = mode;
+        }
+        this.applyFilter();
+    }
+    
+    updateFilterStatus() {
+        const status = document.getElementById('filter-status');
+        if (!status || !this.canvasEngine) return;
+        
+        const query = this.filterQuery;
+        const invalid = !!query && !query.isValid();
+        status.classList.toggle('error', invalid);
+        
+        if (invalid) {
+            status.textContent = query.errors[0];
+        } else if (this.canvasEngine.nodeFilter) {
+            status.textContent = `${this.canvasEngine.getNodeFilterMatches().size} of ${this.canvasEngine.nodes.size} nodes match`;
+        } else {
+            status.textContent = '';
+        }
+    }
+    
+    saveFilter() {
+        const query = this.filterQuery;
+        if (!query || query.isEmpty() || !query.isValid()) {
+            this.showToast('Type a valid filter to save it');
+            return;
+        }
+        
+        // Ask for a name, suggesting the query itself
+        const input = document.getElementById('save-filter-name');
+        if (!input) return;
+        
+        input.value = query.text;
+        document.getElementById('save-filter-modal')?.classList.add('show');
+        input.focus();
+        input.select();
+    }
+    
+    handleSaveFilterSubmit(e) {
+        e.preventDefault();
+        
+        const name = document.getElementById('save-filter-name')?.value.trim();
+        const query = this.filterQuery;
+        if (!name || !query || query.isEmpty() || !query.isValid()) return;
+        
+        this.hideSaveFilterDialog();
+        
+        // Saving under an existing name replaces that filter
+        const mode = document.getElementById('filter-mode')?.value || 'dim';
+        this.savedFilters = [...this.savedFilters.filter(filter => filter.name !== name), { name, query: query.text, mode }];
+        this.renderSavedFilters(name);
+        this.showToast(`Saved filter "${name}"`);
+    }
+    
+    hideSaveFilterDialog() {
+        document.getElementById('save-filter-modal')?.classList.remove('show');
+    }
+    
+    applySavedFilter(name) {
+        const filter = this.savedFilters.find(saved => saved.name === name);
+        if (!filter) return;
+        
+        this.setFilter(filter.query, filter.mode);
+        this.renderSavedFilters(name);
+    }
+    
+    deleteSavedFilter() {
+        const name = document.getElementById('saved-filters')?.value;
+        if (!name) return;
+        
+        this.savedFilters = this.savedFilters.filter(filter => filter.name !== name);
+        this.renderSavedFilters();
+    }
+    
+    renderSavedFilters(selectedName = '') {
+        const select = document.getElementById('saved-filters');
+        if (!select) return;
+        
+        select.innerHTML = '<option value="">Saved filters...</option>';
+        this.savedFilters.forEach(filter => {
+            const option = document.createElement('option');
+            option.value = filter.name;
+            option.textContent = filter.name;
+            option.title = filter.query;
+            select.appendChild(option);
+        });
+        select.value = selectedName;
+    }
+    
+    // Run a registered action when the element is clicked
+    bindAction(elementId, actionId) {
+        const element = document.getElementById(elementId);
+        if (element) {
+            element.addEventListener('click', () => this.actions.run(actionId));
+        }
+    }
+    
+    bindUIEvents() {
+        // Header buttons
+        this.bindAction('shortcuts-toggle', 'shortcut-settings');
+        this.bindAction('theme-toggle', 'toggle-theme');
+        this.bindAction('fullscreen-toggle', 'toggle-fullscreen');
+        this.bindAction('sidebar-toggle', 'toggle-sidebar');
+        
         // Zoom controls
         this.bindZoomControls();
         
@@ -147,6 +515,7 @@ class ArchitectureApp {
                 const button = e.target.closest('.node-action-btn');
                 const action = button.dataset.action;
                 const nodeId = button.dataset.nodeId;
+                const connection = this.canvasEngine?.connections.find(conn => conn.id === button.dataset.connectionId);
                 
                 console.log('Node action clicked:', { action, nodeId });
                 
@@ -163,10 +532,35 @@ class ArchitectureApp {
                     case 'view-code':
                         this.showCodeForNodeById(nodeId);
                         break;
+                    case 'toggle-container':
+                        this.closeModal();
+                        this.toggleContainer(nodeId);
+                        break;
+                    case 'ungroup':
+                        this.closeModal();
+                        this.ungroupContainer(nodeId);
+                        break;
+                    case 'open-diagram':
+                        this.closeModal();
+                        this.openSubDiagram(nodeId);
+                        break;
+                    case 'focus-connection':
+                        if (connection) this.focusConnection(connection.id);
+                        break;
+                    case 'edit-connection':
+                        this.closeModal();
+                        if (connection) this.showConnectionEditModal(connection);
+                        break;
                 }
             }
         });
         
+        // Keyboard shortcut settings and help
+        this.bindShortcutSettingsEvents();
+        
+        // Node filter
+        this.bindFilterEvents();
+        
         // Code modal background click
         const codeModal = document.getElementById('code-modal');
         if (codeModal) {
@@ -190,47 +584,58 @@ class ArchitectureApp {
         }
         
         // Node management controls
-        const addNodeBtn = document.getElementById('add-node-btn');
-        const connectionModeBtn = document.getElementById('connection-mode-btn');
-        const autoLayoutBtn = document.getElementById('auto-layout-btn');
-        const clearAllBtn = document.getElementById('clear-all-btn');
-        
-        if (addNodeBtn) {
-            addNodeBtn.addEventListener('click', () => this.showNodeCreationModal());
-        }
-        
-        if (connectionModeBtn) {
-            connectionModeBtn.addEventListener('click', () => this.toggleConnectionMode());
-        }
-        
-        if (autoLayoutBtn) {
-            autoLayoutBtn.addEventListener('click', () => this.autoLayoutNodes());
+        this.bindAction('add-node-btn', 'add-node');
+        this.bindAction('connection-mode-btn', 'connection-mode');
+        this.bindAction('auto-layout-btn', 'auto-layout');
+        this.bindAction('clear-all-btn', 'clear-all');
+        
+        // Selection bar
+        const selectionLayer = document.getElementById('selection-layer');
+        
+        if (selectionLayer) {
+            selectionLayer.addEventListener('change', (e) => {
+                if (e.target.value) {
+                    this.moveSelectionToLayer(e.target.value);
+                }
+                e.target.value = '';
+            });
         }
         
-        if (clearAllBtn) {
-            clearAllBtn.addEventListener('click', () => this.clearAllNodes());
-        }
+        this.bindAction('selection-copy', 'copy');
+        this.bindAction('selection-group', 'group-selection');
+        this.bindAction('selection-delete', 'delete-selection');
         
         // Import/Export controls
-        const exportJsonBtn = document.getElementById('export-json-btn');
-        const importJsonBtn = document.getElementById('import-json-btn');
-        const exportImageBtn = document.getElementById('export-image-btn');
-        const importFileInput = document.getElementById('import-file-input');
-        
-        if (exportJsonBtn) {
-            exportJsonBtn.addEventListener('click', () => this.exportDiagramAsJSON());
-        }
+        this.bindAction('export-json-btn', 'export-json');
+        this.bindAction('import-json-btn', 'import-json');
+        this.bindAction('export-image-btn', 'export-image');
         
-        if (importJsonBtn) {
-            importJsonBtn.addEventListener('click', () => this.triggerImportJSON());
+        const importFileInput = document.getElementById('import-file-input');
+        if (importFileInput) {
+            importFileInput.addEventListener('change', (e) => this.handleImportJSON(e));
         }
         
-        if (exportImageBtn) {
-            exportImageBtn.addEventListener('click', () => this.exportDiagramAsImage());
+        // Breadcrumb: clicking a level above the current one goes back up to it
+        const breadcrumb = document.getElementById('diagram-breadcrumb');
+        if (breadcrumb) {
+            breadcrumb.addEventListener('click', (e) => {
+                const item = e.target.closest('.breadcrumb-item');
+                if (item) {
+                    this.navigateToLevel(parseInt(item.dataset.depth, 10));
+                }
+            });
         }
         
-        if (importFileInput) {
-            importFileInput.addEventListener('change', (e) => this.handleImportJSON(e));
+        // History panel: clicking an entry jumps to that state
+        const historyList = document.getElementById('history-list');
+        if (historyList) {
+            historyList.addEventListener('click', (e) => {
+                const item = e.target.closest('.history-item');
+                if (item) {
+                    this.jumpToHistory(parseInt(item.dataset.index, 10));
+                }
+            });
+            this.updateHistoryPanel();
         }
         
         // Node creation modal
@@ -268,8 +673,74 @@ class ArchitectureApp {
             deleteConnectionBtn.addEventListener('click', () => this.handleDeleteConnection());
         }
         
+        const reverseConnectionBtn = document.getElementById('reverse-connection');
+        if (reverseConnectionBtn) {
+            reverseConnectionBtn.addEventListener('click', () => this.handleReverseConnection());
+        }
+        
         if (connectionEditForm) {
             connectionEditForm.addEventListener('submit', (e) => this.handleConnectionEdit(e));
+            
+            // Keep the label preview current; a field's error clears once it is edited
+            connectionEditForm.addEventListener('input', (e) => {
+                e.target.closest('.connection-metadata-field')?.classList.remove('invalid');
+                this.updateConnectionLabelPreview();
+            });
+            connectionEditForm.addEventListener('change', () => this.updateConnectionLabelPreview());
+        }
+        this.renderConnectionMetadataFields();
+        
+        // Context menu closes on any press outside it, and when the view scrolls or resizes
+        document.addEventListener('mousedown', (e) => {
+            if (!e.target.closest?.('#context-menu')) {
+                this.hideContextMenu();
+            }
+        });
+        window.addEventListener('blur', () => this.hideContextMenu());
+        window.addEventListener('resize', () => this.hideContextMenu());
+        this.canvas?.addEventListener('wheel', () => this.hideContextMenu());
+        
+        // Inline editor for connections drawn from node handles
+        const inlineConnectionEditor = document.getElementById('inline-connection-editor');
+        
+        if (inlineConnectionEditor) {
+            inlineConnectionEditor.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.commitInlineConnectionEditor();
+            });
+            
+            // Keep typing out of the global shortcuts; Escape keeps the defaults
+            inlineConnectionEditor.addEventListener('keydown', (e) => {
+                e.stopPropagation();
+                if (e.key === 'Escape') {
+                    this.hideInlineConnectionEditor();
+                }
+            });
+            
+            // Clicking away applies what was entered
+            inlineConnectionEditor.addEventListener('focusout', (e) => {
+                if (!inlineConnectionEditor.contains(e.relatedTarget)) {
+                    this.commitInlineConnectionEditor();
+                }
+            });
+        }
+        
+        // In-place label editor: Enter or clicking away applies, Escape cancels
+        const inlineLabelEditor = document.getElementById('inline-label-editor');
+        
+        if (inlineLabelEditor) {
+            inlineLabelEditor.addEventListener('keydown', (e) => {
+                e.stopPropagation();
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.commitInlineLabelEditor();
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.hideInlineLabelEditor();
+                }
+            });
+            
+            inlineLabelEditor.addEventListener('blur', () => this.commitInlineLabelEditor());
         }
         
         // Edit node modal
@@ -284,6 +755,15 @@ class ArchitectureApp {
             cancelEditNodeBtn.addEventListener('click', () => this.hideEditNodeModal());
         }
         
+        // Custom properties follow the schema of the chosen node type
+        const editNodeProperties = document.getElementById('edit-node-properties');
+        if (editNodeProperties) {
+            this.propertyEditor = new PropertyEditor(editNodeProperties);
+            document.getElementById('edit-node-type')?.addEventListener('change', (e) => {
+                this.propertyEditor.setNodeType(e.target.value);
+            });
+        }
+        
         // Icon selector
         this.setupIconSelector();
         
@@ -310,157 +790,385 @@ class ArchitectureApp {
     }
     
     bindZoomControls() {
-        const zoomIn = document.getElementById('zoom-in');
-        const zoomOut = document.getElementById('zoom-out');
-        const zoomReset = document.getElementById('zoom-reset');
+        this.bindAction('zoom-in', 'zoom-in');
+        this.bindAction('zoom-out', 'zoom-out');
+        this.bindAction('zoom-reset', 'reset-zoom');
+    }
+    
+    bindViewControls() {
+        this.bindAction('center-view', 'center-view');
+        this.bindAction('fit-to-screen', 'fit-to-screen');
+        this.bindAction('routing-toggle', 'toggle-routing');
+        this.bindAction('legend-toggle', 'toggle-legend');
+        this.bindAction('flow-toggle', 'toggle-flow');
+        this.bindAction('regions-toggle', 'cycle-regions');
+        this.bindAction('minimap-toggle', 'toggle-minimap');
+    }
+    
+    setupKeyboardShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            // Don't trigger shortcuts when typing in inputs
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+                return;
+            }
+            
+            // Shortcuts come from the action registry
+            const action = this.actions.findByEvent(e);
+            if (!action) return;
+            
+            // Some keys (Delete, Backspace) only act while the canvas has focus, not from inside dialogs
+            if (action.requiresCanvasFocus && e.target !== document.body && e.target !== this.canvas) {
+                return;
+            }
+            
+            // Disabled actions leave the key alone, e.g. arrow keys with nothing selected
+            if (!this.actions.isEnabled(action)) return;
+            
+            // Copy and paste keys go on to the browser's copy/paste events, which carry the clipboard
+            if (action.nativeShortcuts?.some(shortcut => ActionRegistry.matchesEvent(shortcut, e))) return;
+            
+            e.preventDefault();
+            this.actions.run(action.id);
+        });
+    }
+    
+    setupClipboardEvents() {
+        document.addEventListener('copy', (e) => {
+            // Text fields and selected page text copy as usual
+            if (this.isTextField(e.target) || !window.getSelection()?.isCollapsed) return;
+            if (!this.canvasEngine || this.canvasEngine.getSelection().nodes.length === 0) return;
+            
+            e.preventDefault();
+            this.copySelectedNode(e.clipboardData);
+        });
+        
+        document.addEventListener('paste', (e) => {
+            if (this.isTextField(e.target) || document.querySelector('.modal.show')) return;
+            
+            // Text we don't recognise goes through untouched
+            const data = this.getPasteData(e.clipboardData?.getData('text/plain'));
+            if (!data) return;
+            
+            e.preventDefault();
+            this.pasteData(data);
+        });
+    }
+    
+    isTextField(element) {
+        return element?.tagName === 'INPUT' || element?.tagName === 'TEXTAREA' || !!element?.isContentEditable;
+    }
+    
+    // Keymap persistence: only the user's changes are stored
+    saveKeymap() {
+        localStorage.setItem('architecture-app-keymap', JSON.stringify(this.actions.getKeymap()));
+    }
+    
+    loadKeymap() {
+        try {
+            this.actions.loadKeymap(JSON.parse(localStorage.getItem('architecture-app-keymap') || '{}'));
+        } catch (error) {
+            console.warn('Ignoring unreadable keymap:', error);
+        }
+    }
+    
+    bindShortcutSettingsEvents() {
+        const modal = document.getElementById('shortcuts-modal');
+        const list = document.getElementById('shortcuts-list');
+        const filter = document.getElementById('shortcuts-filter');
+        const helpModal = document.getElementById('shortcut-help-modal');
         
-        if (zoomIn) {
-            zoomIn.addEventListener('click', () => this.zoomIn());
+        if (modal) {
+            // Keys pressed in the dialog are for recording, not for the app's own shortcuts
+            modal.addEventListener('keydown', (e) => this.handleShortcutSettingsKey(e));
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.hideShortcutSettings();
+                }
+            });
         }
         
-        if (zoomOut) {
-            zoomOut.addEventListener('click', () => this.zoomOut());
+        if (list) {
+            list.addEventListener('click', (e) => this.handleShortcutListClick(e));
         }
         
-        if (zoomReset) {
-            zoomReset.addEventListener('click', () => this.resetZoom());
+        if (filter) {
+            filter.addEventListener('input', () => this.renderShortcutSettings());
         }
+        
+        document.getElementById('shortcuts-close')?.addEventListener('click', () => this.hideShortcutSettings());
+        document.getElementById('shortcuts-cancel')?.addEventListener('click', () => this.hideShortcutSettings());
+        document.getElementById('shortcuts-save')?.addEventListener('click', () => this.saveShortcutSettings());
+        document.getElementById('shortcuts-reset')?.addEventListener('click', () => this.resetShortcutSettings());
+        
+        if (helpModal) {
+            helpModal.addEventListener('click', (e) => {
+                if (e.target === helpModal) {
+                    this.hideShortcutHelp();
+                }
+            });
+        }
+        
+        document.getElementById('shortcut-help-close')?.addEventListener('click', () => this.hideShortcutHelp());
+        document.getElementById('shortcut-help-customize')?.addEventListener('click', () => {
+            this.hideShortcutHelp();
+            this.showShortcutSettings();
+        });
     }
     
-    bindViewControls() {
-        const centerView = document.getElementById('center-view');
-        const fitToScreen = document.getElementById('fit-to-screen');
+    // Keyboard shortcut settings: changes go to a draft keymap that is only applied on save
+    showShortcutSettings() {
+        this.shortcutDraft = new Map(this.actions.getAll().map(action => [action.id, [...action.shortcuts]]));
+        this.recordingShortcut = null;
+        
+        const filter = document.getElementById('shortcuts-filter');
+        if (filter) {
+            filter.value = '';
+        }
+        
+        this.renderShortcutSettings();
+        document.getElementById('shortcuts-modal')?.classList.add('show');
+    }
+    
+    hideShortcutSettings() {
+        this.shortcutDraft = null;
+        this.recordingShortcut = null;
+        document.getElementById('shortcuts-modal')?.classList.remove('show');
+    }
+    
+    saveShortcutSettings() {
+        if (!this.shortcutDraft || this.getShortcutDraftConflicts().size > 0) return;
         
-        if (centerView) {
-            centerView.addEventListener('click', () => this.centerView());
+        this.shortcutDraft.forEach((shortcuts, id) => this.actions.setShortcuts(id, shortcuts));
+        this.saveKeymap();
+        this.hideShortcutSettings();
+        this.showToast('Keyboard shortcuts saved');
+    }
+    
+    resetShortcutSettings() {
+        if (!this.shortcutDraft) return;
+        
+        this.actions.getAll().forEach(action => this.shortcutDraft.set(action.id, [...action.defaultShortcuts]));
+        this.recordingShortcut = null;
+        this.renderShortcutSettings();
+    }
+    
+    getShortcutDraftConflicts() {
+        return ActionRegistry.findConflicts(
+            Array.from(this.shortcutDraft, ([id, shortcuts]) => ({ id, shortcuts }))
+        );
+    }
+    
+    // Actions grouped by category, in registration order
+    groupActionsByCategory(actions) {
+        const groups = new Map();
+        actions.forEach(action => {
+            groups.set(action.category, [...(groups.get(action.category) || []), action]);
+        });
+        return groups;
+    }
+    
+    renderShortcutSettings() {
+        const list = document.getElementById('shortcuts-list');
+        const conflictText = document.getElementById('shortcuts-conflicts');
+        const saveButton = document.getElementById('shortcuts-save');
+        if (!list || !this.shortcutDraft) return;
+        
+        const query = document.getElementById('shortcuts-filter')?.value.trim().toLowerCase() || '';
+        const actions = this.actions.getAll();
+        const conflicts = this.getShortcutDraftConflicts();
+        const labels = new Map(actions.map(action => [action.id, action.label]));
+        
+        list.innerHTML = '';
+        this.groupActionsByCategory(actions.filter(action => action.label.toLowerCase().includes(query)))
+            .forEach((groupActions, category) => {
+                const heading = document.createElement('h4');
+                heading.className = 'shortcuts-category';
+                heading.textContent = category;
+                list.appendChild(heading);
+                
+                groupActions.forEach(action => list.appendChild(this.createShortcutRow(action, conflicts)));
+            });
+        
+        if (conflictText) {
+            conflictText.textContent = Array.from(conflicts, ([shortcut, ids]) =>
+                `${ActionRegistry.formatShortcut(shortcut)} is bound to ${ids.map(id => labels.get(id)).join(' and ')}`
+            ).join('. ');
         }
         
-        if (fitToScreen) {
-            fitToScreen.addEventListener('click', () => this.fitToScreen());
+        if (saveButton) {
+            saveButton.disabled = conflicts.size > 0;
         }
+        
+        list.querySelector('.shortcut-add.recording')?.focus();
     }
     
-    setupKeyboardShortcuts() {
-        document.addEventListener('keydown', (e) => {
-            // Don't trigger shortcuts when typing in inputs
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
-                return;
-            }
+    createShortcutRow(action, conflicts) {
+        const shortcuts = this.shortcutDraft.get(action.id) || [];
+        
+        const row = document.createElement('div');
+        row.className = 'shortcut-row';
+        row.dataset.actionId = action.id;
+        
+        const label = document.createElement('span');
+        label.className = 'shortcut-label';
+        label.textContent = action.label;
+        
+        const keys = document.createElement('div');
+        keys.className = 'shortcut-keys';
+        
+        shortcuts.forEach((shortcut, index) => {
+            const key = document.createElement('span');
+            key.className = 'shortcut-key';
+            key.classList.toggle('conflict', conflicts.has(ActionRegistry.canonical(shortcut)));
             
-            switch (e.key) {
-                case 'Escape':
-                    this.closeModal();
-                    this.hideCodeModal();
-                    if (this.canvasEngine) {
-                        this.canvasEngine.selectedNode = null;
-                        this.canvasEngine.render();
-                    }
-                    break;
-                    
-                case '+':
-                case '=':
-                    if (e.ctrlKey || e.metaKey) {
-                        e.preventDefault();
-                        this.zoomIn();
-                    }
-                    break;
-                    
-                case '-':
-                    if (e.ctrlKey || e.metaKey) {
-                        e.preventDefault();
-                        this.zoomOut();
-                    }
-                    break;
-                    
-                case '0':
-                    if (e.ctrlKey || e.metaKey) {
-                        e.preventDefault();
-                        this.resetZoom();
-                    }
-                    break;
-                    
-                case 'f':
-                    if (e.ctrlKey || e.metaKey) {
-                        e.preventDefault();
-                        this.fitToScreen();
-                    }
-                    break;
-                    
-                case 'c':
-                    if (e.ctrlKey || e.metaKey) {
-                        if (e.shiftKey) {
-                            // Copy node (Ctrl+Shift+C)
-                            e.preventDefault();
-                            this.copySelectedNode();
-                        } else {
-                            // Center view (Ctrl+C)
-                            e.preventDefault();
-                            this.centerView();
-                        }
-                    }
-                    break;
-                    
-                case 'v':
-                    if ((e.ctrlKey || e.metaKey) && e.shiftKey) {
-                        // Paste node (Ctrl+Shift+V)
-                        e.preventDefault();
-                        this.pasteNode();
-                    }
-                    break;
-                    
-                case 'z':
-                    if (e.ctrlKey || e.metaKey) {
-                        if (e.shiftKey) {
-                            // Redo (Ctrl+Shift+Z)
-                            e.preventDefault();
-                            this.redo();
-                        } else {
-                            // Undo (Ctrl+Z)
-                            e.preventDefault();
-                            this.undo();
-                        }
-                    }
-                    break;
-                    
-                case 'y':
-                    if (e.ctrlKey || e.metaKey) {
-                        // Redo (Ctrl+Y)
-                        e.preventDefault();
-                        this.redo();
-                    }
-                    break;
+            const kbd = document.createElement('kbd');
+            kbd.textContent = ActionRegistry.formatShortcut(shortcut);
+            
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'shortcut-remove';
+            remove.dataset.index = index;
+            remove.title = 'Remove shortcut';
+            remove.innerHTML = '<i class="fas fa-times"></i>';
+            
+            key.append(kbd, remove);
+            keys.appendChild(key);
+        });
+        
+        const recording = this.recordingShortcut === action.id;
+        const add = document.createElement('button');
+        add.type = 'button';
+        add.className = 'btn btn-secondary shortcut-add';
+        add.classList.toggle('recording', recording);
+        add.textContent = recording ? 'Press keys...' : 'Add';
+        keys.appendChild(add);
+        
+        if (!ActionRegistry.sameShortcuts(shortcuts, action.defaultShortcuts)) {
+            const reset = document.createElement('button');
+            reset.type = 'button';
+            reset.className = 'btn btn-icon shortcut-reset';
+            reset.title = 'Reset to default';
+            reset.innerHTML = '<i class="fas fa-undo"></i>';
+            keys.appendChild(reset);
+        }
+        
+        row.append(label, keys);
+        return row;
+    }
+    
+    handleShortcutListClick(e) {
+        const row = e.target.closest('.shortcut-row');
+        if (!row || !this.shortcutDraft) return;
+        
+        const id = row.dataset.actionId;
+        const shortcuts = this.shortcutDraft.get(id);
+        
+        if (e.target.closest('.shortcut-remove')) {
+            shortcuts.splice(Number(e.target.closest('.shortcut-remove').dataset.index), 1);
+        } else if (e.target.closest('.shortcut-add')) {
+            this.recordingShortcut = this.recordingShortcut === id ? null : id;
+        } else if (e.target.closest('.shortcut-reset')) {
+            this.shortcutDraft.set(id, [...this.actions.get(id).defaultShortcuts]);
+        } else {
+            return;
+        }
+        
+        this.renderShortcutSettings();
+    }
+    
+    handleShortcutSettingsKey(e) {
+        e.stopPropagation();
+        
+        if (!this.recordingShortcut) {
+            if (e.key === 'Escape') {
+                this.hideShortcutSettings();
+            }
+            return;
+        }
+        
+        // Escape cancels recording rather than being bound
+        e.preventDefault();
+        if (e.key === 'Escape') {
+            this.recordingShortcut = null;
+            this.renderShortcutSettings();
+            return;
+        }
+        
+        const shortcut = ActionRegistry.shortcutFromEvent(e);
+        if (!shortcut) return;
+        
+        const shortcuts = this.shortcutDraft.get(this.recordingShortcut);
+        if (!shortcuts.some(existing => ActionRegistry.canonical(existing) === ActionRegistry.canonical(shortcut))) {
+            shortcuts.push(shortcut);
+        }
+        
+        this.recordingShortcut = null;
+        this.renderShortcutSettings();
+    }
+    
+    // Help overlay listing every bound shortcut
+    toggleShortcutHelp() {
+        const modal = document.getElementById('shortcut-help-modal');
+        if (modal?.classList.contains('show')) {
+            this.hideShortcutHelp();
+        } else {
+            this.showShortcutHelp();
+        }
+    }
+    
+    showShortcutHelp() {
+        const modal = document.getElementById('shortcut-help-modal');
+        const list = document.getElementById('shortcut-help-list');
+        if (!modal || !list) return;
+        
+        list.innerHTML = '';
+        this.groupActionsByCategory(this.actions.getAll().filter(action => action.shortcuts.length > 0))
+            .forEach((actions, category) => {
+                const heading = document.createElement('h4');
+                heading.className = 'shortcuts-category';
+                heading.textContent = category;
+                list.appendChild(heading);
+                
+                actions.forEach(action => {
+                    const row = document.createElement('div');
+                    row.className = 'shortcut-row';
                     
-                case 't':
-                    if (e.ctrlKey || e.metaKey) {
-                        e.preventDefault();
-                        this.toggleTheme();
-                    }
-                    break;
+                    const label = document.createElement('span');
+                    label.className = 'shortcut-label';
+                    label.textContent = action.label;
                     
-                case 's':
-                    if (e.ctrlKey || e.metaKey) {
-                        e.preventDefault();
-                        this.toggleSidebar();
-                    }
-                    break;
+                    const keys = document.createElement('div');
+                    keys.className = 'shortcut-keys';
+                    action.shortcuts.forEach(shortcut => {
+                        const kbd = document.createElement('kbd');
+                        kbd.textContent = ActionRegistry.formatShortcut(shortcut);
+                        keys.appendChild(kbd);
+                    });
                     
-                case '1':
-                case '2':
-                case '3':
-                case '4':
-                case '5':
-                case '6':
-                case '7':
-                case '8':
-                case '9':
-                    if (e.ctrlKey || e.metaKey) {
-                        e.preventDefault();
-                        const layerIndex = parseInt(e.key) - 1;
-                        this.toggleLayerByIndex(layerIndex);
-                    }
-                    break;
-            }
-        });
+                    row.append(label, keys);
+                    list.appendChild(row);
+                });
+            });
+        
+        modal.classList.add('show');
+    }
+    
+    hideShortcutHelp() {
+        document.getElementById('shortcut-help-modal')?.classList.remove('show');
+    }
+    
+    // Escape: close menus and dialogs, then drop the selection
+    dismissAll() {
+        this.hideContextMenu();
+        this.closeModal();
+        this.hideCodeModal();
+        this.hideShortcutHelp();
+        this.hideShortcutSettings();
+        this.hideSaveFilterDialog();
+        if (this.canvasEngine) {
+            this.canvasEngine.clearSelection();
+            this.canvasEngine.render();
+        }
     }
     
     // Theme management
@@ -607,6 +1315,84 @@ class ArchitectureApp {
         }
     }
     
+    toggleConnectionRouting() {
+        if (!this.canvasEngine) return;
+        
+        const mode = this.canvasEngine.routingMode === 'orthogonal' ? 'straight' : 'orthogonal';
+        this.setConnectionRouting(mode);
+    }
+    
+    setConnectionRouting(mode) {
+        if (!this.canvasEngine) return;
+        
+        this.canvasEngine.setRoutingMode(mode);
+        
+        const routingToggle = document.getElementById('routing-toggle');
+        if (routingToggle) {
+            routingToggle.classList.toggle('view-toggle-active', mode === 'orthogonal');
+        }
+    }
+    
+    toggleLegend() {
+        if (!this.canvasEngine) return;
+        
+        const visible = !this.canvasEngine.showLegend;
+        this.canvasEngine.setLegendVisible(visible);
+        
+        const legendToggle = document.getElementById('legend-toggle');
+        if (legendToggle) {
+            legendToggle.classList.toggle('view-toggle-active', visible);
+        }
+    }
+    
+    toggleFlowAnimation() {
+        if (!this.canvasEngine) return;
+        
+        const playing = !this.canvasEngine.flowAnimation.playing;
+        this.canvasEngine.setFlowAnimation(playing);
+        
+        const flowToggle = document.getElementById('flow-toggle');
+        if (flowToggle) {
+            flowToggle.classList.toggle('view-toggle-active', playing);
+            flowToggle.innerHTML = playing ?
+                '<i class="fas fa-pause"></i> Flow' :
+                '<i class="fas fa-play"></i> Flow';
+        }
+    }
+    
+    toggleMinimap() {
+        if (!this.minimap) return;
+        
+        const visible = !this.minimap.visible;
+        this.minimap.setVisible(visible);
+        
+        const minimapToggle = document.getElementById('minimap-toggle');
+        if (minimapToggle) {
+            minimapToggle.classList.toggle('view-toggle-active', visible);
+        }
+    }
+    
+    // Cycles layer regions: off -> swimlane bands -> hulls -> off
+    cycleLayerRegions() {
+        if (!this.canvasEngine) return;
+        
+        const modes = ['none', 'bands', 'hulls'];
+        const index = modes.indexOf(this.canvasEngine.layerRegionMode);
+        this.setLayerRegions(modes[(index + 1) % modes.length]);
+    }
+    
+    setLayerRegions(mode) {
+        if (!this.canvasEngine) return;
+        
+        this.canvasEngine.setLayerRegionMode(mode);
+        
+        const regionsToggle = document.getElementById('regions-toggle');
+        if (regionsToggle) {
+            regionsToggle.classList.toggle('view-toggle-active', mode !== 'none');
+            regionsToggle.innerHTML = `<i class="fas fa-layer-group"></i> ${mode === 'hulls' ? 'Groups' : 'Lanes'}`;
+        }
+    }
+    
     animateViewport(fromX, fromY, toX, toY, duration = 300) {
         Utils.animate({
             from: 0,
@@ -625,9 +1411,6 @@ class ArchitectureApp {
     
     // Node interaction
     handleNodeClick(node) {
-        // Track last clicked node for copy/paste
-        this.lastClickedNode = node;
-        
         // Handle connection mode
         if (this.connectionMode) {
             if (!this.selectedNodeForConnection) {
@@ -635,7 +1418,7 @@ class ArchitectureApp {
                 this.selectedNodeForConnection = node;
                 // Visual feedback - highlight selected node
                 if (this.canvasEngine) {
-                    this.canvasEngine.selectedNode = node;
+                    this.canvasEngine.setSelection([node]);
                     this.canvasEngine.render();
                 }
                 
@@ -668,7 +1451,7 @@ class ArchitectureApp {
                 // Reset selection
                 this.selectedNodeForConnection = null;
                 if (this.canvasEngine) {
-                    this.canvasEngine.selectedNode = null;
+                    this.canvasEngine.clearSelection();
                     this.canvasEngine.render();
                 }
                 
@@ -681,7 +1464,7 @@ class ArchitectureApp {
                 // Same node clicked - deselect
                 this.selectedNodeForConnection = null;
                 if (this.canvasEngine) {
-                    this.canvasEngine.selectedNode = null;
+                    this.canvasEngine.clearSelection();
                     this.canvasEngine.render();
                 }
                 
@@ -696,7 +1479,18 @@ class ArchitectureApp {
         }
     }
     
+    // Property value as HTML for the details view; web addresses become links
+    formatPropertyValue(value) {
+        const text = Utils.escapeHtml(PropertyEditor.formatValue(value));
+        return typeof value === 'string' && PropertyEditor.isUrl(value) ?
+            `<a href="${text}" target="_blank" rel="noopener noreferrer">${text}</a>` :
+            text;
+    }
+    
     showNodeDetails(node) {
+        const isContainer = this.canvasEngine?.isContainer(node);
+        const childCount = isContainer ? this.canvasEngine.getChildNodes(node).length : 0;
+        
         const modalContent = `
             <div class="node-details">
                 <div class="node-header">
@@ -722,8 +1516,8 @@ class ArchitectureApp {
                         <div class="property-list">
                             ${Object.entries(node.data).map(([key, value]) => `
                                 <div class="property-item">
-                                    <span class="property-key">${key}:</span>
-                                    <span class="property-value">${JSON.stringify(value)}</span>
+                                    <span class="property-key">${Utils.escapeHtml(key)}:</span>
+                                    <span class="property-value">${this.formatPropertyValue(value)}</span>
                                 </div>
                             `).join('')}
                         </div>
@@ -745,6 +1539,17 @@ class ArchitectureApp {
                             <i class="fas fa-code"></i> View Code
                         </button>
                     ` : ''}
+                    <button class="btn node-action-btn" data-action="open-diagram" data-node-id="${node.id}">
+                        <i class="fas fa-sitemap"></i> ${node.diagram ? 'Open Sub-diagram' : 'Create Sub-diagram'}
+                    </button>
+                    ${isContainer ? `
+                        <button class="btn node-action-btn" data-action="toggle-container" data-node-id="${node.id}">
+                            <i class="fas ${node.collapsed ? 'fa-expand' : 'fa-compress'}"></i> ${node.collapsed ? 'Expand' : 'Collapse'}
+                        </button>
+                        <button class="btn node-action-btn" data-action="ungroup" data-node-id="${node.id}">
+                            <i class="fas fa-object-ungroup"></i> Ungroup
+                        </button>
+                    ` : ''}
                 </div>
                 
                 <div class="node-stats">
@@ -760,6 +1565,18 @@ class ArchitectureApp {
                         <span class="stat-label">Position:</span>
                         <span class="stat-value">(${Math.round(node.x)}, ${Math.round(node.y)})</span>
                     </div>
+                    ${node.diagram ? `
+                        <div class="stat-item">
+                            <span class="stat-label">Sub-diagram:</span>
+                            <span class="stat-value">${(node.diagram.nodes || []).length} nodes</span>
+                        </div>
+                    ` : ''}
+                    ${isContainer ? `
+                        <div class="stat-item">
+                            <span class="stat-label">Contains:</span>
+                            <span class="stat-value">${childCount} node${childCount === 1 ? '' : 's'}</span>
+                        </div>
+                    ` : ''}
                 </div>
             </div>
         `;
@@ -773,7 +1590,89 @@ class ArchitectureApp {
             return;
         }
         
-        this.showConnectionEditModal(connection);
+        this.showConnectionDetails(connection);
+    }
+    
+    showConnectionDetails(connection) {
+        const nodes = this.canvasEngine?.getConnectionNodes(connection);
+        if (!nodes) return;
+        
+        const escape = Utils.escapeHtml;
+        const metadata = connection.metadata || {};
+        const fields = ConnectionMetadata.getFields().filter(field =>
+            field.type !== 'json' && metadata[field.key] !== undefined && metadata[field.key] !== ''
+        );
+        const label = ConnectionMetadata.formatLabel(connection);
+        
+        const modalContent = `
+            <div class="node-details connection-details">
+                <div class="node-header">
+                    <div class="node-icon" style="color: ${this.layerManager?.getLayerColor(nodes.fromNode.layer) || '#6b7280'}">
+                        <i class="fas fa-link"></i>
+                    </div>
+                    <div class="node-info">
+                        <h4>${escape(nodes.fromNode.label)} → ${escape(nodes.toNode.label)}</h4>
+                        <p class="node-layer">${escape(label || 'Unlabelled connection')}</p>
+                    </div>
+                </div>
+                
+                ${connection.description ? `
+                    <div class="node-description">
+                        <h5>Description</h5>
+                        <p>${escape(connection.description)}</p>
+                    </div>
+                ` : ''}
+                
+                ${fields.length > 0 ? `
+                    <div class="node-properties">
+                        <h5>Details</h5>
+                        <div class="property-list">
+                            ${fields.map(field => `
+                                <div class="property-item">
+                                    <span class="property-key">${field.label}:</span>
+                                    <span class="property-value">${escape(this.formatConnectionMetadataValue(field, metadata[field.key]))}</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+                
+                ${metadata.payloadSchema ? `
+                    <div class="node-properties">
+                        <h5>Payload Schema</h5>
+                        <pre class="connection-schema">${escape(JSON.stringify(metadata.payloadSchema, null, 2))}</pre>
+                    </div>
+                ` : ''}
+                
+                <div class="node-actions">
+                    <button class="btn node-action-btn" data-action="focus-connection" data-connection-id="${escape(connection.id)}">
+                        <i class="fas fa-crosshairs"></i> Focus
+                    </button>
+                    <button class="btn node-action-btn" data-action="edit-connection" data-connection-id="${escape(connection.id)}">
+                        <i class="fas fa-edit"></i> Edit Connection
+                    </button>
+                </div>
+                
+                <div class="node-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Type:</span>
+                        <span class="stat-value">${escape(connection.type || 'default')}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Traffic Rate:</span>
+                        <span class="stat-value">${escape(String(connection.rate ?? 1))}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        this.showModal(`Connection: ${nodes.fromNode.label} → ${nodes.toNode.label}`, modalContent);
+    }
+    
+    // Details show the full option name and the unit, e.g. "Synchronous", "120 ms"
+    formatConnectionMetadataValue(field, value) {
+        if (field.options) return field.options[value] || String(value);
+        return field.unit ? `${value} ${field.unit}` : String(value);
     }
     
     showConnectionEditModal(connection) {
@@ -794,6 +1693,8 @@ class ArchitectureApp {
         document.getElementById('connection-label').value = connection.label || '';
         document.getElementById('connection-type').value = connection.type || 'default';
         document.getElementById('connection-description').value = connection.description || '';
+        document.getElementById('connection-rate').value = connection.rate ?? 1;
+        this.fillConnectionMetadataForm(connection);
         
         // Store reference to current connection
         this.currentEditingConnection = connection;
@@ -802,6 +1703,331 @@ class ArchitectureApp {
         modal.classList.add('show');
     }
     
+    // Inputs for the ConnectionMetadata fields, and checkboxes for what the label shows
+    renderConnectionMetadataFields() {
+        const fieldsContainer = document.getElementById('connection-metadata-fields');
+        const labelFields = document.getElementById('connection-label-fields');
+        if (!fieldsContainer || !labelFields) return;
+        
+        fieldsContainer.innerHTML = ConnectionMetadata.getFields().map(field => {
+            const id = `connection-meta-${field.key}`;
+            let input;
+            if (field.type === 'choice') {
+                input = `
+                    <select id="${id}" class="form-control">
+                        <option value="">Not set</option>
+                        ${Object.entries(field.options).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                `;
+            } else if (field.type === 'json') {
+                input = `<textarea id="${id}" class="form-control connection-schema-input" rows="5" spellcheck="false" placeholder='{ "type": "object", "properties": {} }'></textarea>`;
+            } else if (field.type === 'number') {
+                // Plain text, so every value reaches our own checks and their messages instead of the browser's
+                input = `<input type="text" id="${id}" class="form-control" inputmode="${field.integer ? 'numeric' : 'decimal'}">`;
+            } else {
+                input = `
+                    <input type="text" id="${id}" class="form-control" list="${id}-options">
+                    <datalist id="${id}-options">
+                        ${(field.suggestions || []).map(value => `<option value="${value}">`).join('')}
+                    </datalist>
+                `;
+            }
+            
+            return `
+                <div class="form-group connection-metadata-field${field.type === 'json' ? ' wide' : ''}" data-key="${field.key}">
+                    <label for="${id}">${field.label}${field.unit ? ` (${field.unit})` : ''}</label>
+                    ${input}
+                    <div class="field-error"></div>
+                </div>
+            `;
+        }).join('');
+        
+        labelFields.innerHTML = ConnectionMetadata.getLabelSources().map(source => `
+            <label><input type="checkbox" value="${source.key}"> ${source.label}</label>
+        `).join('');
+    }
+    
+    fillConnectionMetadataForm(connection) {
+        ConnectionMetadata.getFields().forEach(field => {
+            const input = document.getElementById(`connection-meta-${field.key}`);
+            if (input) {
+                input.value = ConnectionMetadata.toText(field, connection.metadata?.[field.key]);
+            }
+        });
+        
+        const labelFields = Array.isArray(connection.labelFields) ? connection.labelFields : [];
+        document.querySelectorAll('#connection-label-fields input').forEach(input => {
+            input.checked = labelFields.includes(input.value);
+        });
+        
+        this.setConnectionMetadataErrors({});
+        this.updateConnectionLabelPreview();
+    }
+    
+    // Raw text of each metadata input, by field key
+    readConnectionMetadataForm() {
+        return Object.fromEntries(ConnectionMetadata.getFields().map(field => [
+            field.key,
+            document.getElementById(`connection-meta-${field.key}`)?.value || ''
+        ]));
+    }
+    
+    // Checked label sources, in the order they are listed
+    readConnectionLabelFields() {
+        return Array.from(document.querySelectorAll('#connection-label-fields input:checked'), input => input.value);
+    }
+    
+    setConnectionMetadataErrors(errors) {
+        document.querySelectorAll('.connection-metadata-field').forEach(group => {
+            const message = errors[group.dataset.key] || '';
+            group.classList.toggle('invalid', !!message);
+            group.querySelector('.field-error').textContent = message;
+        });
+    }
+    
+    updateConnectionLabelPreview() {
+        const preview = document.getElementById('connection-label-preview');
+        if (!preview) return;
+        
+        const text = ConnectionMetadata.formatLabel({
+            label: document.getElementById('connection-label')?.value.trim(),
+            metadata: ConnectionMetadata.parse(this.readConnectionMetadataForm()).metadata,
+            labelFields: this.readConnectionLabelFields()
+        });
+        preview.textContent = text || 'No label';
+        preview.classList.toggle('empty', !text);
+    }
+    
+    // A connection dragged out of a node handle is added at once and then named in place
+    handleConnectionDrawn(fromNode, toNode) {
+        if (!this.canvasEngine) return;
+        
+        if (this.canvasEngine.findConnection(fromNode.id, toNode.id)) {
+            this.showToast('Connection already exists between these nodes');
+            return;
+        }
+        
+        const connectionData = {
+            id: Utils.generateId(),
+            from: fromNode.id,
+            to: toNode.id,
+            label: '',
+            type: 'default'
+        };
+        this.executeCommand(this.createInsertConnectionCommand(connectionData));
+        
+        const connection = this.canvasEngine.connections.find(conn => conn.id === connectionData.id);
+        this.canvasEngine.setSelection([], [connection]);
+        this.canvasEngine.render();
+        
+        this.showInlineConnectionEditor(connection, connectionData);
+    }
+    
+    // Label/type editor floating over the new connection's midpoint. Edits are folded into
+    // the connection's add command (connectionData), so creating and naming it is one undo step.
+    showInlineConnectionEditor(connection, connectionData) {
+        const editor = document.getElementById('inline-connection-editor');
+        const labelInput = document.getElementById('inline-connection-label');
+        const typeSelect = document.getElementById('inline-connection-type');
+        const midPoint = this.canvasEngine.getConnectionMidpoint(connection);
+        
+        if (!editor || !labelInput || !typeSelect || !midPoint) return;
+        
+        this.hideInlineConnectionEditor();
+        
+        const screenPos = this.canvasEngine.worldToScreen(midPoint);
+        editor.style.left = `${screenPos.x}px`;
+        editor.style.top = `${screenPos.y}px`;
+        labelInput.value = connection.label || '';
+        typeSelect.value = connection.type || 'default';
+        editor.classList.add('show');
+        
+        this.inlineConnectionEdit = { connectionId: connection.id, connectionData };
+        labelInput.focus();
+    }
+    
+    commitInlineConnectionEditor() {
+        const edit = this.inlineConnectionEdit;
+        if (!edit || !this.canvasEngine) return;
+        
+        const updates = {
+            label: document.getElementById('inline-connection-label').value.trim(),
+            type: document.getElementById('inline-connection-type').value
+        };
+        
+        // The connection may have been undone while the editor was open
+        if (this.canvasEngine.updateConnection(edit.connectionId, updates)) {
+            Object.assign(edit.connectionData, updates);
+            this.canvasEngine.render();
+        }
+        
+        this.hideInlineConnectionEditor();
+    }
+    
+    hideInlineConnectionEditor() {
+        const editor = document.getElementById('inline-connection-editor');
+        if (editor) {
+            editor.classList.remove('show');
+        }
+        this.inlineConnectionEdit = null;
+    }
+    
+    // Text field over a node or connection label; it tracks the label through zoom and pan
+    showInlineLabelEditor({ node, connection }) {
+        const editor = document.getElementById('inline-label-editor');
+        if (!editor || this.connectionMode) return;
+        
+        // A label built from connection details is changed through them
+        if (connection && ConnectionMetadata.hasGeneratedLabel(connection)) {
+            this.showConnectionEditModal(connection);
+            return;
+        }
+        
+        this.hideInlineLabelEditor();
+        
+        this.inlineLabelEdit = node ? { nodeId: node.id } : { connectionId: connection.id };
+        editor.value = (node ? node.label : connection.label) || '';
+        editor.classList.add('show');
+        this.positionInlineLabelEditor();
+        
+        editor.focus();
+        editor.select();
+    }
+    
+    getInlineLabelTarget() {
+        const edit = this.inlineLabelEdit;
+        if (!edit || !this.canvasEngine) return null;
+        
+        if (edit.nodeId) {
+            const node = this.canvasEngine.nodes.get(edit.nodeId);
+            return node && !this.canvasEngine.isNodeHidden(node) ? { node } : null;
+        }
+        
+        const connection = this.canvasEngine.connections.find(conn => conn.id === edit.connectionId);
+        return connection && this.canvasEngine.getConnectionEndpoints(connection) ? { connection } : null;
+    }
+    
+    positionInlineLabelEditor() {
+        const editor = document.getElementById('inline-label-editor');
+        if (!editor || !this.inlineLabelEdit) return;
+        
+        // The node or connection went away (undo, navigation, hidden layer): drop the edit
+        const target = this.getInlineLabelTarget();
+        if (!target) {
+            this.hideInlineLabelEditor();
+            return;
+        }
+        
+        const engine = this.canvasEngine;
+        const zoom = engine.viewport.zoom;
+        const anchor = target.node ?
+            engine.getNodeLabelPosition(target.node) :
+            engine.getConnectionMidpoint(target.connection);
+        const width = target.node ?
+            (engine.isContainer(target.node) ? engine.getNodeBounds(target.node).width : engine.config.nodeSize.width) :
+            120;
+        const screenPos = engine.worldToScreen(anchor);
+        
+        editor.style.left = `${screenPos.x}px`;
+        editor.style.top = `${screenPos.y}px`;
+        editor.style.width = `${Math.max(width * zoom, 80)}px`;
+        editor.style.fontSize = `${Math.max(12 * zoom, 10)}px`;
+    }
+    
+    commitInlineLabelEditor() {
+        const editor = document.getElementById('inline-label-editor');
+        const target = this.getInlineLabelTarget();
+        if (!editor || !target) {
+            this.hideInlineLabelEditor();
+            return;
+        }
+        
+        const label = editor.value.trim();
+        this.hideInlineLabelEditor();
+        
+        if (target.node) {
+            // Nodes always keep a label
+            if (!label || label === target.node.label) return;
+            this.executeCommand(this.createUpdateNodeCommand(target.node.id, { label: target.node.label }, { label }));
+        } else {
+            if (label === (target.connection.label || '')) return;
+            this.executeCommand(this.createUpdateConnectionCommand(target.connection.id, { label }));
+        }
+        
+        this.canvasEngine.render();
+    }
+    
+    hideInlineLabelEditor() {
+        const editor = document.getElementById('inline-label-editor');
+        this.inlineLabelEdit = null;
+        if (editor?.classList.contains('show')) {
+            editor.classList.remove('show');
+            editor.blur();
+        }
+    }
+    
+    // Point one end ('from' or 'to') of a connection at another node, keeping its other properties
+    reconnectConnection(connectionId, end, nodeId) {
+        const connection = this.canvasEngine?.connections.find(conn => conn.id === connectionId);
+        const node = this.canvasEngine?.nodes.get(nodeId);
+        if (!connection || !node) return;
+        
+        const endpoints = {
+            from: end === 'from' ? nodeId : connection.from,
+            to: end === 'to' ? nodeId : connection.to
+        };
+        if (endpoints.from === connection.from && endpoints.to === connection.to) return;
+        
+        // Same rule as connection mode: one connection per pair of nodes, in either direction
+        const existing = this.canvasEngine.findConnection(endpoints.from, endpoints.to);
+        if (endpoints.from === endpoints.to || (existing && existing !== connection)) {
+            this.showToast('Connection already exists between these nodes');
+            return;
+        }
+        
+        this.executeCommand(this.createRewireConnectionCommand(
+            connectionId,
+            endpoints,
+            `Reconnect Connection: ${endpoints.from} → ${endpoints.to}`
+        ));
+        this.canvasEngine.render();
+    }
+    
+    // Record an added, dragged or removed bend point as one undoable step
+    setConnectionWaypoints(connectionId, from, to) {
+        if (!this.canvasEngine) return;
+        
+        const name = to.length > from.length ? 'Add Waypoint' :
+            to.length < from.length ? 'Remove Waypoint' :
+            'Move Waypoint';
+        
+        this.executeCommand(this.createConnectionWaypointsCommand(name, connectionId, from, to));
+        this.canvasEngine.render();
+    }
+    
+    reverseConnection(connectionId) {
+        const connection = this.canvasEngine?.connections.find(conn => conn.id === connectionId);
+        if (!connection) return;
+        
+        this.executeCommand(this.createRewireConnectionCommand(
+            connection.id,
+            { from: connection.to, to: connection.from },
+            `Reverse Connection: ${connection.to} → ${connection.from}`
+        ));
+        this.canvasEngine.render();
+    }
+    
+    handleReverseConnection() {
+        const connection = this.currentEditingConnection;
+        if (!connection || !this.canvasEngine) return;
+        
+        this.reverseConnection(connection.id);
+        
+        // Keep the dialog open with the swapped ends
+        document.getElementById('connection-from').value = this.canvasEngine.nodes.get(connection.from)?.label || connection.from;
+        document.getElementById('connection-to').value = this.canvasEngine.nodes.get(connection.to)?.label || connection.to;
+    }
+    
     hideConnectionEditModal() {
         const modal = document.getElementById('connection-edit-modal');
         if (modal) {
@@ -815,11 +2041,24 @@ class ArchitectureApp {
         
         if (!this.currentEditingConnection || !this.canvasEngine) return;
         
-        const formData = new FormData(e.target);
+        const { metadata, errors } = ConnectionMetadata.parse(this.readConnectionMetadataForm());
+        this.setConnectionMetadataErrors(errors);
+        const invalid = Object.keys(errors);
+        if (invalid.length > 0) {
+            document.getElementById(`connection-meta-${invalid[0]}`)?.focus();
+            return;
+        }
+        
+        const labelFields = this.readConnectionLabelFields();
+        const rate = parseFloat(document.getElementById('connection-rate').value);
         const updates = {
             label: document.getElementById('connection-label').value,
             type: document.getElementById('connection-type').value,
-            description: document.getElementById('connection-description').value
+            description: document.getElementById('connection-description').value,
+            rate: Number.isFinite(rate) ? Math.max(rate, 0) : 1,
+            // Empty details are dropped rather than exported as {}
+            metadata: Object.keys(metadata).length > 0 ? metadata : undefined,
+            labelFields: labelFields.length > 0 ? labelFields : undefined
         };
         
         // Create command for undo/redo
@@ -859,11 +2098,49 @@ class ArchitectureApp {
             },
             undo: () => {
                 if (this.canvasEngine) {
-                    this.canvasEngine.updateConnection(connectionId, {
-                        label: oldData.label,
-                        type: oldData.type,
-                        description: oldData.description
-                    });
+                    this.canvasEngine.updateConnection(
+                        connectionId,
+                        Object.fromEntries(Object.keys(updates).map(key => [key, oldData[key]]))
+                    );
+                }
+            }
+        };
+    }
+    
+    // Moves a connection's ends ({ from, to }); label, type and description stay with it
+    createRewireConnectionCommand(connectionId, endpoints, name) {
+        const connection = this.canvasEngine.connections.find(conn => conn.id === connectionId);
+        if (!connection) return null;
+        
+        const oldEndpoints = { from: connection.from, to: connection.to };
+        
+        return {
+            name,
+            execute: () => {
+                if (this.canvasEngine) {
+                    this.canvasEngine.updateConnection(connectionId, endpoints);
+                }
+            },
+            undo: () => {
+                if (this.canvasEngine) {
+                    this.canvasEngine.updateConnection(connectionId, oldEndpoints);
+                }
+            }
+        };
+    }
+    
+    // Switches a connection between two waypoint lists
+    createConnectionWaypointsCommand(name, connectionId, from, to) {
+        return {
+            name,
+            execute: () => {
+                if (this.canvasEngine) {
+                    this.canvasEngine.updateConnection(connectionId, { waypoints: to });
+                }
+            },
+            undo: () => {
+                if (this.canvasEngine) {
+                    this.canvasEngine.updateConnection(connectionId, { waypoints: from });
                 }
             }
         };
@@ -998,42 +2275,170 @@ class ArchitectureApp {
     
     // Layer interaction
     handleLayerToggle(layerId, visible, layer) {
-        // Add smooth fade animation for layer visibility
-        if (this.canvasEngine) {
-            const duration = 200;
-            const startTime = Date.now();
-            
-            const animate = () => {
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(elapsed / duration, 1);
-                
-                // Update layer opacity based on visibility and animation progress
-                const targetOpacity = visible ? 1 : 0;
-                const currentOpacity = visible ? progress : 1 - progress;
-                
-                // Store opacity in layer for rendering
-                layer.opacity = currentOpacity;
-                
+        // Record toggles made from the UI; toggles replayed by undo/redo are already in the history
+        if (!this.applyingCommand) {
+            this.executeCommand(this.createLayerVisibilityCommand(layerId, visible));
+        }
+        
+        // The canvas engine fades the layer itself; hidden nodes can't stay selected
+        if (!visible && this.canvasEngine) {
+            const { nodes, connections } = this.canvasEngine.getSelection();
+            const hiddenIds = new Set(nodes.filter(node => node.layer === layerId).map(node => node.id));
+            if (hiddenIds.size > 0) {
+                this.canvasEngine.setSelection(
+                    nodes.filter(node => !hiddenIds.has(node.id)),
+                    connections.filter(conn => !hiddenIds.has(conn.from) && !hiddenIds.has(conn.to))
+                );
                 this.canvasEngine.render();
-                
-                if (progress < 1) {
-                    requestAnimationFrame(animate);
-                } else {
-                    layer.opacity = targetOpacity;
+            }
+        }
+    }
+    
+    getMoveName(moves) {
+        return moves.length === 1 ?
+            `Move Node: ${this.canvasEngine.nodes.get(moves[0].nodeId)?.label || moves[0].nodeId}` :
+            `Move ${moves.length} Nodes`;
+    }
+    
+    handleNodesMoved(moves, layerDrop) {
+        const name = this.getMoveName(moves);
+        
+        // The drag already moved the nodes; record it together with any layer drop
+        this.runTransaction(name, () => {
+            this.executeCommand(this.createMoveNodesCommand(name, moves));
+            if (layerDrop) {
+                const node = this.canvasEngine.nodes.get(layerDrop.node.id);
+                if (node) {
+                    this.handleNodeLayerDrop(node, layerDrop.layerId);
                 }
-            };
-            
-            requestAnimationFrame(animate);
+            }
+        });
+    }
+    
+    // Move the selected nodes (and the contents of selected containers) by a few pixels
+    nudgeSelection(dx, dy) {
+        if (!this.canvasEngine) return;
+        
+        const nodes = this.canvasEngine.getNodesWithDescendants(this.canvasEngine.getSelection().nodes);
+        if (nodes.length === 0) return;
+        
+        // Repeated presses on the same selection extend the last nudge instead of filling the history
+        const last = this.lastNudge;
+        const sameNodes = last && last.moves.length === nodes.length &&
+            nodes.every(node => last.moves.some(move => move.nodeId === node.id));
+        if (sameNodes && this.commandHistory[this.historyIndex] === last.command && Date.now() - last.time < 1000) {
+            last.moves.forEach(move => {
+                move.to = { x: move.to.x + dx, y: move.to.y + dy };
+            });
+            last.command.execute();
+            last.time = Date.now();
+        } else {
+            const moves = nodes.map(node => ({
+                nodeId: node.id,
+                from: { x: node.x, y: node.y },
+                to: { x: node.x + dx, y: node.y + dy }
+            }));
+            const command = this.createMoveNodesCommand(this.getMoveName(moves), moves);
+            this.executeCommand(command);
+            this.lastNudge = { command, moves, time: Date.now() };
+        }
+        
+        this.canvasEngine.render();
+    }
+    
+    handleNodeLayerDrop(node, layerId) {
+        // Dropping part of a multi-selection moves the whole selection
+        if (this.canvasEngine.selectedNodes.has(node) && this.canvasEngine.selectedNodes.size > 1) {
+            this.moveSelectionToLayer(layerId);
+            return;
+        }
+        
+        const command = this.createUpdateNodeCommand(
+            node.id,
+            { label: node.label, layer: node.layer },
+            { label: node.label, layer: layerId }
+        );
+        this.executeCommand(command);
+        this.canvasEngine.render();
+        
+        const layerName = this.layerManager?.getLayerName(layerId) || layerId;
+        this.showToast(`Moved ${node.label} to ${layerName}`);
+    }
+    
+    toggleLayerByIndex(index) {
+        if (this.layerManager) {
+            const layers = this.layerManager.getLayerData();
+            if (index < layers.length) {
+                const layer = layers[index];
+                this.layerManager.toggleLayer(layer.id);
+            }
         }
     }
     
-    toggleLayerByIndex(index) {
-        if (this.layerManager) {
-            const layers = this.layerManager.getLayerData();
-            if (index < layers.length) {
-                const layer = layers[index];
-                this.layerManager.toggleLayer(layer.id);
+    // Layer changes from the layer panel; each is a single undo step
+    createLayer(values) {
+        if (!this.layerManager) return;
+        
+        const layerData = {
+            id: Utils.generateId(),
+            ...values,
+            visible: true,
+            // New layers go to the bottom of the list
+            order: Math.max(-1, ...this.layerManager.getLayerData().map(layer => layer.order)) + 1
+        };
+        this.executeCommand(this.createAddLayerCommand(layerData));
+        this.canvasEngine?.render();
+        this.showToast(`Added layer: ${layerData.name}`);
+    }
+    
+    editLayer(layerId, updates) {
+        const layer = this.layerManager?.layers.get(layerId);
+        if (!layer || Object.keys(updates).every(key => updates[key] === layer[key])) return;
+        
+        this.executeCommand(this.createUpdateLayerCommand(layerId, updates));
+        this.canvasEngine?.render();
+    }
+    
+    reorderLayers(layerIds) {
+        if (!this.layerManager) return;
+        
+        this.executeCommand(this.createReorderLayersCommand(layerIds));
+        this.canvasEngine?.render();
+    }
+    
+    // Delete a layer after moving its nodes to the moveTo layer or, without one, deleting them
+    deleteLayer(layerId, moveTo = null) {
+        const layer = this.layerManager?.layers.get(layerId);
+        if (!layer || !this.canvasEngine || this.layerManager.layers.size < 2) return;
+        if (moveTo && (moveTo === layerId || !this.layerManager.layers.has(moveTo))) return;
+        
+        const nodes = Array.from(this.canvasEngine.nodes.values()).filter(node => node.layer === layerId);
+        const name = layer.name;
+        
+        this.runTransaction(`Delete Layer: ${name}`, () => {
+            if (moveTo) {
+                nodes.forEach(node => this.executeCommand(this.createUpdateNodeCommand(
+                    node.id,
+                    { label: node.label, layer: layerId },
+                    { label: node.label, layer: moveTo }
+                )));
+            } else {
+                // Deleting a container deletes what it holds, as when deleting a selection
+                this.canvasEngine.getNodesWithDescendants(nodes).forEach(node => {
+                    this.executeCommand(this.createRemoveNodeCommand(node.id));
+                });
             }
+            this.executeCommand(this.createRemoveLayerCommand(layerId));
+        });
+        
+        this.canvasEngine.render();
+        if (nodes.length === 0) {
+            this.showToast(`Deleted layer: ${name}`);
+        } else {
+            const count = `${nodes.length} node${nodes.length === 1 ? '' : 's'}`;
+            this.showToast(moveTo ?
+                `Deleted layer: ${name}; moved ${count} to ${this.layerManager.getLayerName(moveTo)}` :
+                `Deleted layer: ${name} and its ${count}`);
         }
     }
     
@@ -1052,13 +2457,33 @@ class ArchitectureApp {
                 );
                 
                 // Highlight the node
-                this.canvasEngine.selectedNode = node;
+                this.canvasEngine.setSelection([node]);
                 this.canvasEngine.render();
             }
         }
         this.closeModal();
     }
     
+    // Pan to a connection's label and select it
+    focusConnection(connectionId) {
+        if (!this.canvasEngine) return;
+        
+        const connection = this.canvasEngine.connections.find(conn => conn.id === connectionId);
+        const midpoint = connection && this.canvasEngine.getConnectionMidpoint(connection);
+        if (!midpoint) return;
+        
+        const { viewport, canvas } = this.canvasEngine;
+        this.animateViewport(
+            viewport.x,
+            viewport.y,
+            canvas.clientWidth / 2 - midpoint.x * viewport.zoom,
+            canvas.clientHeight / 2 - midpoint.y * viewport.zoom
+        );
+        
+        this.canvasEngine.setSelection([], [connection]);
+        this.canvasEngine.render();
+    }
+    
     highlightConnections(nodeId) {
         if (this.canvasEngine) {
             const node = this.canvasEngine.nodes.get(nodeId);
@@ -1100,6 +2525,136 @@ class ArchitectureApp {
         this.closeModal();
     }
     
+    // Canvas context menu; items depend on what was right-clicked
+    showContextMenu({ node, connection, worldPos, clientX, clientY }) {
+        const menu = document.getElementById('context-menu');
+        if (!menu || !this.canvasEngine) return;
+        
+        const items = node ? this.getNodeMenuItems(node) :
+            connection ? this.getConnectionMenuItems(connection) :
+            this.getCanvasMenuItems(worldPos);
+        
+        menu.innerHTML = '';
+        this.renderContextMenuItems(menu, items);
+        menu.classList.add('show');
+        
+        // Open towards the inside of the window near its edges
+        const rect = menu.getBoundingClientRect();
+        menu.style.left = `${Math.max(Math.min(clientX, window.innerWidth - rect.width - 4), 0)}px`;
+        menu.style.top = `${Math.max(Math.min(clientY, window.innerHeight - rect.height - 4), 0)}px`;
+    }
+    
+    hideContextMenu() {
+        const menu = document.getElementById('context-menu');
+        if (menu) {
+            menu.classList.remove('show');
+        }
+    }
+    
+    getNodeMenuItems(node) {
+        // Duplicate, delete and move act on the whole selection the node belongs to
+        const nodes = this.canvasEngine.getSelection().nodes;
+        const suffix = nodes.length > 1 ? ` ${nodes.length} Nodes` : '';
+        
+        return [
+            { label: 'Edit', icon: 'fas fa-edit', run: () => this.showEditNodeModal(node.id) },
+            { label: `Duplicate${suffix}`, icon: 'fas fa-clone', run: () => this.duplicateNodes(nodes) },
+            { label: 'View Code', icon: 'fas fa-code', disabled: !node.code, run: () => this.showCodeForNodeById(node.id) },
+            { label: 'Show Connections', icon: 'fas fa-project-diagram', run: () => this.highlightConnections(node.id) },
+            {
+                label: `Move${suffix} to Layer`,
+                icon: 'fas fa-layer-group',
+                items: (this.layerManager?.getLayerData() || []).map(layer => ({
+                    label: layer.name,
+                    color: layer.color,
+                    disabled: nodes.every(selected => selected.layer === layer.id),
+                    run: () => this.moveSelectionToLayer(layer.id)
+                }))
+            },
+            { separator: true },
+            { label: `Delete${suffix}`, icon: 'fas fa-trash', danger: true, run: () => this.deleteSelection() }
+        ];
+    }
+    
+    getConnectionMenuItems(connection) {
+        return [
+            { label: 'Details', icon: 'fas fa-info-circle', run: () => this.showConnectionDetails(connection) },
+            { label: 'Edit', icon: 'fas fa-edit', run: () => this.showConnectionEditModal(connection) },
+            { label: 'Reverse Direction', icon: 'fas fa-exchange-alt', run: () => this.reverseConnection(connection.id) },
+            { separator: true },
+            {
+                label: 'Delete',
+                icon: 'fas fa-trash',
+                danger: true,
+                run: () => {
+                    this.executeCommand(this.createDeleteConnectionCommand(connection));
+                    this.canvasEngine.render();
+                }
+            }
+        ];
+    }
+    
+    getCanvasMenuItems(worldPos) {
+        return [
+            { label: 'Add Node Here', icon: 'fas fa-plus', run: () => this.showNodeCreationModal(worldPos) },
+            // No paste event here, so ask the browser for the clipboard text
+            { label: 'Paste Here', icon: 'fas fa-paste', run: async () => this.pasteNode(worldPos, await Utils.readClipboardText()) },
+            { label: 'Auto Layout', icon: 'fas fa-magic', run: () => this.autoLayoutNodes() }
+        ];
+    }
+    
+    // Items are { label, icon, run, disabled, danger, color }, { items } for a submenu, or { separator }
+    renderContextMenuItems(container, items) {
+        items.forEach(item => {
+            if (item.separator) {
+                const separator = document.createElement('div');
+                separator.className = 'context-menu-separator';
+                container.appendChild(separator);
+                return;
+            }
+            
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'context-menu-item';
+            button.classList.toggle('danger', !!item.danger);
+            button.disabled = !!item.disabled;
+            
+            const icon = document.createElement('i');
+            icon.className = item.icon || 'fas fa-circle context-menu-swatch';
+            if (item.color) {
+                icon.style.color = item.color;
+            }
+            button.appendChild(icon);
+            
+            const label = document.createElement('span');
+            label.textContent = item.label;
+            button.appendChild(label);
+            
+            if (item.items) {
+                const wrapper = document.createElement('div');
+                wrapper.className = 'context-menu-submenu';
+                const submenu = document.createElement('div');
+                submenu.className = 'context-menu context-menu-nested';
+                this.renderContextMenuItems(submenu, item.items);
+                
+                const arrow = document.createElement('i');
+                arrow.className = 'fas fa-chevron-right context-menu-arrow';
+                button.appendChild(arrow);
+                button.disabled = item.items.length === 0;
+                
+                wrapper.append(button, submenu);
+                container.appendChild(wrapper);
+                return;
+            }
+            
+            button.addEventListener('click', () => {
+                this.hideContextMenu();
+                item.run();
+            });
+            container.appendChild(button);
+        });
+    }
+    
     // Modal management
     showModal(title, content) {
         const modal = document.getElementById('node-modal');
@@ -1121,7 +2676,7 @@ class ArchitectureApp {
     }
     
     // Architecture template loading
-    loadArchitectureTemplate(templateName) {
+    loadArchitectureTemplate(templateName, options = {}) {
         if (!templateName) return;
         
         this.showLoading(true);
@@ -1131,21 +2686,44 @@ class ArchitectureApp {
             const templateData = ArchitectureData.getTemplate(templateName);
             
             if (templateData) {
-                this.loadTemplateData(templateData);
+                this.loadTemplateData(templateData, options);
             } else {
                 console.warn(`Template not found: ${templateName}`);
-                this.createFallbackData();
+                this.createFallbackData(options);
             }
             
             this.showLoading(false);
         }, 500);
     }
     
-    loadTemplateData(templateData) {
+    // Loading a template is one undoable step; pass { record: false } to start the history from it instead
+    loadTemplateData(templateData, { record = true } = {}) {
         if (this.canvasEngine && this.layerManager) {
-            this.canvasEngine.setData(templateData);
-            this.layerManager.setLayerData(templateData.layers);
-            this.layerManager.updateStats();
+            const snapshot = {
+                nodes: templateData.nodes || [],
+                connections: templateData.connections || [],
+                layers: templateData.layers || []
+            };
+            
+            if (record) {
+                // A template replaces the whole tree, so start again from its top level
+                const name = `Load Template: ${templateData.name || 'Diagram'}`;
+                this.runTransaction(name, () => {
+                    if (this.diagramStack.length > 0) {
+                        this.executeCommand(this.createNavigateCommand([]));
+                    }
+                    this.executeCommand(this.createReplaceDiagramCommand(name, snapshot));
+                });
+            } else {
+                this.diagramStack = [];
+                this.updateBreadcrumb();
+                this.restoreDiagramSnapshot(snapshot);
+                this.canvasEngine.render();
+                
+                this.commandHistory = [];
+                this.historyIndex = -1;
+                this.updateHistoryPanel();
+            }
             
             // Fit to screen after a short delay
             setTimeout(() => {
@@ -1154,7 +2732,7 @@ class ArchitectureApp {
         }
     }
     
-    createFallbackData() {
+    createFallbackData(options = {}) {
         // Fallback data if template is not found
         const fallbackData = {
             layers: [
@@ -1166,7 +2744,7 @@ class ArchitectureApp {
             connections: []
         };
         
-        this.loadTemplateData(fallbackData);
+        this.loadTemplateData(fallbackData, options);
     }
     
     showLoading(show) {
@@ -1186,7 +2764,7 @@ class ArchitectureApp {
     
     loadInitialData() {
         // Load default architecture template
-        this.loadArchitectureTemplate('microservices');
+        this.loadArchitectureTemplate('microservices', { record: false });
     }
     
     // Public API for external access
@@ -1233,8 +2811,9 @@ class ArchitectureApp {
     }
     
     // Node Creation and Management
-    showNodeCreationModal() {
+    showNodeCreationModal(position = null) {
         const modal = document.getElementById('node-creation-modal');
+        this.nodeCreationPosition = position;
         const layerSelect = document.getElementById('node-layer');
         
         // Populate layer options
@@ -1285,8 +2864,11 @@ class ArchitectureApp {
             codeLanguage: 'javascript'
         };
         
-        // Position new node in center of viewport
-        if (this.canvasEngine) {
+        // Position new node where it was asked for, or in center of viewport
+        if (this.nodeCreationPosition) {
+            nodeData.x = this.nodeCreationPosition.x;
+            nodeData.y = this.nodeCreationPosition.y;
+        } else if (this.canvasEngine) {
             const canvas = this.canvasEngine.canvas;
             const viewport = this.canvasEngine.viewport;
             nodeData.x = (-viewport.x + canvas.clientWidth / 2) / viewport.zoom;
@@ -1389,6 +2971,7 @@ class ArchitectureApp {
         let currentY = -300;
         const layerSpacing = 200;
         const nodeSpacing = 180;
+        const moves = [];
         
         Object.keys(nodesByLayer).forEach(layerId => {
             const layerNodes = nodesByLayer[layerId];
@@ -1402,14 +2985,18 @@ class ArchitectureApp {
                 const row = Math.floor(index / nodesPerRow);
                 const col = index % nodesPerRow;
                 
-                node.x = startX + col * nodeSpacing;
-                node.y = currentY + row * nodeSpacing;
+                moves.push({
+                    nodeId: node.id,
+                    from: { x: node.x, y: node.y },
+                    to: { x: startX + col * nodeSpacing, y: currentY + row * nodeSpacing }
+                });
             });
             
             const rows = Math.ceil(layerNodes.length / nodesPerRow);
             currentY += (rows - 1) * nodeSpacing + layerSpacing;
         });
         
+        this.executeCommand(this.createMoveNodesCommand('Auto Layout', moves));
         this.canvasEngine.render();
         
         // Fit to screen after layout
@@ -1419,17 +3006,13 @@ class ArchitectureApp {
     }
     
     clearAllNodes() {
-        if (!confirm('Are you sure you want to clear all nodes? This action cannot be undone.')) {
+        if (!confirm('Are you sure you want to clear all nodes? You can undo this from the history.')) {
             return;
         }
         
         if (this.canvasEngine) {
-            this.canvasEngine.clearAll();
+            this.executeCommand(this.createReplaceDiagramCommand('Clear All', { nodes: [], connections: [] }));
             this.canvasEngine.render();
-            
-            if (this.layerManager) {
-                this.layerManager.updateStats();
-            }
         }
     }
     
@@ -1440,13 +3023,20 @@ class ArchitectureApp {
             return;
         }
         
+        // Export the whole tree from the top level, whichever level is open
+        const tree = this.getDiagramTree();
+        const topViewport = this.diagramStack.length > 0 ? this.diagramStack[0].viewport : this.canvasEngine.viewport;
+        
         const diagramData = {
             version: '1.0.0',
             timestamp: new Date().toISOString(),
-            nodes: Array.from(this.canvasEngine.nodes.values()),
-            connections: this.canvasEngine.connections,
-            layers: this.layerManager ? this.layerManager.getLayerData() : [],
-            viewport: this.canvasEngine.viewport ? { ...this.canvasEngine.viewport } : null
+            nodes: tree.nodes,
+            connections: tree.connections,
+            layers: tree.layers,
+            viewport: topViewport ? { ...topViewport } : null,
+            routingMode: this.canvasEngine.routingMode,
+            layerRegionMode: this.canvasEngine.layerRegionMode,
+            filters: this.savedFilters.map(filter => ({ ...filter }))
         };
         
         const dataStr = JSON.stringify(diagramData, null, 2);
@@ -1499,136 +3089,688 @@ class ArchitectureApp {
             return;
         }
         
-        // Clear existing diagram
-        this.canvasEngine.clearAll();
+        // Replace the whole tree as one undoable step; sub-diagrams travel inside their nodes
+        this.runTransaction('Import Diagram', () => {
+            if (this.diagramStack.length > 0) {
+                this.executeCommand(this.createNavigateCommand([]));
+            }
+            this.executeCommand(this.createReplaceDiagramCommand('Import Diagram', {
+                nodes: Array.isArray(diagramData.nodes) ? diagramData.nodes : [],
+                connections: Array.isArray(diagramData.connections) ? diagramData.connections : [],
+                layers: this.getImportedLayers(diagramData)
+            }));
+        });
         
-        // Import nodes
-        if (diagramData.nodes && Array.isArray(diagramData.nodes)) {
-            diagramData.nodes.forEach(nodeData => {
-                this.canvasEngine.addNode(nodeData);
-            });
+        // Restore viewport (if available)
+        if (diagramData.viewport && this.canvasEngine.viewport) {
+            Object.assign(this.canvasEngine.viewport, diagramData.viewport);
         }
         
-        // Import connections
-        if (diagramData.connections && Array.isArray(diagramData.connections)) {
-            diagramData.connections.forEach(connData => {
-                this.canvasEngine.addConnection(connData);
-            });
+        if (diagramData.routingMode) {
+            this.setConnectionRouting(diagramData.routingMode);
         }
         
-        // Import layers (if available) - for now, just note that layers exist
-        if (diagramData.layers && Array.isArray(diagramData.layers)) {
-            console.log('Imported diagram contains layer data:', diagramData.layers);
-            // Layer import could be enhanced in the future
+        if (diagramData.layerRegionMode) {
+            this.setLayerRegions(diagramData.layerRegionMode);
         }
         
-        // Restore viewport (if available)
-        if (diagramData.viewport && this.canvasEngine.viewport) {
-            Object.assign(this.canvasEngine.viewport, diagramData.viewport);
+        if (Array.isArray(diagramData.filters)) {
+            this.savedFilters = diagramData.filters
+                .filter(filter => typeof filter?.name === 'string' && typeof filter.query === 'string')
+                .map(filter => ({ name: filter.name, query: filter.query, mode: filter.mode === 'hide' ? 'hide' : 'dim' }));
+            this.renderSavedFilters();
+        }
+        
+        this.canvasEngine.render();
+        
+        console.log('Diagram imported successfully:', diagramData);
+    }
+    
+    exportDiagramAsImage() {
+        if (!this.canvasEngine) {
+            alert('No diagram to export.');
+            return;
+        }
+        
+        const canvas = this.canvasEngine.canvas;
+        
+        // Exported images always carry the legend
+        this.canvasEngine.render({ legend: true });
+        
+        // Create a temporary canvas with white background
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = canvas.width;
+        tempCanvas.height = canvas.height;
+        const tempCtx = tempCanvas.getContext('2d');
+        
+        // Fill with white background
+        tempCtx.fillStyle = '#ffffff';
+        tempCtx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
+        
+        // Draw the current canvas content on top
+        tempCtx.drawImage(canvas, 0, 0);
+        this.canvasEngine.render();
+        
+        // Create download link
+        tempCanvas.toBlob((blob) => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `architecture-diagram-${new Date().toISOString().split('T')[0]}.png`;
+            
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            
+            this.showToast('Image exported successfully');
+        }, 'image/png', 1.0);
+    }
+    
+    // Copy/Paste functionality
+    // Writes to a copy event's clipboardData when given, else through the Clipboard API
+    copySelectedNode(clipboardData = null) {
+        let nodes = this.canvasEngine ? this.canvasEngine.getSelection().nodes : [];
+        if (nodes.length === 0) {
+            alert('No node selected. Click on a node first, then copy.');
+            return;
+        }
+        
+        nodes = this.canvasEngine.getNodesWithDescendants(nodes);
+        this.nodeClipboard = this.getNodeCopyData(nodes);
+        
+        // The system clipboard gets a JSON payload, so the nodes can be pasted in another tab or diagram
+        const payload = JSON.stringify(this.createClipboardPayload(this.nodeClipboard));
+        if (clipboardData) {
+            clipboardData.setData('text/plain', payload);
+        } else {
+            Utils.copyToClipboard(payload);
+        }
+        
+        console.log('Nodes copied to clipboard:', this.nodeClipboard.nodes.map(node => node.label));
+        
+        // Visual feedback
+        this.showToast(nodes.length === 1 ?
+            `Copied "${nodes[0].label}" to clipboard` :
+            `Copied ${nodes.length} nodes to clipboard`);
+    }
+    
+    // Containers are copied with their contents, along with the connections between copied nodes
+    getNodeCopyData(nodes) {
+        nodes = this.canvasEngine.getNodesWithDescendants(nodes);
+        const nodeIds = new Set(nodes.map(node => node.id));
+        return {
+            nodes: nodes.map(node => ({ ...node })),
+            connections: this.canvasEngine.connections
+                .filter(conn => nodeIds.has(conn.from) && nodeIds.has(conn.to))
+                .map(conn => ({ ...conn }))
+        };
+    }
+    
+    // Clipboard payload for copied nodes; their layers travel along so a paste elsewhere can match them by name
+    createClipboardPayload({ nodes, connections }) {
+        const layerIds = new Set(nodes.map(node => node.layer));
+        return {
+            format: 'architecture-flow-visualizer/nodes',
+            version: 1,
+            nodes,
+            connections,
+            layers: (this.layerManager?.getLayerData() || [])
+                .filter(layer => layerIds.has(layer.id))
+                .map(({ id, name, color }) => ({ id, name, color }))
+        };
+    }
+    
+    // Paste at a world position (e.g. where the context menu was opened), else at the cursor or around the view centre.
+    // `text` is the system clipboard's, so copies from other tabs and apps paste here too; without it the last copy is used
+    pasteNode(position = null, text = null) {
+        if (!this.canvasEngine) return;
+        
+        const data = this.getPasteData(text);
+        if (!data) {
+            this.showToast(text ? 'The clipboard holds no nodes or list of names' : 'Nothing to paste. Copy a node first.');
+            return;
+        }
+        
+        this.pasteData(data, position);
+    }
+    
+    // Recognised clipboard text, or the last copy when the clipboard has no text; null when there's nothing to paste
+    getPasteData(text) {
+        if (!this.canvasEngine) return null;
+        return text ? this.parseClipboardText(text) : this.nodeClipboard;
+    }
+    
+    pasteData(data, position = null) {
+        const pasted = this.insertNodeCopies(this.matchPastedLayers(data), position || this.getPastePosition(), 'Paste');
+        
+        console.log('Nodes pasted:', pasted.map(node => node.label));
+        this.showToast(pasted.length === 1 ? `Pasted "${pasted[0].label}"` : `Pasted ${pasted.length} nodes`);
+    }
+    
+    getPastePosition() {
+        if (this.canvasPointer) {
+            return this.canvasEngine.screenToWorld(this.canvasPointer);
+        }
+        
+        const canvas = this.canvasEngine.canvas;
+        const viewport = this.canvasEngine.viewport;
+        return {
+            x: (-viewport.x + canvas.clientWidth / 2) / viewport.zoom + Math.random() * 100 - 50,
+            y: (-viewport.y + canvas.clientHeight / 2) / viewport.zoom + Math.random() * 100 - 50
+        };
+    }
+    
+    // Turn clipboard text into { nodes, connections, layers }: our own JSON payload, or a list of
+    // names (one per line, or bulleted/numbered) that becomes one node each. Other text isn't pasted
+    parseClipboardText(text) {
+        try {
+            const payload = JSON.parse(text);
+            if (payload?.format !== 'architecture-flow-visualizer/nodes' || !Array.isArray(payload.nodes)) return null;
+            
+            const nodes = payload.nodes.filter(node => node?.id && Number.isFinite(node.x) && Number.isFinite(node.y));
+            const nodeIds = new Set(nodes.map(node => node.id));
+            if (nodes.length === 0) return null;
+            
+            return {
+                nodes,
+                connections: (Array.isArray(payload.connections) ? payload.connections : [])
+                    .filter(conn => nodeIds.has(conn?.from) && nodeIds.has(conn?.to)),
+                layers: Array.isArray(payload.layers) ? payload.layers : []
+            };
+        } catch (error) {
+            // Not JSON; try a list of names
+        }
+        
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        const listMarker = /^(?:[-*•]|\d+[.)])\s+/;
+        
+        // A single unmarked line is just text, e.g. a sentence, not a list
+        if (lines.length < 2 && !lines.some(line => listMarker.test(line))) {
+            return null;
+        }
+        
+        const names = lines.map(line => line.replace(listMarker, '').trim()).filter(Boolean);
+        
+        if (names.length === 0 || names.length > 100 || names.some(name => name.length > 80)) {
+            return null;
+        }
+        
+        return { nodes: this.createNodesFromNames(names), connections: [], layers: [] };
+    }
+    
+    // New service nodes in a grid, on the selected node's layer or the first layer
+    createNodesFromNames(names) {
+        const { width, height } = this.canvasEngine.config.nodeSize;
+        const columns = Math.ceil(Math.sqrt(names.length));
+        const layer = this.canvasEngine.selectedNode?.layer || this.layerManager?.getLayerData()[0]?.id || 'default';
+        
+        return names.map((label, index) => ({
+            id: `pasted-${index}`,
+            label,
+            type: 'service',
+            layer,
+            icon: 'fas fa-cube',
+            description: '',
+            x: (index % columns) * (width + 40),
+            y: Math.floor(index / columns) * (height + 40),
+            code: '',
+            codeLanguage: 'javascript'
+        }));
+    }
+    
+    // Nodes pasted from another diagram keep their layer if it exists here, else move to
+    // the layer with the same name, else to the first layer
+    matchPastedLayers(data) {
+        const layers = this.layerManager?.getLayerData() || [];
+        if (layers.length === 0) return data;
+        
+        const layersByName = new Map(layers.map(layer => [layer.name.toLowerCase(), layer.id]));
+        const sourceLayers = new Map((data.layers || []).map(layer => [layer.id, layer]));
+        const layerFor = (layerId) => {
+            if (this.canvasEngine.layers.has(layerId)) return layerId;
+            const name = sourceLayers.get(layerId)?.name?.toLowerCase();
+            return layersByName.get(name) || layers[0].id;
+        };
+        
+        return { ...data, nodes: data.nodes.map(node => ({ ...node, layer: layerFor(node.layer) })) };
+    }
+    
+    // Copy nodes next to the originals without touching the clipboard
+    duplicateNodes(nodes) {
+        if (!this.canvasEngine || nodes.length === 0) return;
+        
+        const data = this.getNodeCopyData(nodes);
+        const offset = 40;
+        const center = {
+            x: data.nodes.reduce((sum, node) => sum + node.x, 0) / data.nodes.length + offset,
+            y: data.nodes.reduce((sum, node) => sum + node.y, 0) / data.nodes.length + offset
+        };
+        
+        const copies = this.insertNodeCopies(data, center, 'Duplicate');
+        this.showToast(copies.length === 1 ? `Duplicated "${nodes[0].label}"` : `Duplicated ${copies.length} nodes`);
+    }
+    
+    // Add copies of { nodes, connections } with fresh ids, centred on a world position,
+    // as one undoable step; returns the new nodes
+    insertNodeCopies({ nodes, connections }, center, verb) {
+        const centerX = center.x;
+        const centerY = center.y;
+        const sourceX = nodes.reduce((sum, node) => sum + node.x, 0) / nodes.length;
+        const sourceY = nodes.reduce((sum, node) => sum + node.y, 0) / nodes.length;
+        
+        const idMap = new Map(nodes.map(node => [node.id, this.generateNodeId()]));
+        const nodeCommands = nodes.map(node => {
+            const newNodeData = {
+                ...node,
+                id: idMap.get(node.id),
+                // Only copies of nodes still in this diagram are marked as such
+                label: this.canvasEngine.nodes.has(node.id) ? `${node.label} (Copy)` : node.label,
+                x: node.x - sourceX + centerX,
+                y: node.y - sourceY + centerY,
+                // Copies stay nested only inside copied containers
+                parent: idMap.get(node.parent)
+            };
+            return this.createAddNodeCommand(newNodeData);
+        });
+        
+        const connectionCommands = connections.map(conn => this.createInsertConnectionCommand({
+            ...conn,
+            id: Utils.generateId(),
+            from: idMap.get(conn.from),
+            to: idMap.get(conn.to),
+            waypoints: conn.waypoints?.map(point => ({
+                x: point.x - sourceX + centerX,
+                y: point.y - sourceY + centerY
+            }))
+        }));
+        
+        // Use command system for undo/redo support
+        const name = nodes.length === 1 ? `${verb} Node: ${nodes[0].label}` : `${verb} ${nodes.length} Nodes`;
+        this.executeCommand(this.createBatchCommand(name, [...nodeCommands, ...connectionCommands]));
+        
+        // Select the copies (their contents come along with containers)
+        const copies = Array.from(idMap.values()).map(id => this.canvasEngine.nodes.get(id));
+        this.canvasEngine.setSelection(copies.filter(node => !this.canvasEngine.getParentNode(node)));
+        this.canvasEngine.render();
+        
+        return copies;
+    }
+    
+    // Selection actions
+    deleteSelection() {
+        if (!this.canvasEngine) return;
+        
+        const selection = this.canvasEngine.getSelection();
+        if (selection.nodes.length === 0 && selection.connections.length === 0) return;
+        
+        // Deleting a container deletes what it holds
+        const nodes = this.canvasEngine.getNodesWithDescendants(selection.nodes);
+        const { connections } = selection;
+        
+        // Connections attached to deleted nodes are restored by the node commands
+        const nodeIds = new Set(nodes.map(node => node.id));
+        const commands = [
+            ...connections
+                .filter(conn => !nodeIds.has(conn.from) && !nodeIds.has(conn.to))
+                .map(conn => this.createDeleteConnectionCommand(conn)),
+            ...nodes.map(node => this.createRemoveNodeCommand(node.id))
+        ];
+        
+        const count = nodes.length + connections.length;
+        this.executeCommand(this.createBatchCommand(`Delete ${count} item${count === 1 ? '' : 's'}`, commands));
+        this.canvasEngine.clearSelection();
+        this.canvasEngine.render();
+        this.showToast(`Deleted ${count} item${count === 1 ? '' : 's'}`);
+    }
+    
+    moveSelectionToLayer(layerId) {
+        if (!this.canvasEngine) return;
+        
+        const nodes = this.canvasEngine.getSelection().nodes.filter(node => node.layer !== layerId);
+        if (nodes.length === 0) return;
+        
+        const commands = nodes.map(node => this.createUpdateNodeCommand(
+            node.id,
+            { label: node.label, layer: node.layer },
+            { label: node.label, layer: layerId }
+        ));
+        
+        const layerName = this.layerManager?.getLayerName(layerId) || layerId;
+        this.executeCommand(this.createBatchCommand(`Move ${nodes.length} Nodes to ${layerName}`, commands));
+        this.canvasEngine.render();
+        this.showToast(`Moved ${nodes.length} node${nodes.length === 1 ? '' : 's'} to ${layerName}`);
+    }
+    
+    // Container nodes
+    groupSelection() {
+        if (!this.canvasEngine) return;
+        
+        // Only the outermost selected nodes move into the new container
+        const selected = this.canvasEngine.getSelection().nodes;
+        const selectedIds = new Set(selected.map(node => node.id));
+        const nodes = selected.filter(node => {
+            for (let parent = this.canvasEngine.getParentNode(node); parent; parent = this.canvasEngine.getParentNode(parent)) {
+                if (selectedIds.has(parent.id)) return false;
+            }
+            return true;
+        });
+        
+        if (nodes.length === 0) {
+            this.showToast('Select the nodes to group first');
+            return;
         }
         
-        // Re-render and update stats
+        // The new container sits where its members were, nested in their common parent if they share one
+        const parents = new Set(nodes.map(node => node.parent));
+        const containerData = {
+            id: this.generateNodeId(),
+            label: 'Group',
+            type: 'container',
+            layer: nodes[0].layer,
+            icon: 'fas fa-object-group',
+            container: true,
+            collapsed: false,
+            x: nodes.reduce((sum, node) => sum + node.x, 0) / nodes.length,
+            y: nodes.reduce((sum, node) => sum + node.y, 0) / nodes.length,
+            parent: parents.size === 1 ? [...parents][0] : undefined
+        };
+        
+        const commands = [
+            this.createAddNodeCommand(containerData),
+            ...nodes.map(node => this.createUpdateNodeCommand(
+                node.id,
+                { label: node.label, parent: node.parent },
+                { label: node.label, parent: containerData.id }
+            ))
+        ];
+        
+        this.executeCommand(this.createBatchCommand(`Group ${nodes.length} Nodes`, commands));
+        
+        // Name the group in place; leaving the editor keeps the default name
+        const container = this.canvasEngine.nodes.get(containerData.id);
+        this.canvasEngine.setSelection([container]);
+        this.canvasEngine.render();
+        this.showInlineLabelEditor({ node: container });
+    }
+    
+    ungroupContainer(nodeId) {
+        const container = this.canvasEngine?.nodes.get(nodeId);
+        if (!container || !this.canvasEngine.isContainer(container)) return;
+        
+        // Children move up to the container's own parent, then the container goes
+        const children = this.canvasEngine.getChildNodes(container);
+        const commands = [
+            ...children.map(child => this.createUpdateNodeCommand(
+                child.id,
+                { label: child.label, parent: child.parent },
+                { label: child.label, parent: container.parent }
+            )),
+            this.createRemoveNodeCommand(container.id)
+        ];
+        
+        this.executeCommand(this.createBatchCommand(`Ungroup: ${container.label}`, commands));
+        this.canvasEngine.setSelection(children);
+        this.canvasEngine.render();
+        this.showToast(`Ungrouped ${container.label}`);
+    }
+    
+    toggleContainer(nodeId) {
+        const container = this.canvasEngine?.nodes.get(nodeId);
+        if (!container || !this.canvasEngine.isContainer(container)) return;
+        
+        this.executeCommand(this.createContainerCollapseCommand(nodeId, !container.collapsed));
         this.canvasEngine.render();
+    }
+    
+    // Sub-diagram navigation
+    getDiagramPath() {
+        return this.diagramStack.map(level => level.nodeId);
+    }
+    
+    // Nodes, connections and layers of the level on the canvas
+    getCurrentDiagram() {
+        return {
+            nodes: Array.from(this.canvasEngine.nodes.values()).map(node => ({ ...node })),
+            connections: this.canvasEngine.connections.map(conn => ({ ...conn })),
+            layers: (this.layerManager?.getLayerData() || []).map(layer => ({ ...layer }))
+        };
+    }
+    
+    // The top-level diagram with the open levels folded back into the nodes that own them
+    getDiagramTree() {
+        let diagram = this.getCurrentDiagram();
+        
+        for (let i = this.diagramStack.length - 1; i >= 0; i--) {
+            const level = this.diagramStack[i];
+            diagram = {
+                nodes: level.nodes.map(node => node.id === level.nodeId ? { ...node, diagram } : node),
+                connections: level.connections,
+                layers: level.layers
+            };
+        }
+        
+        return diagram;
+    }
+    
+    loadDiagramLevel(diagram) {
+        this.canvasEngine.setData(diagram, { fit: false });
         if (this.layerManager) {
+            this.layerManager.setLayerData(diagram.layers);
             this.layerManager.updateStats();
         }
+    }
+    
+    // Open the sub-diagram of a node on the current level, creating an empty one if needed
+    enterSubDiagram(nodeId) {
+        const node = this.canvasEngine.nodes.get(nodeId);
+        if (!node) return false;
+        
+        const parent = this.getCurrentDiagram();
+        this.diagramStack.push({
+            nodeId,
+            label: node.label,
+            ...parent,
+            viewport: { ...this.canvasEngine.viewport }
+        });
         
-        // Clear command history since we're starting fresh
-        this.commandHistory = [];
-        this.historyIndex = -1;
+        // A new sub-diagram starts out with its parent's layers
+        const diagram = node.diagram || {};
+        this.loadDiagramLevel({
+            nodes: diagram.nodes || [],
+            connections: diagram.connections || [],
+            layers: diagram.layers || parent.layers
+        });
+        
+        if (this.canvasEngine.nodes.size > 0) {
+            this.canvasEngine.zoomToFit();
+        } else {
+            this.canvasEngine.centerView();
+        }
+        
+        this.updateBreadcrumb();
+        return true;
+    }
+    
+    // Go up one level, saving the current level into the node that owns it
+    exitSubDiagram() {
+        const level = this.diagramStack.pop();
+        if (!level) return null;
+        
+        const diagram = this.getCurrentDiagram();
+        const nodes = level.nodes.map(node => {
+            // Looking into a node without adding anything doesn't give it a sub-diagram
+            if (node.id !== level.nodeId || (!node.diagram && diagram.nodes.length === 0)) return node;
+            return { ...node, diagram };
+        });
+        
+        this.loadDiagramLevel({ nodes, connections: level.connections, layers: level.layers });
+        Object.assign(this.canvasEngine.viewport, level.viewport);
+        this.canvasEngine.render();
+        this.updateZoomDisplay(this.canvasEngine.viewport.zoom);
         
-        console.log('Diagram imported successfully:', diagramData);
+        this.updateBreadcrumb();
+        return level;
     }
     
-    exportDiagramAsImage() {
-        if (!this.canvasEngine) {
-            alert('No diagram to export.');
-            return;
+    // Leave and enter levels until the open path matches (a list of node ids from the top)
+    setDiagramPath(path) {
+        this.levelTransition = null;
+        
+        while (this.diagramStack.length > path.length ||
+               this.getDiagramPath().some((nodeId, i) => nodeId !== path[i])) {
+            this.exitSubDiagram();
         }
         
-        const canvas = this.canvasEngine.canvas;
+        for (const nodeId of path.slice(this.diagramStack.length)) {
+            if (!this.enterSubDiagram(nodeId)) break;
+        }
+    }
+    
+    // Navigation is recorded so that undo and redo always act on the level they were made on
+    createNavigateCommand(path) {
+        const fromPath = this.getDiagramPath();
+        const target = path.length > 0 ?
+            (this.canvasEngine.nodes.get(path[path.length - 1])?.label ||
+             this.diagramStack[path.length - 1]?.label ||
+             path[path.length - 1]) :
+            'Overview';
         
-        // Create a temporary canvas with white background
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = canvas.width;
-        tempCanvas.height = canvas.height;
-        const tempCtx = tempCanvas.getContext('2d');
+        return {
+            name: path.length > fromPath.length ? `Open: ${target}` : `Back to: ${target}`,
+            execute: () => this.setDiagramPath(path),
+            undo: () => this.setDiagramPath(fromPath)
+        };
+    }
+    
+    openSubDiagram(nodeId) {
+        const node = this.canvasEngine?.nodes.get(nodeId);
+        if (!node) return;
         
-        // Fill with white background
-        tempCtx.fillStyle = '#ffffff';
-        tempCtx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
+        this.executeCommand(this.createNavigateCommand([...this.getDiagramPath(), nodeId]));
+        this.animateLevelTransition('in');
+    }
+    
+    // Go back up to a level of the breadcrumb (0 is the top level)
+    navigateToLevel(depth) {
+        if (depth < 0 || depth >= this.diagramStack.length) return;
         
-        // Draw the current canvas content on top
-        tempCtx.drawImage(canvas, 0, 0);
+        const ownerId = this.diagramStack[depth].nodeId;
+        this.executeCommand(this.createNavigateCommand(this.getDiagramPath().slice(0, depth)));
+        this.animateLevelTransition('out', ownerId);
+    }
+    
+    /**
+     * Zoom into the new level from far away, or out of the node that was just
+     * left, ending at the viewport the level already has
+     */
+    animateLevelTransition(direction, focusNodeId = null) {
+        const engine = this.canvasEngine;
+        const viewport = engine.viewport;
+        const width = engine.canvas.clientWidth;
+        const height = engine.canvas.clientHeight;
+        const target = { zoom: viewport.zoom };
+        target.center = { x: (width / 2 - viewport.x) / viewport.zoom, y: (height / 2 - viewport.y) / viewport.zoom };
+        
+        const focusNode = focusNodeId ? engine.nodes.get(focusNodeId) : null;
+        const start = direction === 'in' ?
+            { zoom: target.zoom * 0.25, center: target.center } :
+            { zoom: Math.min(target.zoom * 4, viewport.maxZoom), center: focusNode ? { x: focusNode.x, y: focusNode.y } : target.center };
+        
+        const token = {};
+        this.levelTransition = token;
         
-        // Create download link
-        tempCanvas.toBlob((blob) => {
-            const link = document.createElement('a');
-            link.href = URL.createObjectURL(blob);
-            link.download = `architecture-diagram-${new Date().toISOString().split('T')[0]}.png`;
-            
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            this.showToast('Image exported successfully');
-        }, 'image/png', 1.0);
+        Utils.animate({
+            from: 0,
+            to: 1,
+            duration: 350,
+            easing: Utils.easing.easeOutQuad,
+            onUpdate: (progress) => {
+                if (this.levelTransition !== token) return;
+                
+                // Zoom geometrically so the motion feels even at every scale
+                const zoom = start.zoom * Math.pow(target.zoom / start.zoom, progress);
+                const centerX = Utils.lerp(start.center.x, target.center.x, progress);
+                const centerY = Utils.lerp(start.center.y, target.center.y, progress);
+                viewport.zoom = zoom;
+                viewport.x = width / 2 - centerX * zoom;
+                viewport.y = height / 2 - centerY * zoom;
+                engine.render();
+            },
+            onComplete: () => {
+                if (this.levelTransition === token) {
+                    this.levelTransition = null;
+                    this.updateZoomDisplay(viewport.zoom);
+                }
+            }
+        });
     }
     
-    // Copy/Paste functionality
-    copySelectedNode() {
-        // For now, we'll copy the last clicked node
-        // In the future, this could be enhanced to support multiple selection
-        const selectedNode = this.lastClickedNode;
-        
-        if (!selectedNode) {
-            // Try to find a node that's currently highlighted or selected
-            if (this.canvasEngine && this.canvasEngine.selectedNode) {
-                this.nodeClipboard = { ...this.canvasEngine.selectedNode };
-            } else {
-                alert('No node selected. Click on a node first, then copy.');
-                return;
+    updateBreadcrumb() {
+        const breadcrumb = document.getElementById('diagram-breadcrumb');
+        if (!breadcrumb) return;
+        
+        breadcrumb.innerHTML = '';
+        breadcrumb.classList.toggle('show', this.diagramStack.length > 0);
+        
+        const labels = ['Overview', ...this.diagramStack.map(level => level.label)];
+        labels.forEach((label, depth) => {
+            if (depth > 0) {
+                const separator = document.createElement('i');
+                separator.className = 'fas fa-chevron-right breadcrumb-separator';
+                breadcrumb.appendChild(separator);
             }
-        } else {
-            this.nodeClipboard = { ...selectedNode };
-        }
-        
-        console.log('Node copied to clipboard:', this.nodeClipboard.label);
-        
-        // Visual feedback
-        this.showToast(`Copied "${this.nodeClipboard.label}" to clipboard`);
+            
+            // Every level but the current one links back up
+            const isCurrent = depth === labels.length - 1;
+            const item = document.createElement(isCurrent ? 'span' : 'button');
+            item.className = isCurrent ? 'breadcrumb-current' : 'breadcrumb-item';
+            item.textContent = label;
+            if (!isCurrent) {
+                item.dataset.depth = depth;
+                item.title = `Back to ${label}`;
+            }
+            breadcrumb.appendChild(item);
+        });
     }
     
-    pasteNode() {
-        if (!this.nodeClipboard) {
-            alert('Nothing to paste. Copy a node first.');
-            return;
+    // Show the selection bar while more than one item is selected
+    updateSelectionBar(selection) {
+        const bar = document.getElementById('selection-bar');
+        if (!bar) return;
+        
+        const count = selection.nodes.length + selection.connections.length;
+        bar.classList.toggle('show', count > 1);
+        if (count <= 1) return;
+        
+        const parts = [];
+        if (selection.nodes.length > 0) {
+            parts.push(`${selection.nodes.length} node${selection.nodes.length === 1 ? '' : 's'}`);
         }
+        if (selection.connections.length > 0) {
+            parts.push(`${selection.connections.length} connection${selection.connections.length === 1 ? '' : 's'}`);
+        }
+        document.getElementById('selection-count').textContent = `${parts.join(', ')} selected`;
         
-        // Create a new node with copied data
-        const newNodeData = {
-            ...this.nodeClipboard,
-            id: this.generateNodeId(),
-            label: `${this.nodeClipboard.label} (Copy)`,
-            x: this.nodeClipboard.x + 150, // Offset to avoid overlap
-            y: this.nodeClipboard.y + 50
-        };
-        
-        // Position near center if possible
-        if (this.canvasEngine) {
-            const canvas = this.canvasEngine.canvas;
-            const viewport = this.canvasEngine.viewport;
-            newNodeData.x = (-viewport.x + canvas.clientWidth / 2) / viewport.zoom + Math.random() * 100 - 50;
-            newNodeData.y = (-viewport.y + canvas.clientHeight / 2) / viewport.zoom + Math.random() * 100 - 50;
+        const layerSelect = document.getElementById('selection-layer');
+        if (layerSelect && this.layerManager) {
+            layerSelect.innerHTML = '<option value="">Move to layer...</option>';
+            this.layerManager.getLayerData().forEach(layer => {
+                const option = document.createElement('option');
+                option.value = layer.id;
+                option.textContent = layer.name;
+                layerSelect.appendChild(option);
+            });
+            layerSelect.disabled = selection.nodes.length === 0;
         }
         
-        // Use command system for undo/redo support
-        const command = this.createAddNodeCommand(newNodeData);
-        this.executeCommand(command);
-        this.canvasEngine?.render();
+        const copyButton = document.getElementById('selection-copy');
+        if (copyButton) {
+            copyButton.disabled = selection.nodes.length === 0;
+        }
         
-        console.log('Node pasted:', newNodeData.label);
-        this.showToast(`Pasted "${newNodeData.label}"`);
+        const groupButton = document.getElementById('selection-group');
+        if (groupButton) {
+            groupButton.disabled = selection.nodes.length === 0;
+        }
     }
     
     generateNodeId() {
@@ -1679,8 +3821,23 @@ class ArchitectureApp {
     // Command System for Undo/Redo
     executeCommand(command) {
         // Execute the command
-        command.execute();
+        this.applyingCommand = true;
+        try {
+            command.execute();
+        } finally {
+            this.applyingCommand = false;
+        }
+        
+        // Inside a transaction the command becomes part of a single history entry
+        if (this.transaction) {
+            this.transaction.commands.push(command);
+            return;
+        }
         
+        this.recordCommand(command);
+    }
+    
+    recordCommand(command) {
         // Add to history (remove any commands after current index)
         this.commandHistory = this.commandHistory.slice(0, this.historyIndex + 1);
         this.commandHistory.push(command);
@@ -1693,13 +3850,74 @@ class ArchitectureApp {
         this.historyIndex = this.commandHistory.length - 1;
         
         console.log('Command executed:', command.name, 'History index:', this.historyIndex);
+        this.updateHistoryPanel();
+    }
+    
+    /**
+     * Run fn and record every command it executes as a single history entry.
+     * If fn throws, the commands it already ran are undone.
+     */
+    runTransaction(name, fn) {
+        // Nested transactions fold into the outer one
+        if (this.transaction) {
+            return fn();
+        }
+        
+        this.transaction = { name, commands: [] };
+        let result;
+        try {
+            result = fn();
+        } catch (error) {
+            const { commands } = this.transaction;
+            this.transaction = null;
+            this.applyingCommand = true;
+            try {
+                [...commands].reverse().forEach(command => command.undo());
+            } finally {
+                this.applyingCommand = false;
+            }
+            throw error;
+        }
+        
+        const { commands } = this.transaction;
+        this.transaction = null;
+        
+        if (commands.length === 1) {
+            this.recordCommand(commands[0]);
+        } else if (commands.length > 1) {
+            this.recordCommand(this.createBatchCommand(name, commands));
+        }
+        
+        return result;
+    }
+    
+    undoStep() {
+        const command = this.commandHistory[this.historyIndex];
+        this.applyingCommand = true;
+        try {
+            command.undo();
+        } finally {
+            this.applyingCommand = false;
+        }
+        this.historyIndex--;
+        return command;
+    }
+    
+    redoStep() {
+        const command = this.commandHistory[this.historyIndex + 1];
+        this.applyingCommand = true;
+        try {
+            command.execute();
+        } finally {
+            this.applyingCommand = false;
+        }
+        this.historyIndex++;
+        return command;
     }
     
     undo() {
         if (this.historyIndex >= 0) {
-            const command = this.commandHistory[this.historyIndex];
-            command.undo();
-            this.historyIndex--;
+            const command = this.undoStep();
             
             console.log('Undone:', command.name, 'New index:', this.historyIndex);
             this.showToast(`Undone: ${command.name}`);
@@ -1708,6 +3926,7 @@ class ArchitectureApp {
             if (this.canvasEngine) {
                 this.canvasEngine.render();
             }
+            this.updateHistoryPanel();
         } else {
             this.showToast('Nothing to undo');
         }
@@ -1715,9 +3934,7 @@ class ArchitectureApp {
     
     redo() {
         if (this.historyIndex < this.commandHistory.length - 1) {
-            this.historyIndex++;
-            const command = this.commandHistory[this.historyIndex];
-            command.execute();
+            const command = this.redoStep();
             
             console.log('Redone:', command.name, 'New index:', this.historyIndex);
             this.showToast(`Redone: ${command.name}`);
@@ -1726,11 +3943,60 @@ class ArchitectureApp {
             if (this.canvasEngine) {
                 this.canvasEngine.render();
             }
+            this.updateHistoryPanel();
         } else {
             this.showToast('Nothing to redo');
         }
     }
     
+    // Undo or redo until the history is at index (-1 is the state before the first command)
+    jumpToHistory(index) {
+        index = Math.max(-1, Math.min(index, this.commandHistory.length - 1));
+        if (index === this.historyIndex) return;
+        
+        while (this.historyIndex > index) {
+            this.undoStep();
+        }
+        while (this.historyIndex < index) {
+            this.redoStep();
+        }
+        
+        if (this.canvasEngine) {
+            this.canvasEngine.render();
+        }
+        this.updateHistoryPanel();
+        
+        const command = this.commandHistory[this.historyIndex];
+        this.showToast(command ? `Jumped to: ${command.name}` : 'Jumped to initial state');
+    }
+    
+    updateHistoryPanel() {
+        const list = document.getElementById('history-list');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        
+        const entries = [{ name: 'Initial state' }, ...this.commandHistory];
+        entries.forEach((command, position) => {
+            const index = position - 1;
+            const item = document.createElement('li');
+            item.className = 'history-item';
+            item.dataset.index = index;
+            item.textContent = command.name;
+            item.title = index === this.historyIndex ? 'Current state' : 'Click to jump to this state';
+            
+            if (index === this.historyIndex) {
+                item.classList.add('current');
+            } else if (index > this.historyIndex) {
+                item.classList.add('future');
+            }
+            
+            list.appendChild(item);
+        });
+        
+        list.querySelector('.current')?.scrollIntoView?.({ block: 'nearest' });
+    }
+    
     // Command Classes
     createAddNodeCommand(nodeData) {
         return {
@@ -1758,22 +4024,19 @@ class ArchitectureApp {
         const node = this.canvasEngine?.nodes.get(nodeId);
         if (!node) return null;
         
-        // Store node data and its connections for restoration
-        const nodeData = { ...node };
-        const connections = [];
-        
-        if (this.canvasEngine) {
-            this.canvasEngine.connections.forEach(conn => {
-                if (conn.from === nodeId || conn.to === nodeId) {
-                    connections.push({ ...conn });
-                }
-            });
-        }
+        // Node data and its connections are captured when the command runs, so that
+        // in a batch each connection is restored by whichever node removed it
+        let nodeData = { ...node };
+        let connections = [];
         
         return {
             name: `Remove Node: ${nodeData.label}`,
             execute: () => {
                 if (this.canvasEngine) {
+                    nodeData = { ...this.canvasEngine.nodes.get(nodeId) };
+                    connections = this.canvasEngine.connections
+                        .filter(conn => conn.from === nodeId || conn.to === nodeId)
+                        .map(conn => ({ ...conn }));
                     this.canvasEngine.removeNode(nodeId);
                     if (this.layerManager) {
                         this.layerManager.updateStats();
@@ -1784,7 +4047,7 @@ class ArchitectureApp {
                 if (this.canvasEngine) {
                     this.canvasEngine.addNode(nodeData);
                     connections.forEach(conn => {
-                        this.canvasEngine.addConnection(conn.from, conn.to);
+                        this.canvasEngine.addConnection(conn);
                     });
                     if (this.layerManager) {
                         this.layerManager.updateStats();
@@ -1823,13 +4086,223 @@ class ArchitectureApp {
         };
     }
     
+    // Re-adds a connection from existing data, e.g. when pasting, without prompting for a label
+    createInsertConnectionCommand(connectionData) {
+        return {
+            name: `Add Connection: ${connectionData.from} → ${connectionData.to}`,
+            execute: () => {
+                if (this.canvasEngine) {
+                    this.canvasEngine.addConnection(connectionData);
+                }
+            },
+            undo: () => {
+                if (this.canvasEngine) {
+                    this.canvasEngine.removeConnection(connectionData.from, connectionData.to);
+                }
+            }
+        };
+    }
+    
+    // Moves nodes between recorded positions ({ nodeId, from, to })
+    createMoveNodesCommand(name, moves) {
+        const apply = (key) => {
+            moves.forEach(move => {
+                const node = this.canvasEngine?.nodes.get(move.nodeId);
+                if (node) {
+                    node.x = move[key].x;
+                    node.y = move[key].y;
+                }
+            });
+            this.canvasEngine?.invalidateSpatialIndex();
+        };
+        
+        return {
+            name,
+            execute: () => apply('to'),
+            undo: () => apply('from')
+        };
+    }
+    
+    createLayerVisibilityCommand(layerId, visible) {
+        const layerName = this.layerManager?.getLayerName(layerId) || layerId;
+        return {
+            name: `${visible ? 'Show' : 'Hide'} Layer: ${layerName}`,
+            execute: () => {
+                this.layerManager?.setLayerVisibility(layerId, visible);
+            },
+            undo: () => {
+                this.layerManager?.setLayerVisibility(layerId, !visible);
+            }
+        };
+    }
+    
+    createAddLayerCommand(layerData) {
+        return {
+            name: `Add Layer: ${layerData.name}`,
+            execute: () => {
+                this.layerManager?.addLayer(layerData.id, { ...layerData });
+            },
+            undo: () => {
+                this.layerManager?.removeLayer(layerData.id);
+            }
+        };
+    }
+    
+    // Name, color and description changes
+    createUpdateLayerCommand(layerId, updates) {
+        const layer = this.layerManager?.layers.get(layerId);
+        const oldData = Object.fromEntries(Object.keys(updates).map(key => [key, layer?.[key]]));
+        
+        return {
+            name: `Edit Layer: ${updates.name || layer?.name || layerId}`,
+            execute: () => {
+                this.layerManager?.updateLayer(layerId, updates);
+            },
+            undo: () => {
+                this.layerManager?.updateLayer(layerId, oldData);
+            }
+        };
+    }
+    
+    // layerIds run from the top of the layer list, which is also drawn on top
+    createReorderLayersCommand(layerIds) {
+        const previous = (this.layerManager?.getLayerData() || []).map(layer => layer.id);
+        return {
+            name: 'Reorder Layers',
+            execute: () => {
+                this.layerManager?.reorderLayers(layerIds);
+            },
+            undo: () => {
+                this.layerManager?.reorderLayers(previous);
+            }
+        };
+    }
+    
+    // Removes just the layer; its nodes are moved or removed by commands of their own
+    createRemoveLayerCommand(layerId) {
+        const layerName = this.layerManager?.getLayerName(layerId) || layerId;
+        
+        // The layer and its place in the list are captured when the command runs
+        let layerData = null;
+        let order = [];
+        
+        return {
+            name: `Remove Layer: ${layerName}`,
+            execute: () => {
+                if (this.layerManager) {
+                    layerData = { ...this.layerManager.layers.get(layerId) };
+                    order = this.layerManager.getLayerData().map(layer => layer.id);
+                    this.layerManager.removeLayer(layerId);
+                }
+            },
+            undo: () => {
+                if (this.layerManager && layerData) {
+                    this.layerManager.addLayer(layerId, layerData);
+                    this.layerManager.reorderLayers(order);
+                }
+            }
+        };
+    }
+    
+    /**
+     * Layers for an imported file, or undefined to keep the current ones when it has none.
+     * Any layer its nodes (or their sub-diagrams) use but it doesn't list gets a stand-in,
+     * so no node comes back on a layer that doesn't exist.
+     */
+    getImportedLayers(diagramData) {
+        if (!Array.isArray(diagramData.layers)) return undefined;
+        
+        const layers = diagramData.layers.filter(layer => layer && typeof layer.id === 'string');
+        const known = new Set(layers.map(layer => layer.id));
+        const collect = (nodes) => {
+            if (!Array.isArray(nodes)) return;
+            nodes.forEach(node => {
+                if (node?.layer && !known.has(node.layer)) {
+                    known.add(node.layer);
+                    layers.push({ id: node.layer });
+                }
+                collect(node?.diagram?.nodes);
+            });
+        };
+        collect(diagramData.nodes);
+        
+        return layers;
+    }
+    
+    // Swaps the whole diagram for the given nodes, connections and (if given) layers; undo restores what was there
+    createReplaceDiagramCommand(name, snapshot) {
+        let previous = null;
+        return {
+            name,
+            execute: () => {
+                previous = this.getDiagramSnapshot();
+                this.restoreDiagramSnapshot(snapshot);
+            },
+            undo: () => {
+                if (previous) {
+                    this.restoreDiagramSnapshot(previous);
+                }
+            }
+        };
+    }
+    
+    getDiagramSnapshot() {
+        return {
+            nodes: Array.from(this.canvasEngine.nodes.values()).map(node => ({ ...node })),
+            connections: this.canvasEngine.connections.map(conn => ({ ...conn })),
+            layers: (this.layerManager?.getLayerData() || []).map(layer => ({ ...layer }))
+        };
+    }
+    
+    restoreDiagramSnapshot(snapshot) {
+        this.canvasEngine.clearSelection();
+        this.canvasEngine.clearAll();
+        if (snapshot.layers && this.layerManager) {
+            this.layerManager.setLayerData(snapshot.layers.map(layer => ({ ...layer })));
+        }
+        snapshot.nodes.forEach(nodeData => this.canvasEngine.addNode({ ...nodeData }));
+        snapshot.connections.forEach(connData => this.canvasEngine.addConnection({ ...connData }));
+        
+        if (this.layerManager) {
+            this.layerManager.updateStats();
+        }
+    }
+    
+    createContainerCollapseCommand(nodeId, collapsed) {
+        const setCollapsed = (value) => {
+            const node = this.canvasEngine?.nodes.get(nodeId);
+            if (node) {
+                this.canvasEngine.setContainerCollapsed(node, value);
+            }
+        };
+        const label = this.canvasEngine?.nodes.get(nodeId)?.label || nodeId;
+        
+        return {
+            name: `${collapsed ? 'Collapse' : 'Expand'} Group: ${label}`,
+            execute: () => setCollapsed(collapsed),
+            undo: () => setCollapsed(!collapsed)
+        };
+    }
+    
+    // Runs several commands as one history entry; undo walks them in reverse
+    createBatchCommand(name, commands) {
+        return {
+            name,
+            execute: () => {
+                commands.forEach(command => command.execute());
+            },
+            undo: () => {
+                [...commands].reverse().forEach(command => command.undo());
+            }
+        };
+    }
+    
     createUpdateNodeCommand(nodeId, oldData, newData) {
         return {
             name: `Update Node: ${newData.label || oldData.label}`,
             execute: () => {
-                const node = this.canvasEngine?.nodes.get(nodeId);
+                const node = this.canvasEngine?.updateNode(nodeId, newData);
                 if (node) {
-                    Object.assign(node, newData);
                     if (this.layerManager) {
                         this.layerManager.updateStats();
                         // Also refresh the UI if layer changed
@@ -1840,9 +4313,8 @@ class ArchitectureApp {
                 }
             },
             undo: () => {
-                const node = this.canvasEngine?.nodes.get(nodeId);
+                const node = this.canvasEngine?.updateNode(nodeId, oldData);
                 if (node) {
-                    Object.assign(node, oldData);
                     if (this.layerManager) {
                         this.layerManager.updateStats();
                         // Also refresh the UI if layer changed
@@ -1866,10 +4338,19 @@ class ArchitectureApp {
         // Populate form with current node data
         document.getElementById('edit-node-id').value = nodeId;
         document.getElementById('edit-node-label').value = node.label || '';
-        document.getElementById('edit-node-type').value = node.type || 'default';
         document.getElementById('edit-node-description').value = node.description || '';
         document.getElementById('edit-node-code').value = node.code || '';
         
+        // Template types such as 'gateway' are not in the list; add them so saving keeps the type
+        const typeSelect = document.getElementById('edit-node-type');
+        const type = node.type || 'default';
+        if (!Array.from(typeSelect.options).some(option => option.value === type)) {
+            typeSelect.add(new Option(type.charAt(0).toUpperCase() + type.slice(1), type));
+        }
+        typeSelect.value = type;
+        
+        this.propertyEditor?.load(node.data || {}, type);
+        
         // Populate layer options
         const layerSelect = document.getElementById('edit-node-layer');
         layerSelect.innerHTML = '';
@@ -1906,7 +4387,7 @@ class ArchitectureApp {
         }
         
         // Hide node details modal
-        this.hideModal();
+        this.closeModal();
     }
     
     hideEditNodeModal() {
@@ -1935,15 +4416,29 @@ class ArchitectureApp {
             return;
         }
         
-        // Update node
-        this.updateNode(nodeId, {
+        // Property errors are shown next to the rows they belong to
+        const properties = this.propertyEditor?.validate();
+        if (properties && !properties.valid) {
+            this.propertyEditor.container.querySelector('.property-row.invalid input:not([type="checkbox"])')?.focus();
+            return;
+        }
+        
+        const updates = {
             label,
             type,
             layer,
             description,
             code,
             icon
-        });
+        };
+        
+        // Nodes that never had properties don't get an empty set
+        if (properties && (Object.keys(properties.data).length > 0 || this.canvasEngine?.nodes.get(nodeId)?.data)) {
+            updates.data = properties.data;
+        }
+        
+        // Update node
+        this.updateNode(nodeId, updates);
         
         this.hideEditNodeModal();
     }
@@ -1955,8 +4450,11 @@ class ArchitectureApp {
             return;
         }
         
-        // Store old data for undo
-        const oldData = { ...node };
+        // Store old data for undo; keys the update adds are cleared again
+        const oldData = {
+            ...Object.fromEntries(Object.keys(updates).map(key => [key, undefined])),
+            ...node
+        };
         
         // Create and execute command
         const command = this.createUpdateNodeCommand(nodeId, oldData, updates);
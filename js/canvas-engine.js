@@ -18,22 +18,96 @@ class CanvasEngine {
             selectionWidth: 3,
             fontSize: 12,
             padding: 20,
+            iconSize: 18,
+            routeMargin: 20,
+            cornerRadius: 10,
+            particleSpeed: 60,     // World units per second at rate 1
+            particleSpacing: 40,   // World units between particles at rate 1
+            particleRadius: 3,
+            regionPadding: 30,     // Space between a layer region's edge and its nodes
+            dimmedOpacity: 0.3,
+            layerFadeDuration: 200,
+            containerPadding: 24,      // Space between an expanded container's frame and its children
+            containerHeaderHeight: 28, // Strip above the children holding the container's label
+            handleRadius: 6,           // Connection handles shown on the edges of the hovered node
+            doubleClickDelay: 250,     // How long a click waits in case it turns into a double-click
+            // Node type -> outline shape; unlisted types render as a rounded rectangle
+            nodeShapes: {
+                database: 'cylinder',
+                postgresql: 'cylinder',
+                mongodb: 'cylinder',
+                eventstore: 'cylinder',
+                datawarehouse: 'cylinder',
+                readmodel: 'cylinder',
+                queue: 'stack',
+                messagebus: 'stack',
+                messagebroker: 'stack',
+                broker: 'stack',
+                rabbitmq: 'stack',
+                external: 'cloud',
+                mobile: 'device',
+                'mobile-app': 'device',
+                frontend: 'device',
+                'web-app': 'device',
+                ui: 'device'
+            },
+            // Connection type -> line pattern and arrowhead
+            connectionStyles: {
+                default: { label: 'Default', dash: [], arrow: 'triangle' },
+                sync: { label: 'Synchronous', dash: [], arrow: 'triangle' },
+                async: { label: 'Asynchronous', dash: [8, 6], arrow: 'open' },
+                event: { label: 'Event', dash: [2, 5], arrow: 'diamond' },
+                data: { label: 'Data Flow', dash: [], double: true, arrow: 'triangle' },
+                api: { label: 'API Call', dash: [], arrow: 'open' },
+                message: { label: 'Message', dash: [10, 4, 2, 4], arrow: 'circle' },
+                curved: { label: 'Curved', dash: [], arrow: 'triangle' }
+            },
             ...options
         };
         
         // State
         this.nodes = new Map();
         this.connections = [];
+        this.nodeConnections = new Map();   // node id -> Set of connections attached to it
         this.layers = new Map();
         this.selectedNode = null;
         this.hoveredNode = null;
         this.selectedConnection = null;
         this.hoveredConnection = null;
         
+        // Multi-selection; selectedNode/selectedConnection are the primary (last clicked) items
+        this.selectedNodes = new Set();
+        this.selectedConnections = new Set();
+        
+        // Spatial indexes for picking and viewport culling
+        this.nodeIndex = new SpatialIndex();
+        this.connectionIndex = new SpatialIndex();
+        this.spatialIndexDirty = false;
+        
+        // Bumped whenever node/connection geometry or layer appearance changes,
+        // so overlays such as the minimap can skip redraws when nothing moved
+        this.sceneVersion = 0;
+        
+        // Bumped when what the diagram says changes (nodes, connections or layers added, edited or
+        // removed, layers shown or hidden) but not when things move, so searches and filters keep
+        // their results through a drag
+        this.contentVersion = 0;
+        
+        // Connection routing ('straight' or 'orthogonal'); a connection's own `routing` overrides it
+        this.routingMode = 'straight';
+        this.router = new ConnectionRouter({ margin: this.config.routeMargin });
+        this.routeCache = new Map(); // connection -> routed points
+        
+        // Layer regions drawn behind the diagram ('none', 'bands' or 'hulls')
+        this.layerRegionMode = 'none';
+        this.regionDrag = null; // { node, startLayer, targetLayer } while a node is dragged over regions
+        
         // Highlighting state
         this.highlightedNode = null;
         this.highlightedNodes = [];
         this.highlightedConnections = [];
+        this.emphasis = null; // { nodes, connections } id sets drawn at full strength (e.g. search matches); the rest fades
+        this.nodeFilter = null; // { query: FilterQuery, mode: 'hide' | 'dim' }; nodes it leaves out are hidden or faded
         
         // Viewport
         this.viewport = {
@@ -50,6 +124,30 @@ class CanvasEngine {
         this.lastMousePos = null;
         this.dragThreshold = 5; // Minimum pixels to consider as drag
         this.hasDragged = false; // Track if actual dragging occurred
+        this.dragNodes = [];     // Nodes moved together by the current node drag
+        this.dragOrigins = new Map(); // node -> { x, y } where the current drag started
+        this.marquee = null;     // { start, end, additive } in world coordinates while rubber-band selecting
+        // { fromNode, point, target, reconnect } while a connection is dragged out of a node handle, or one end
+        // of the selected connection is dragged (reconnect = { connection, end }, fromNode is the fixed end)
+        this.connectDrag = null;
+        this.waypointDrag = null; // { connection, index, origin } while a bend point of the selected connection is dragged
+        this.hoveredHandle = false;
+        this.clickTimer = null;  // Pending click callback, dropped if the click becomes a double-click
+        
+        // Overlays
+        this.showLegend = true;
+        
+        // Flow particle animation; runs its own frame loop while particles are on screen
+        this.flowAnimation = {
+            playing: false,
+            time: 0,
+            lastTimestamp: null,
+            frameId: null,
+            particlesDrawn: 0
+        };
+        
+        // Font Awesome glyphs keyed by icon class; null for icons that didn't resolve
+        this.iconGlyphs = new Map();
         
         this.setupCanvas();
         this.bindEvents();
@@ -81,6 +179,8 @@ class CanvasEngine {
         this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
         this.canvas.addEventListener('wheel', this.handleWheel.bind(this));
         this.canvas.addEventListener('click', this.handleClick.bind(this));
+        this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
+        this.canvas.addEventListener('mouseleave', this.handleMouseLeave.bind(this));
         
         // Touch events for mobile
         this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this));
@@ -96,22 +196,89 @@ class CanvasEngine {
             this.resizeObserver.observe(this.canvas);
         }
         
-        // Prevent context menu
-        this.canvas.addEventListener('contextmenu', e => e.preventDefault());
+        // Icon glyphs can only be drawn once the icon font has loaded; icons that
+        // didn't resolve before then are looked up again
+        if (document.fonts) {
+            const retryIcons = () => {
+                this.iconGlyphs.clear();
+                this.render();
+            };
+            document.fonts.ready.then(retryIcons);
+            document.fonts.addEventListener?.('loadingdone', retryIcons);
+        }
+        
+        // Right-click opens the app's context menu instead of the browser's
+        this.canvas.addEventListener('contextmenu', this.handleContextMenu.bind(this));
     }
     
     // Mouse event handlers
     handleMouseDown(e) {
+        // The right button opens the context menu instead
+        if (e.button === 2) return;
+        
         const mousePos = this.getMousePosition(e);
+        const endpoint = this.getEndpointHandleAtPosition(mousePos);
+        const waypoint = endpoint ? null : this.getWaypointAtPosition(mousePos);
+        const handle = endpoint || waypoint ? null : this.getHandleAtPosition(mousePos);
         const node = this.getNodeAtPosition(mousePos);
-        
-        if (node) {
+        const additive = e.shiftKey || e.ctrlKey || e.metaKey;
+        
+        if (endpoint) {
+            // Dragging an end of the selected connection reattaches it, keeping the other end fixed
+            const { connection, end } = endpoint;
+            this.connectDrag = {
+                fromNode: this.nodes.get(end === 'from' ? connection.to : connection.from),
+                point: this.screenToWorld(mousePos),
+                target: null,
+                reconnect: { connection, end }
+            };
+            this.dragStart = mousePos;
+            this.isDragging = false;
+            this.hasDragged = false;
+        } else if (waypoint) {
+            // Dragging a bend point reshapes the connection; the points are copied so the
+            // previous list stays intact for undo
+            const { connection, index } = waypoint;
+            this.waypointDrag = { connection, index, origin: connection.waypoints };
+            connection.waypoints = connection.waypoints.map(point => ({ ...point }));
+            this.dragStart = mousePos;
+            this.isDragging = false;
+            this.hasDragged = false;
+        } else if (handle) {
+            // Dragging out of a handle draws a new connection from its node
+            this.connectDrag = { fromNode: handle.node, point: this.screenToWorld(mousePos), target: null, reconnect: null };
+            this.dragStart = mousePos;
+            this.isDragging = false;
+            this.hasDragged = false;
+        } else if (node) {
+            // Pressing an unselected node starts a new selection unless a modifier is held
+            if (!additive && !this.selectedNodes.has(node)) {
+                this.setSelection([node]);
+            }
+            
+            // Dragging a selected node moves the whole selection; containers carry their contents
+            this.dragNodes = this.getNodesWithDescendants(this.selectedNodes.has(node) ?
+                Array.from(this.selectedNodes) :
+                [...this.selectedNodes, node]);
+            this.dragOrigins = new Map(this.dragNodes.map(dragNode => [dragNode, { x: dragNode.x, y: dragNode.y }]));
+            
             this.selectedNode = node;
             this.dragStart = mousePos;
             this.isDragging = false;
             this.hasDragged = false; // Reset drag tracking
+            
+            if (this.layerRegionMode !== 'none') {
+                const startLayer = this.getLayerAtPoint(node, node);
+                this.regionDrag = { node, startLayer, targetLayer: startLayer };
+            }
+        } else if (e.shiftKey) {
+            // Shift+drag on empty space draws a selection rectangle; add Ctrl/Cmd to extend the selection
+            const worldPos = this.screenToWorld(mousePos);
+            this.marquee = { start: worldPos, end: worldPos, additive: e.ctrlKey || e.metaKey };
+            this.dragStart = mousePos;
+            this.isDragging = false;
+            this.hasDragged = false;
         } else {
-            this.selectedNode = null;
             this.dragStart = mousePos;
             this.isDragging = true;
             this.hasDragged = false; // Reset drag tracking
@@ -138,10 +305,30 @@ class CanvasEngine {
                 this.hasDragged = true;
             }
             
-            if (this.selectedNode && !this.isDragging) {
-                // Drag node
-                this.selectedNode.x += dx / this.viewport.zoom;
-                this.selectedNode.y += dy / this.viewport.zoom;
+            if (this.waypointDrag) {
+                const { connection, index } = this.waypointDrag;
+                const worldPos = this.screenToWorld(mousePos);
+                connection.waypoints[index].x = worldPos.x;
+                connection.waypoints[index].y = worldPos.y;
+                this.updateConnectionBounds(connection);
+            } else if (this.connectDrag) {
+                // Rubber-band line, snapping to the node under the pointer when it can be connected
+                this.connectDrag.point = this.screenToWorld(mousePos);
+                this.connectDrag.target = this.getConnectTarget(this.connectDrag.fromNode, mousePos);
+                this.canvas.style.cursor = this.connectDrag.target ? 'copy' : 'crosshair';
+            } else if (this.marquee) {
+                this.marquee.end = this.screenToWorld(mousePos);
+            } else if (this.selectedNode && !this.isDragging) {
+                // Drag node(s)
+                this.dragNodes.forEach(node => {
+                    node.x += dx / this.viewport.zoom;
+                    node.y += dy / this.viewport.zoom;
+                    this.updateNodeBounds(node);
+                });
+                
+                if (this.regionDrag) {
+                    this.regionDrag.targetLayer = this.getLayerAtPoint(this.selectedNode, this.selectedNode);
+                }
             } else if (this.isDragging) {
                 // Pan viewport
                 this.viewport.x += dx;
@@ -150,11 +337,15 @@ class CanvasEngine {
             
             this.render();
         } else {
-            // Update hover state
-            const hoveredNode = this.getNodeAtPosition(mousePos);
-            if (hoveredNode !== this.hoveredNode) {
+            // Update hover state; the node stays hovered while the pointer is on one of its handles
+            const endpoint = this.getEndpointHandleAtPosition(mousePos) || this.getWaypointAtPosition(mousePos);
+            const handle = endpoint ? null : this.getHandleAtPosition(mousePos);
+            const hoveredNode = handle ? handle.node : this.getNodeAtPosition(mousePos);
+            const onHandle = !!(handle || endpoint);
+            if (hoveredNode !== this.hoveredNode || onHandle !== this.hoveredHandle) {
                 this.hoveredNode = hoveredNode;
-                this.canvas.style.cursor = hoveredNode ? 'pointer' : 'grab';
+                this.hoveredHandle = onHandle;
+                this.canvas.style.cursor = onHandle ? 'crosshair' : hoveredNode ? 'pointer' : 'grab';
                 this.render();
             }
         }
@@ -166,6 +357,77 @@ class CanvasEngine {
         this.dragStart = null;
         this.isDragging = false;
         this.canvas.style.cursor = this.hoveredNode ? 'pointer' : 'grab';
+        
+        if (this.waypointDrag) {
+            const { connection, origin } = this.waypointDrag;
+            this.waypointDrag = null;
+            
+            if (this.hasDragged) {
+                this.onWaypointsChange?.(connection, origin, connection.waypoints);
+            } else {
+                connection.waypoints = origin;
+            }
+            this.hasDragged = true; // Pressing a bend point must not add another one on click
+            this.render();
+            return;
+        }
+        
+        if (this.connectDrag) {
+            const { fromNode, target, reconnect } = this.connectDrag;
+            this.connectDrag = null;
+            this.hasDragged = true; // Releasing on a handle is not a click on its node
+            this.render();
+            
+            if (target && reconnect) {
+                this.onConnectionReconnect?.(reconnect.connection, reconnect.end, target);
+            } else if (target) {
+                this.onConnectionDrawn?.(fromNode, target);
+            }
+            return;
+        }
+        
+        if (this.marquee) {
+            this.finishMarquee();
+        }
+        
+        const regionDrag = this.regionDrag;
+        this.regionDrag = null;
+        
+        if (this.hasDragged && this.dragNodes.length > 0) {
+            // A node shift-dragged along with the selection joins it
+            if (!this.dragNodes.every(node => this.selectedNodes.has(node))) {
+                this.setSelection(this.dragNodes, Array.from(this.selectedConnections));
+            }
+            
+            // Report the finished move, and any layer region the node was dropped into,
+            // so the app can record it as one undoable step
+            const moves = this.dragNodes.map(node => ({
+                nodeId: node.id,
+                from: this.dragOrigins.get(node),
+                to: { x: node.x, y: node.y }
+            }));
+            const layerDrop = regionDrag && this.isRegionDropTarget(regionDrag, regionDrag.targetLayer) ?
+                { node: regionDrag.node, layerId: regionDrag.targetLayer } :
+                null;
+            
+            this.onNodesMoved?.(moves, layerDrop);
+        }
+        
+        this.dragNodes = [];
+        this.dragOrigins = new Map();
+        
+        if (regionDrag) {
+            this.render();
+        }
+    }
+    
+    handleMouseLeave() {
+        // Hide the hover handles once the pointer is off the canvas
+        if (!this.dragStart && this.hoveredNode) {
+            this.hoveredNode = null;
+            this.hoveredHandle = false;
+            this.render();
+        }
     }
     
     handleWheel(e) {
@@ -197,29 +459,413 @@ class CanvasEngine {
             return; // Don't trigger click after drag
         }
         
+        // The second click of a double-click is handled by handleDoubleClick
+        if (e.detail > 1) {
+            return;
+        }
+        
         const mousePos = this.getMousePosition(e);
         const node = this.getNodeAtPosition(mousePos);
+        const additive = e.shiftKey || e.ctrlKey || e.metaKey;
         
         if (node) {
-            this.selectedConnection = null; // Clear connection selection
-            this.onNodeClick?.(node);
+            // The chevron in a container's corner collapses or expands it
+            if (!additive && this.isContainer(node) &&
+                Utils.pointInRect(this.screenToWorld(mousePos), this.getContainerToggleRect(node))) {
+                this.onContainerToggle?.(node);
+                return;
+            }
+            
+            // The badge on a node that owns a sub-diagram opens it
+            if (!additive && this.hasSubDiagram(node) &&
+                Utils.pointInRect(this.screenToWorld(mousePos), this.getSubDiagramBadgeRect(node))) {
+                this.onNodeDrillDown?.(node);
+                return;
+            }
+            
+            if (additive) {
+                // Shift/Ctrl-click adds or removes the node without opening it
+                this.toggleNodeSelection(node);
+                this.render();
+                return;
+            }
+            
+            this.setSelection([node]);
+            this.deferClick(() => this.onNodeClick?.(node));
         } else {
             // Check for connection click if no node was clicked
             const connection = this.getConnectionAtPosition(mousePos);
             if (connection) {
-                this.selectedNode = null; // Clear node selection
-                this.selectedConnection = connection;
-                this.onConnectionClick?.(connection);
+                if (additive) {
+                    this.toggleConnectionSelection(connection);
+                    this.render();
+                    return;
+                }
+                
+                // Clicking the selected connection again adds a bend point there
+                if (connection === this.selectedConnection && this.getConnectionEndpoints(connection)) {
+                    const waypoints = connection.waypoints || [];
+                    const point = this.screenToWorld(mousePos);
+                    this.deferClick(() => this.onWaypointsChange?.(connection, waypoints, this.getWaypointsWithPoint(connection, point)));
+                    return;
+                }
+                
+                this.setSelection([], [connection]);
+                this.deferClick(() => this.onConnectionClick?.(connection));
                 this.render(); // Re-render to show selection
-            } else {
+            } else if (!additive) {
                 // Clear all selections if clicking empty space
-                this.selectedNode = null;
-                this.selectedConnection = null;
+                this.clearSelection();
                 this.render();
             }
         }
     }
     
+    handleContextMenu(e) {
+        e.preventDefault();
+        if (this.connectDrag || this.waypointDrag) return;
+        
+        const mousePos = this.getMousePosition(e);
+        const node = this.getNodeAtPosition(mousePos);
+        const connection = node ? null : this.getConnectionAtPosition(mousePos);
+        
+        // The menu acts on what was clicked; a node inside the selection keeps the selection
+        if (node && !this.selectedNodes.has(node)) {
+            this.setSelection([node]);
+        } else if (connection && !this.selectedConnections.has(connection)) {
+            this.setSelection([], [connection]);
+        }
+        this.render();
+        
+        this.onContextMenu?.({
+            node,
+            connection,
+            worldPos: this.screenToWorld(mousePos),
+            clientX: e.clientX,
+            clientY: e.clientY
+        });
+    }
+    
+    handleDoubleClick(e) {
+        clearTimeout(this.clickTimer);
+        this.clickTimer = null;
+        
+        // Double-clicking a bend point removes it
+        const mousePos = this.getMousePosition(e);
+        const waypoint = this.getWaypointAtPosition(mousePos);
+        if (waypoint) {
+            const { connection, index } = waypoint;
+            this.onWaypointsChange?.(connection, connection.waypoints, connection.waypoints.filter((point, i) => i !== index));
+            return;
+        }
+        
+        // Double-clicking a node or a connection edits its label in place
+        const node = this.getNodeAtPosition(mousePos);
+        const connection = node ? null : this.getConnectionAtPosition(mousePos);
+        if (node && this.isNodeControlAt(node, this.screenToWorld(mousePos))) return;
+        
+        if (node || connection) {
+            this.onLabelEdit?.({ node, connection });
+        }
+    }
+    
+    // Whether a world position is on a container's chevron or a sub-diagram badge rather than the node itself
+    isNodeControlAt(node, worldPos) {
+        return (this.isContainer(node) && Utils.pointInRect(worldPos, this.getContainerToggleRect(node))) ||
+            (this.hasSubDiagram(node) && Utils.pointInRect(worldPos, this.getSubDiagramBadgeRect(node)));
+    }
+    
+    // Run a click callback once it is clear the click is not the start of a double-click
+    deferClick(callback) {
+        clearTimeout(this.clickTimer);
+        this.clickTimer = setTimeout(() => {
+            this.clickTimer = null;
+            callback();
+        }, this.config.doubleClickDelay);
+    }
+    
+    // Selection
+    setSelection(nodes = [], connections = []) {
+        this.selectedNodes = new Set(nodes);
+        this.selectedConnections = new Set(connections);
+        this.selectedNode = nodes.length > 0 ? nodes[nodes.length - 1] : null;
+        this.selectedConnection = nodes.length === 0 && connections.length === 1 ? connections[0] : null;
+        this.onSelectionChange?.(this.getSelection());
+    }
+    
+    clearSelection() {
+        this.setSelection();
+    }
+    
+    toggleNodeSelection(node) {
+        const nodes = new Set(this.selectedNodes);
+        if (nodes.has(node)) {
+            nodes.delete(node);
+        } else {
+            nodes.add(node);
+        }
+        this.setSelection(Array.from(nodes), Array.from(this.selectedConnections));
+    }
+    
+    toggleConnectionSelection(connection) {
+        const connections = new Set(this.selectedConnections);
+        if (connections.has(connection)) {
+            connections.delete(connection);
+        } else {
+            connections.add(connection);
+        }
+        this.setSelection(Array.from(this.selectedNodes), Array.from(connections));
+    }
+    
+    getSelection() {
+        return {
+            nodes: Array.from(this.selectedNodes),
+            connections: Array.from(this.selectedConnections)
+        };
+    }
+    
+    isNodeSelected(node) {
+        return this.selectedNodes.has(node) || this.selectedNode === node;
+    }
+    
+    isConnectionSelected(connection) {
+        return this.selectedConnections.has(connection) || this.selectedConnection === connection;
+    }
+    
+    // Select the visible nodes touched by the rubber band, plus the connections between them
+    finishMarquee() {
+        const { start, end, additive } = this.marquee;
+        this.marquee = null;
+        
+        if (!this.hasDragged) {
+            this.render();
+            return;
+        }
+        
+        const rect = {
+            x: Math.min(start.x, end.x),
+            y: Math.min(start.y, end.y),
+            width: Math.abs(end.x - start.x),
+            height: Math.abs(end.y - start.y)
+        };
+        
+        this.ensureSpatialIndex();
+        // An expanded container only counts when the rectangle covers its whole frame
+        const nodes = this.nodeIndex.search(rect).filter(node =>
+            this.isNodeVisible(node) &&
+            (!this.isExpandedContainer(node) || SpatialIndex.containsRect(rect, this.getNodeBounds(node)))
+        );
+        const nodeIds = new Set(nodes.map(node => node.id));
+        const connections = this.connections.filter(conn => nodeIds.has(conn.from) && nodeIds.has(conn.to));
+        
+        if (additive) {
+            this.setSelection(
+                [...new Set([...this.selectedNodes, ...nodes])],
+                [...new Set([...this.selectedConnections, ...connections])]
+            );
+        } else {
+            this.setSelection(nodes, connections);
+        }
+        
+        this.render();
+    }
+    
+    // Connection handles: one at the middle of each side of the hovered node
+    getConnectionHandles(node) {
+        const bounds = this.getNodeBounds(node);
+        const centerX = bounds.x + bounds.width / 2;
+        const centerY = bounds.y + bounds.height / 2;
+        
+        return [
+            { side: 'top', x: centerX, y: bounds.y },
+            { side: 'right', x: bounds.x + bounds.width, y: centerY },
+            { side: 'bottom', x: centerX, y: bounds.y + bounds.height },
+            { side: 'left', x: bounds.x, y: centerY }
+        ];
+    }
+    
+    canShowHandles(node) {
+        return !!node && this.nodes.get(node.id) === node &&
+            !this.isNodeHidden(node) && this.isNodeVisible(node);
+    }
+    
+    getHandleAtPosition(screenPos) {
+        const node = this.hoveredNode;
+        if (!this.canShowHandles(node)) return null;
+        
+        const worldPos = this.screenToWorld(screenPos);
+        const tolerance = (this.config.handleRadius + 3) / this.viewport.zoom;
+        const handle = this.getConnectionHandles(node).find(h => Utils.distance(worldPos, h) <= tolerance);
+        
+        return handle ? { ...handle, node } : null;
+    }
+    
+    // A node can be connected to when it is another visible node not already linked to the source
+    isValidConnectTarget(fromNode, node) {
+        return !!node && node !== fromNode && !this.findConnection(fromNode.id, node.id);
+    }
+    
+    getConnectTarget(fromNode, screenPos) {
+        const node = this.getNodeAtPosition(screenPos);
+        return this.isValidConnectTarget(fromNode, node) ? node : null;
+    }
+    
+    // Nearest handle of the node to a world point
+    getClosestHandle(node, point) {
+        return this.getConnectionHandles(node).reduce((closest, handle) =>
+            Utils.distance(handle, point) < Utils.distance(closest, point) ? handle : closest
+        );
+    }
+    
+    // Draggable ends of a connection; null when it is not drawn between its own two nodes,
+    // e.g. while merged into a collapsed container
+    getConnectionEndpoints(connection) {
+        if (!connection || !this.connections.includes(connection) || !this.isConnectionShown(connection)) return null;
+        
+        const nodes = this.getConnectionNodes(connection);
+        if (!nodes || nodes.fromNode.id !== connection.from || nodes.toNode.id !== connection.to) return null;
+        if (this.getConnectionOpacity(nodes.fromNode, nodes.toNode) <= 0) return null;
+        
+        const { points, toPoint } = this.getConnectionPath(connection, nodes.fromNode, nodes.toNode);
+        return [
+            { end: 'from', x: points[0].x, y: points[0].y },
+            { end: 'to', x: toPoint.x, y: toPoint.y }
+        ];
+    }
+    
+    getEndpointHandleAtPosition(screenPos) {
+        const connection = this.selectedConnection;
+        const endpoints = this.getConnectionEndpoints(connection);
+        if (!endpoints) return null;
+        
+        const worldPos = this.screenToWorld(screenPos);
+        const tolerance = (this.config.handleRadius + 3) / this.viewport.zoom;
+        const endpoint = endpoints.find(point => Utils.distance(worldPos, point) <= tolerance);
+        
+        return endpoint ? { ...endpoint, connection } : null;
+    }
+    
+    getWaypointAtPosition(screenPos) {
+        const connection = this.selectedConnection;
+        if (!this.hasWaypoints(connection) || !this.getConnectionEndpoints(connection)) return null;
+        
+        const worldPos = this.screenToWorld(screenPos);
+        const tolerance = (this.config.handleRadius + 3) / this.viewport.zoom;
+        const index = connection.waypoints.findIndex(point => Utils.distance(worldPos, point) <= tolerance);
+        
+        return index >= 0 ? { connection, index } : null;
+    }
+    
+    // Copy of the connection's waypoints with a new one inserted into the segment nearest the point
+    getWaypointsWithPoint(connection, point) {
+        const waypoints = connection.waypoints || [];
+        const { fromNode, toNode } = this.getConnectionNodes(connection);
+        const { points } = this.getWaypointPath(connection, fromNode, toNode);
+        
+        let segment = 0;
+        let minDistance = Infinity;
+        for (let i = 1; i < points.length; i++) {
+            const distance = this.pointToLineDistance(point, points[i - 1], points[i]);
+            if (distance < minDistance) {
+                minDistance = distance;
+                segment = i - 1;
+            }
+        }
+        
+        return [...waypoints.slice(0, segment), { x: point.x, y: point.y }, ...waypoints.slice(segment)];
+    }
+    
+    renderWaypointHandles(connection) {
+        const size = this.config.handleRadius * 1.6 / this.viewport.zoom;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.strokeStyle = '#3b82f6';
+        this.ctx.lineWidth = 2 / this.viewport.zoom;
+        (connection.waypoints || []).forEach(point => {
+            this.ctx.fillRect(point.x - size / 2, point.y - size / 2, size, size);
+            this.ctx.strokeRect(point.x - size / 2, point.y - size / 2, size, size);
+        });
+        this.ctx.restore();
+    }
+    
+    renderEndpointHandles(endpoints) {
+        const radius = this.config.handleRadius / this.viewport.zoom;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = '#3b82f6';
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.lineWidth = 2 / this.viewport.zoom;
+        endpoints.forEach(point => {
+            this.ctx.beginPath();
+            this.ctx.arc(point.x, point.y, radius, 0, 2 * Math.PI);
+            this.ctx.fill();
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+    
+    renderConnectionHandles(node) {
+        const radius = this.config.handleRadius / this.viewport.zoom;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.strokeStyle = '#3b82f6';
+        this.ctx.lineWidth = 2 / this.viewport.zoom;
+        this.getConnectionHandles(node).forEach(handle => {
+            this.ctx.beginPath();
+            this.ctx.arc(handle.x, handle.y, radius, 0, 2 * Math.PI);
+            this.ctx.fill();
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+    
+    renderConnectDrag() {
+        const { fromNode, point, target, reconnect } = this.connectDrag;
+        const end = target ? this.getClosestHandle(target, this.getClosestHandle(fromNode, target)) : point;
+        const start = this.getClosestHandle(fromNode, end);
+        const color = target ? '#10b981' : '#3b82f6';
+        
+        this.ctx.save();
+        
+        // Snap highlight around the target
+        if (target) {
+            const bounds = this.getNodeBounds(target);
+            this.ctx.fillStyle = Utils.colorWithOpacity(color, 0.12);
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = 3 / this.viewport.zoom;
+            this.drawRoundedRect(bounds.x - 6, bounds.y - 6, bounds.width + 12, bounds.height + 12, 12);
+            this.ctx.fill();
+            this.ctx.stroke();
+        }
+        
+        // Rubber-band line; a dragged source end keeps the arrow on the fixed target
+        const [tail, head] = reconnect?.end === 'from' ? [end, start] : [start, end];
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = this.config.connectionWidth / this.viewport.zoom;
+        this.ctx.setLineDash([6 / this.viewport.zoom, 4 / this.viewport.zoom]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(tail.x, tail.y);
+        this.ctx.lineTo(head.x, head.y);
+        this.ctx.stroke();
+        this.drawArrow(head, Math.atan2(head.y - tail.y, head.x - tail.x));
+        this.ctx.restore();
+    }
+    
+    renderMarquee() {
+        const { start, end } = this.marquee;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(59, 130, 246, 0.08)';
+        this.ctx.strokeStyle = '#3b82f6';
+        this.ctx.lineWidth = 1 / this.viewport.zoom;
+        this.ctx.setLineDash([4 / this.viewport.zoom, 4 / this.viewport.zoom]);
+        this.ctx.fillRect(start.x, start.y, end.x - start.x, end.y - start.y);
+        this.ctx.strokeRect(start.x, start.y, end.x - start.x, end.y - start.y);
+        this.ctx.restore();
+    }
+    
     // Touch event handlers
     handleTouchStart(e) {
         e.preventDefault();
@@ -267,48 +913,120 @@ class CanvasEngine {
     
     getNodeAtPosition(screenPos) {
         const worldPos = this.screenToWorld(screenPos);
+        this.ensureSpatialIndex();
+        
+        // Full-opacity layers are drawn over dimmed ones, so they win the pick;
+        // children are drawn over their container, so the innermost container comes last
+        let hit = null;
+        let dimmedHit = null;
+        let containerHit = null;
+        for (const node of this.nodeIndex.searchPoint(worldPos)) {
+            if (!this.isNodeVisible(node)) continue;
+            
+            if (this.isPointInNode(worldPos, node)) {
+                if (this.isExpandedContainer(node)) {
+                    if (!containerHit || this.getNodeDepth(node) > this.getNodeDepth(containerHit)) {
+                        containerHit = node;
+                    }
+                    continue;
+                }
+                if (this.isLayerDimmed(node.layer)) {
+                    dimmedHit = dimmedHit || node;
+                } else if (!hit || this.getLayerRank(node.layer) < this.getLayerRank(hit.layer)) {
+                    // Layers higher in the list are drawn on top
+                    hit = node;
+                }
+            }
+        }
         
-        for (const node of this.nodes.values()) {
-            if (!this.isLayerVisible(node.layer)) continue;
+        return hit || dimmedHit || containerHit;
+    }
+    
+    getNodeShape(node) {
+        return this.config.nodeShapes[node.type] || 'rect';
+    }
+    
+    // Hit-test a world position against the outline drawn for the node's type
+    isPointInNode(worldPos, node) {
+        if (this.isContainer(node)) {
+            return Utils.pointInRect(worldPos, this.getNodeBounds(node));
+        }
+        
+        const { width, height } = this.config.nodeSize;
+        const left = node.x - width / 2;
+        const top = node.y - height / 2;
+        const bounds = { x: left, y: top, width, height };
+        
+        if (!Utils.pointInRect(worldPos, bounds)) return false;
+        
+        switch (this.getNodeShape(node)) {
+            case 'cylinder': {
+                const capHeight = height * 0.12;
+                const body = { x: left, y: top + capHeight, width, height: height - capHeight * 2 };
+                if (Utils.pointInRect(worldPos, body)) return true;
+                
+                // Elliptical caps
+                const rx = width / 2;
+                return [top + capHeight, top + height - capHeight].some(cy => {
+                    const dx = (worldPos.x - node.x) / rx;
+                    const dy = (worldPos.y - cy) / capHeight;
+                    return dx * dx + dy * dy <= 1;
+                });
+            }
             
-            const nodeRect = {
-                x: node.x - this.config.nodeSize.width / 2,
-                y: node.y - this.config.nodeSize.height / 2,
-                width: this.config.nodeSize.width,
-                height: this.config.nodeSize.height
-            };
+            case 'stack':
+                return this.getStackRects(node).some(rect => Utils.pointInRect(worldPos, rect));
             
-            if (Utils.pointInRect(worldPos, nodeRect)) {
-                return node;
+            case 'cloud': {
+                const { circles, base } = this.getCloudGeometry(node);
+                if (Utils.pointInRect(worldPos, base)) return true;
+                return circles.some(c => Utils.distance(worldPos, c) <= c.r);
             }
+            
+            default:
+                return true;
         }
-        
-        return null;
     }
     
     getConnectionAtPosition(screenPos) {
         const worldPos = this.screenToWorld(screenPos);
         const tolerance = 8; // Click tolerance in pixels
+        this.ensureSpatialIndex();
         
-        for (const connection of this.connections) {
-            const fromNode = this.nodes.get(connection.from);
-            const toNode = this.nodes.get(connection.to);
-            
-            if (!fromNode || !toNode) continue;
-            if (!this.isLayerVisible(fromNode.layer) || !this.isLayerVisible(toNode.layer)) continue;
+        const searchRect = {
+            x: worldPos.x - tolerance,
+            y: worldPos.y - tolerance,
+            width: tolerance * 2,
+            height: tolerance * 2
+        };
+        
+        let dimmedHit = null;
+        for (const connection of this.connectionIndex.search(searchRect)) {
+            if (!this.isConnectionShown(connection)) continue;
             
-            // Calculate connection line
-            const fromCenter = { x: fromNode.x, y: fromNode.y };
-            const toCenter = { x: toNode.x, y: toNode.y };
+            const { fromNode, toNode } = this.getConnectionNodes(connection);
+            if (!this.isNodeVisible(fromNode) || !this.isNodeVisible(toNode)) continue;
             
-            // Check if click is near the line between nodes
-            const distance = this.pointToLineDistance(worldPos, fromCenter, toCenter);
+            // Check if click is near the path the connection is drawn along
+            const { points } = this.getConnectionPath(connection, fromNode, toNode);
+            const distance = this.pointToPolylineDistance(worldPos, points);
             if (distance <= tolerance) {
-                return connection;
+                if (!this.isLayerDimmed(fromNode.layer) && !this.isLayerDimmed(toNode.layer)) {
+                    return connection;
+                }
+                dimmedHit = dimmedHit || connection;
             }
         }
         
-        return null;
+        return dimmedHit;
+    }
+    
+    pointToPolylineDistance(point, points) {
+        let minDistance = Infinity;
+        for (let i = 1; i < points.length; i++) {
+            minDistance = Math.min(minDistance, this.pointToLineDistance(point, points[i - 1], points[i]));
+        }
+        return minDistance;
     }
     
     pointToLineDistance(point, lineStart, lineEnd) {
@@ -343,42 +1061,139 @@ class CanvasEngine {
     
     // Layer management
     addLayer(layerId, layerInfo) {
-        this.layers.set(layerId, {
+        const layer = {
             visible: true,
+            dimmed: false,
             color: layerInfo.color || '#3b82f6',
             name: layerInfo.name || layerId,
             ...layerInfo
+        };
+        layer.opacity = this.getLayerTargetOpacity(layer);
+        this.layers.set(layerId, layer);
+        this.sceneVersion++;
+        this.contentVersion++;
+    }
+    
+    removeLayer(layerId) {
+        const removed = this.layers.delete(layerId);
+        if (removed) {
+            // Any nodes left on a hidden layer count as visible again
+            this.invalidateSpatialIndex();
+            this.contentVersion++;
+        }
+        return removed;
+    }
+    
+    // Name, color or description changes
+    updateLayer(layerId, updates) {
+        const layer = this.layers.get(layerId);
+        if (layer) {
+            Object.assign(layer, updates);
+            this.sceneVersion++;
+            this.contentVersion++;
+        }
+        return layer || null;
+    }
+    
+    // Layers earlier in layerIds are drawn over later ones, like the layer list
+    setLayerOrder(layerIds) {
+        layerIds.forEach((layerId, index) => {
+            const layer = this.layers.get(layerId);
+            if (layer) {
+                layer.order = index;
+            }
         });
+        this.sceneVersion++;
+    }
+    
+    // Position in the layer list; unknown layers go last
+    getLayerRank(layerId) {
+        return this.layers.get(layerId)?.order ?? this.layers.size;
     }
     
     setLayerVisibility(layerId, visible) {
         const layer = this.layers.get(layerId);
         if (layer) {
             layer.visible = visible;
+            this.contentVersion++;
+            // Hidden nodes are not routing obstacles
+            this.invalidateSpatialIndex();
+            this.fadeLayer(layerId);
             this.render();
             return true;
         }
         return false;
     }
     
-    // Utility method to lighten colors
-    lightenColor(color, factor) {
-        // Convert hex to RGB
-        const hex = color.replace('#', '');
-        const r = parseInt(hex.substr(0, 2), 16);
-        const g = parseInt(hex.substr(2, 2), 16);
-        const b = parseInt(hex.substr(4, 2), 16);
-        
-        // Lighten by mixing with white
-        const newR = Math.round(r + (255 - r) * factor);
-        const newG = Math.round(g + (255 - g) * factor);
-        const newB = Math.round(b + (255 - b) * factor);
-        
-        return `rgb(${newR}, ${newG}, ${newB})`;
-    }
-    
-    // Utility method to draw rounded rectangles
-    drawRoundedRect(x, y, width, height, radius) {
+    // Dimmed layers stay visible and clickable but are drawn faded, behind other layers
+    setLayerDimmed(layerId, dimmed) {
+        const layer = this.layers.get(layerId);
+        if (layer) {
+            layer.dimmed = dimmed;
+            this.fadeLayer(layerId);
+            this.render();
+            return true;
+        }
+        return false;
+    }
+    
+    // Animate a layer's opacity towards the value its visibility and dim state call for
+    fadeLayer(layerId) {
+        const layer = this.layers.get(layerId);
+        if (!layer) return;
+        
+        // A newer fade on the same layer takes over from this one
+        const fade = {};
+        layer.fade = fade;
+        
+        Utils.animate({
+            from: layer.opacity,
+            to: this.getLayerTargetOpacity(layer),
+            duration: this.config.layerFadeDuration,
+            easing: Utils.easing.easeOutQuad,
+            onUpdate: (opacity) => {
+                if (layer.fade !== fade) return;
+                layer.opacity = opacity;
+                this.sceneVersion++;
+                this.render();
+            }
+        });
+    }
+    
+    getLayerTargetOpacity(layer) {
+        if (!layer.visible) return 0;
+        return layer.dimmed ? this.config.dimmedOpacity : 1;
+    }
+    
+    // Current (possibly mid-fade) opacity; unknown layers are fully opaque
+    getLayerOpacity(layerId) {
+        const layer = this.layers.get(layerId);
+        return layer ? layer.opacity : 1;
+    }
+    
+    isLayerDimmed(layerId) {
+        const layer = this.layers.get(layerId);
+        return layer ? layer.dimmed : false;
+    }
+    
+    // Utility method to lighten colors
+    lightenColor(color, factor) {
+        // Convert hex to RGB
+        const hex = color.replace('#', '');
+        const r = parseInt(hex.substr(0, 2), 16);
+        const g = parseInt(hex.substr(2, 2), 16);
+        const b = parseInt(hex.substr(4, 2), 16);
+        
+        // Lighten by mixing with white
+        const newR = Math.round(r + (255 - r) * factor);
+        const newG = Math.round(g + (255 - g) * factor);
+        const newB = Math.round(b + (255 - b) * factor);
+        
+        return `rgb(${newR}, ${newG}, ${newB})`;
+    }
+    
+    // Utility method to draw rounded rectangles
+    drawRoundedRect(x, y, width, height, radius) {
         this.ctx.beginPath();
         this.ctx.moveTo(x + radius, y);
         this.ctx.lineTo(x + width - radius, y);
@@ -399,12 +1214,35 @@ class CanvasEngine {
         return layer ? layer.visible : true;
     }
     
-    removeNode(nodeId) {
-        this.nodes.delete(nodeId);
-        // Remove connections involving this node
-        this.connections = this.connections.filter(
-            conn => conn.from !== nodeId && conn.to !== nodeId
-        );
+    // A node is shown when its layer is visible and a hiding filter, if any, keeps it
+    isNodeVisible(node) {
+        return this.isLayerVisible(node.layer) && this.getNodeFilterOpacity(node) > 0;
+    }
+    
+    // Filter
+    setNodeFilter(query, mode = 'dim') {
+        this.nodeFilter = query && !query.isEmpty() ? { query, mode } : null;
+        this.filterMatches = null;
+        // Nodes a filter hides are not routing obstacles
+        this.invalidateSpatialIndex();
+    }
+    
+    // Ids of the nodes the filter keeps, re-evaluated when the diagram's content changes (not on moves)
+    getNodeFilterMatches() {
+        if (this.filterMatches?.version !== this.contentVersion) {
+            this.filterMatches = { version: this.contentVersion, ids: this.nodeFilter.query.evaluate(this) };
+        }
+        return this.filterMatches.ids;
+    }
+    
+    getNodeFilterOpacity(node) {
+        if (!this.nodeFilter || this.getNodeFilterMatches().has(node.id)) return 1;
+        return this.nodeFilter.mode === 'hide' ? 0 : this.config.dimmedOpacity;
+    }
+    
+    // Layer fade times filter fade
+    getNodeOpacity(node) {
+        return this.getLayerOpacity(node.layer) * this.getNodeFilterOpacity(node);
     }
     
     addConnection(connection) {
@@ -426,22 +1264,67 @@ class CanvasEngine {
         }
         
         this.connections.push(conn);
+        this.linkConnection(conn);
+        this.updateConnectionBounds(conn);
+        this.contentVersion++;
         return conn;
     }
     
+    // Keep nodeConnections in step with a connection's ends
+    linkConnection(connection) {
+        [connection.from, connection.to].forEach(nodeId => {
+            if (!this.nodeConnections.has(nodeId)) {
+                this.nodeConnections.set(nodeId, new Set());
+            }
+            this.nodeConnections.get(nodeId).add(connection);
+        });
+    }
+    
+    unlinkConnection(connection) {
+        [connection.from, connection.to].forEach(nodeId => {
+            const attached = this.nodeConnections.get(nodeId);
+            attached?.delete(connection);
+            if (attached?.size === 0) {
+                this.nodeConnections.delete(nodeId);
+            }
+        });
+    }
+    
+    getNodeConnections(nodeId) {
+        return this.nodeConnections.get(nodeId) || new Set();
+    }
+    
     removeConnection(fromId, toId) {
         const initialLength = this.connections.length;
-        this.connections = this.connections.filter(conn => 
-            !(conn.from === fromId && conn.to === toId) &&
-            !(conn.from === toId && conn.to === fromId) // Also remove reverse connections
-        );
+        this.connections = this.connections.filter(conn => {
+            const matches = (conn.from === fromId && conn.to === toId) ||
+                (conn.from === toId && conn.to === fromId); // Also remove reverse connections
+            if (matches) {
+                this.unlinkConnection(conn);
+                this.connectionIndex.remove(conn);
+                this.routeCache.delete(conn);
+                this.selectedConnections.delete(conn);
+                if (this.selectedConnection === conn) {
+                    this.selectedConnection = null;
+                }
+            }
+            return !matches;
+        });
+        this.sceneVersion++;
+        this.contentVersion++;
         return this.connections.length < initialLength; // Return true if connection was removed
     }
     
     updateConnection(connectionId, updates) {
         const connection = this.connections.find(conn => conn.id === connectionId);
         if (connection) {
+            // Rewiring or reversing moves it to other nodes' lists
+            this.unlinkConnection(connection);
             Object.assign(connection, updates);
+            this.linkConnection(connection);
+            this.routeCache.delete(connection);
+            this.updateConnectionBounds(connection);
+            this.contentVersion++;
             return connection;
         }
         return null;
@@ -455,7 +1338,8 @@ class CanvasEngine {
     }
     
     // Rendering methods
-    render() {
+    render(options = {}) {
+        this.flowAnimation.particlesDrawn = 0;
         this.clear();
         this.ctx.save();
         
@@ -463,13 +1347,47 @@ class CanvasEngine {
         this.ctx.translate(this.viewport.x, this.viewport.y);
         this.ctx.scale(this.viewport.zoom, this.viewport.zoom);
         
+        // Only draw what intersects the viewport
+        this.ensureSpatialIndex();
+        const visibleRect = this.getVisibleWorldRect();
+        
+        // Layer regions sit behind everything else
+        this.renderLayerRegions();
+        
         // Render connections first (behind nodes)
-        this.renderConnections();
+        this.renderConnections(this.connectionIndex.search(visibleRect));
         
         // Render nodes
-        this.renderNodes();
+        this.renderNodes(this.nodeIndex.search(visibleRect));
+        
+        if (this.connectDrag) {
+            this.renderConnectDrag();
+        } else {
+            if (!this.dragStart && this.canShowHandles(this.hoveredNode)) {
+                this.renderConnectionHandles(this.hoveredNode);
+            }
+            
+            // Ends and bend points of the selected connection
+            const endpoints = (!this.dragStart || this.waypointDrag) && this.getConnectionEndpoints(this.selectedConnection);
+            if (endpoints) {
+                this.renderEndpointHandles(endpoints);
+                this.renderWaypointHandles(this.selectedConnection);
+            }
+        }
+        
+        if (this.marquee) {
+            this.renderMarquee();
+        }
         
         this.ctx.restore();
+        
+        // Screen-space overlays
+        if (this.showLegend || options.legend) {
+            this.renderLegend();
+        }
+        
+        this.scheduleFlowFrame();
+        this.onRender?.();
     }
     
     clear() {
@@ -478,25 +1396,48 @@ class CanvasEngine {
         // Set background color based on theme
         const style = getComputedStyle(document.documentElement);
         const bgColor = style.getPropertyValue('--canvas-bg').trim();
+        this.canvasBackground = bgColor;
         this.ctx.fillStyle = bgColor;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
     }
     
-    renderNodes() {
-        for (const node of this.nodes.values()) {
-            if (!this.isLayerVisible(node.layer)) {
-                continue;
-            }
-            
+    renderNodes(nodes = this.nodes.values()) {
+        // Layers fading out or dimmed are drawn first, so full-opacity layers sit on top;
+        // otherwise layers follow the layer list, bottom to top
+        const visibleNodes = Array.from(nodes)
+            .filter(node => this.getNodeOpacity(node) > 0)
+            .sort((a, b) =>
+                this.getNodeDrawOrder(a) - this.getNodeDrawOrder(b) ||
+                this.getNodeStackOrder(a) - this.getNodeStackOrder(b) ||
+                this.getLayerRank(b.layer) - this.getLayerRank(a.layer)
+            );
+        
+        for (const node of visibleNodes) {
             this.renderNode(node);
         }
     }
     
+    getNodeDrawOrder(node) {
+        const layer = this.layers.get(node.layer);
+        return layer ? this.getLayerTargetOpacity(layer) : 1;
+    }
+    
+    // Expanded containers are drawn under their children, outer containers first
+    getNodeStackOrder(node) {
+        return this.getNodeDepth(node) * 2 + (this.isExpandedContainer(node) ? 0 : 1);
+    }
+    
     renderNode(node) {
+        if (this.isContainer(node)) {
+            this.renderContainer(node);
+            return;
+        }
+        
         const { x, y } = node;
         const { width, height } = this.config.nodeSize;
         
         this.ctx.save();
+        this.ctx.globalAlpha = this.getNodeOpacity(node) * this.getNodeEmphasis(node);
         
         // Get layer info for colors
         const layer = this.layers.get(node.layer);
@@ -507,52 +1448,282 @@ class CanvasEngine {
         this.ctx.strokeStyle = layerColor;
         this.ctx.lineWidth = 2;
         
-        // Draw node rectangle with rounded corners
-        const radius = 8;
-        this.drawRoundedRect(x - width/2, y - height/2, width, height, radius);
-        this.ctx.fill();
-        this.ctx.stroke();
+        // Draw node outline for its type
+        this.drawNodeShape(node, width, height);
+        
+        // Selection outline
+        if (this.isNodeSelected(node)) {
+            this.ctx.save();
+            this.ctx.strokeStyle = '#3b82f6';
+            this.ctx.lineWidth = this.config.selectionWidth;
+            this.ctx.setLineDash([6, 4]);
+            this.drawRoundedRect(x - width / 2 - 6, y - height / 2 - 6, width + 12, height + 12, 12);
+            this.ctx.stroke();
+            this.ctx.restore();
+        }
         
         // Node label
         this.ctx.fillStyle = '#1f2937';
         this.ctx.font = 'bold 12px Arial';
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
-        this.ctx.fillText(node.label || 'Node', x, y + 5);
+        this.ctx.fillText(node.label || 'Node', x, y + 10);
         
-        // Icon area (simplified - just a colored circle for now)
+        // Node icon
         if (node.icon) {
-            this.ctx.fillStyle = layerColor;
+            this.drawNodeIcon(node.icon, x, y - 14, layerColor);
+        }
+        
+        if (this.hasSubDiagram(node)) {
+            this.drawSubDiagramBadge(node, layerColor);
+        }
+        
+        this.ctx.restore();
+    }
+    
+    // Sub-diagrams: a node can own a nested diagram ({ nodes, connections, layers }) in `node.diagram`
+    hasSubDiagram(node) {
+        return !!node?.diagram;
+    }
+    
+    // Click target in the node's bottom-right corner
+    getSubDiagramBadgeRect(node) {
+        const bounds = this.getNodeBounds(node);
+        return { x: bounds.x + bounds.width - 22, y: bounds.y + bounds.height - 22, width: 16, height: 16 };
+    }
+    
+    // Two stacked sheets, hinting that there is more inside
+    drawSubDiagramBadge(node, color) {
+        const badge = this.getSubDiagramBadgeRect(node);
+        
+        this.ctx.save();
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash([]);
+        [4, 0].forEach(offset => {
+            this.drawRoundedRect(badge.x + offset, badge.y + 4 - offset, badge.width - 4, badge.height - 4, 2);
+            this.ctx.fill();
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+    
+    // Fill and stroke the node outline using the current fill/stroke styles
+    drawNodeShape(node, width, height) {
+        const { x, y } = node;
+        const left = x - width / 2;
+        const top = y - height / 2;
+        
+        switch (this.getNodeShape(node)) {
+            case 'cylinder': {
+                const rx = width / 2;
+                const ry = height * 0.12;
+                
+                // Body with rounded bottom
+                this.ctx.beginPath();
+                this.ctx.moveTo(left, top + ry);
+                this.ctx.lineTo(left, top + height - ry);
+                this.ctx.ellipse(x, top + height - ry, rx, ry, 0, Math.PI, 0, true);
+                this.ctx.lineTo(left + width, top + ry);
+                this.ctx.ellipse(x, top + ry, rx, ry, 0, 0, Math.PI, true);
+                this.ctx.closePath();
+                this.ctx.fill();
+                this.ctx.stroke();
+                
+                // Top cap
+                this.ctx.beginPath();
+                this.ctx.ellipse(x, top + ry, rx, ry, 0, 0, 2 * Math.PI);
+                this.ctx.stroke();
+                break;
+            }
+            
+            case 'stack': {
+                // Back boxes first so the front box covers them
+                const rects = this.getStackRects(node).reverse();
+                rects.forEach(rect => {
+                    this.drawRoundedRect(rect.x, rect.y, rect.width, rect.height, 6);
+                    this.ctx.fill();
+                    this.ctx.stroke();
+                });
+                break;
+            }
+            
+            case 'cloud': {
+                const { circles, base } = this.getCloudGeometry(node);
+                const lineWidth = this.ctx.lineWidth;
+                const tracePath = () => {
+                    this.ctx.beginPath();
+                    circles.forEach(c => {
+                        this.ctx.moveTo(c.x + c.r, c.y);
+                        this.ctx.arc(c.x, c.y, c.r, 0, 2 * Math.PI);
+                    });
+                    this.ctx.rect(base.x, base.y, base.width, base.height);
+                };
+                
+                // Stroke the union at double width, then fill over it so only the outer edge remains
+                tracePath();
+                this.ctx.lineWidth = lineWidth * 2;
+                this.ctx.stroke();
+                this.ctx.lineWidth = lineWidth;
+                tracePath();
+                this.ctx.fill();
+                break;
+            }
+            
+            case 'device': {
+                const bezel = 6;
+                this.drawRoundedRect(left, top, width, height, 14);
+                this.ctx.fill();
+                this.ctx.stroke();
+                
+                // Screen and speaker slot
+                this.ctx.save();
+                this.ctx.lineWidth = 1;
+                this.drawRoundedRect(left + bezel, top + bezel * 2, width - bezel * 2, height - bezel * 3, 4);
+                this.ctx.stroke();
+                this.ctx.beginPath();
+                this.ctx.moveTo(x - 10, top + bezel);
+                this.ctx.lineTo(x + 10, top + bezel);
+                this.ctx.lineWidth = 2;
+                this.ctx.stroke();
+                this.ctx.restore();
+                break;
+            }
+            
+            default:
+                this.drawRoundedRect(left, top, width, height, 8);
+                this.ctx.fill();
+                this.ctx.stroke();
+        }
+    }
+    
+    // Front-to-back boxes of a queue node
+    getStackRects(node) {
+        const { width, height } = this.config.nodeSize;
+        const offset = 5;
+        const left = node.x - width / 2;
+        const top = node.y - height / 2;
+        
+        return [0, 1, 2].map(i => ({
+            x: left + i * offset,
+            y: top + (2 - i) * offset,
+            width: width - offset * 2,
+            height: height - offset * 2
+        }));
+    }
+    
+    // Overlapping lobes and a flat base that make up an external-system cloud
+    getCloudGeometry(node) {
+        const { width, height } = this.config.nodeSize;
+        const { x, y } = node;
+        
+        return {
+            circles: [
+                { x: x - width * 0.28, y: y + height * 0.12, r: height * 0.3 },
+                { x: x - width * 0.08, y: y - height * 0.12, r: height * 0.36 },
+                { x: x + width * 0.18, y: y - height * 0.06, r: height * 0.32 },
+                { x: x + width * 0.32, y: y + height * 0.16, r: height * 0.26 }
+            ],
+            base: {
+                x: x - width * 0.28,
+                y: y + height * 0.06,
+                width: width * 0.6,
+                height: height * 0.36
+            }
+        };
+    }
+    
+    drawNodeIcon(iconClass, x, y, color) {
+        const icon = this.getIconGlyph(iconClass);
+        
+        this.ctx.fillStyle = color;
+        
+        if (icon) {
+            this.ctx.font = `${icon.fontWeight} ${this.config.iconSize}px ${icon.fontFamily}`;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(icon.glyph, x, y);
+        } else {
+            // Icon font not available yet
             this.ctx.beginPath();
-            this.ctx.arc(x, y - 15, 8, 0, 2 * Math.PI);
+            this.ctx.arc(x, y, 8, 0, 2 * Math.PI);
             this.ctx.fill();
         }
+    }
+    
+    // Resolve an icon class (e.g. "fas fa-server") to the glyph and font the stylesheet uses for it
+    getIconGlyph(iconClass) {
+        if (this.iconGlyphs.has(iconClass)) {
+            return this.iconGlyphs.get(iconClass);
+        }
         
-        this.ctx.restore();
+        const probe = document.createElement('i');
+        probe.className = iconClass;
+        probe.style.position = 'absolute';
+        probe.style.visibility = 'hidden';
+        document.body.appendChild(probe);
+        
+        const style = getComputedStyle(probe, '::before');
+        const content = style.content;
+        const icon = content && content !== 'none' && content !== 'normal' ? {
+            glyph: content.replace(/^["']|["']$/g, ''),
+            fontFamily: style.fontFamily,
+            fontWeight: style.fontWeight
+        } : null;
+        
+        document.body.removeChild(probe);
+        
+        // Misses are cached too, so an unknown class or a blocked font isn't probed on every
+        // frame; the cache is cleared when fonts finish loading
+        const resolved = icon && (!document.fonts || document.fonts.check(`${icon.fontWeight} ${this.config.iconSize}px ${icon.fontFamily}`)) ?
+            icon :
+            null;
+        this.iconGlyphs.set(iconClass, resolved);
+        return resolved;
     }
     
-    renderConnections() {
-        for (const connection of this.connections) {
+    renderConnections(connections = this.connections) {
+        const ordered = connections.filter(connection => this.isConnectionShown(connection)).sort((a, b) =>
+            this.getConnectionDrawOrder(a) - this.getConnectionDrawOrder(b)
+        );
+        
+        for (const connection of ordered) {
             this.renderConnection(connection);
         }
     }
     
+    // A connection fades with whichever of its endpoints is fainter
+    getConnectionOpacity(fromNode, toNode) {
+        return Math.min(this.getNodeOpacity(fromNode), this.getNodeOpacity(toNode));
+    }
+    
+    getConnectionDrawOrder(connection) {
+        const ends = this.getConnectionNodes(connection);
+        if (!ends) return 0;
+        const { fromNode, toNode } = ends;
+        return Math.min(this.getNodeDrawOrder(fromNode), this.getNodeDrawOrder(toNode));
+    }
+    
     renderConnection(connection) {
-        const fromNode = this.nodes.get(connection.from);
-        const toNode = this.nodes.get(connection.to);
+        const ends = this.getConnectionNodes(connection);
+        if (!ends) return;
+        
+        const { fromNode, toNode } = ends;
         
-        if (!fromNode || !toNode) return;
-        if (!this.isLayerVisible(fromNode.layer) || !this.isLayerVisible(toNode.layer)) return;
+        const opacity = this.getConnectionOpacity(fromNode, toNode);
+        if (opacity <= 0) return;
         
         const isHighlighted = this.highlightedConnections.includes(connection);
-        const isSelected = this.selectedConnection === connection;
+        const isSelected = this.isConnectionSelected(connection);
         const isHovered = this.hoveredConnection === connection;
         
         this.ctx.save();
+        this.ctx.globalAlpha = opacity * this.getConnectionEmphasis(connection);
         
         // Dim non-highlighted connections when highlighting is active
         if (this.highlightedConnections.length > 0 && !isHighlighted) {
-            this.ctx.globalAlpha = 0.3;
+            this.ctx.globalAlpha *= 0.3;
         }
         
         // Determine connection styling
@@ -581,64 +1752,38 @@ class CanvasEngine {
             this.ctx.shadowOffsetY = 0;
         }
         
-        // Calculate connection points (edge of nodes)
-        const fromCenter = { x: fromNode.x, y: fromNode.y };
-        const toCenter = { x: toNode.x, y: toNode.y };
-        
-        const angle = Math.atan2(toCenter.y - fromCenter.y, toCenter.x - fromCenter.x);
-        const nodeRadius = Math.sqrt(
-            Math.pow(this.config.nodeSize.width/2, 2) + 
-            Math.pow(this.config.nodeSize.height/2, 2)
-        );
-        
-        const fromPoint = {
-            x: fromCenter.x + Math.cos(angle) * nodeRadius * 0.7,
-            y: fromCenter.y + Math.sin(angle) * nodeRadius * 0.7
-        };
-        
-        const toPoint = {
-            x: toCenter.x - Math.cos(angle) * nodeRadius * 0.7,
-            y: toCenter.y - Math.sin(angle) * nodeRadius * 0.7
-        };
+        // Calculate connection path
+        const path = this.getConnectionPath(connection, fromNode, toNode);
+        const { toPoint, arrowAngle, midPoint } = path;
         
-        // Draw connection line
         this.ctx.beginPath();
         
-        if (connection.type === 'curved') {
+        if (path.curve) {
             // Curved connection
-            const controlOffset = Utils.distance(fromPoint, toPoint) * 0.3;
-            const controlAngle = angle + Math.PI / 2;
-            
-            const control1 = {
-                x: fromPoint.x + Math.cos(controlAngle) * controlOffset,
-                y: fromPoint.y + Math.sin(controlAngle) * controlOffset
-            };
-            
-            const control2 = {
-                x: toPoint.x + Math.cos(controlAngle) * controlOffset,
-                y: toPoint.y + Math.sin(controlAngle) * controlOffset
-            };
-            
-            this.ctx.moveTo(fromPoint.x, fromPoint.y);
-            this.ctx.bezierCurveTo(control1.x, control1.y, control2.x, control2.y, toPoint.x, toPoint.y);
+            const { from, control1, control2, to } = path.curve;
+            this.ctx.moveTo(from.x, from.y);
+            this.ctx.bezierCurveTo(control1.x, control1.y, control2.x, control2.y, to.x, to.y);
         } else {
-            // Straight connection
-            this.ctx.moveTo(fromPoint.x, fromPoint.y);
-            this.ctx.lineTo(toPoint.x, toPoint.y);
+            // Straight or routed connection
+            this.tracePolyline(path.points, this.config.cornerRadius);
         }
         
-        this.ctx.stroke();
+        // Line pattern and arrowhead for the connection type
+        const connectionStyle = this.getConnectionStyle(connection);
+        this.strokeConnectionPath(connectionStyle);
         
         // Draw arrow
-        this.drawArrow(toPoint, angle);
+        this.drawArrow(toPoint, arrowAngle, connectionStyle.arrow);
+        
+        // Flow particles
+        if (this.flowAnimation.playing) {
+            this.ctx.shadowColor = 'transparent';
+            this.drawFlowParticles(connection, path.points, strokeColor);
+        }
         
         // Draw connection label
-        if (connection.label) {
-            const midPoint = {
-                x: (fromPoint.x + toPoint.x) / 2,
-                y: (fromPoint.y + toPoint.y) / 2
-            };
-            
+        const label = this.getConnectionLabel(connection);
+        if (label) {
             // Reset shadow for text
             this.ctx.shadowColor = 'transparent';
             this.ctx.shadowBlur = 0;
@@ -649,7 +1794,7 @@ class CanvasEngine {
             this.ctx.textBaseline = 'middle';
             
             // Measure text for background
-            const textMetrics = this.ctx.measureText(connection.label);
+            const textMetrics = this.ctx.measureText(label);
             const textWidth = textMetrics.width;
             const textHeight = this.config.fontSize + 2;
             const padding = 4;
@@ -673,81 +1818,755 @@ class CanvasEngine {
             
             // Draw text
             this.ctx.fillStyle = '#1f2937';
-            this.ctx.fillText(connection.label, midPoint.x, midPoint.y);
+            this.ctx.fillText(label, midPoint.x, midPoint.y);
         }
         
         this.ctx.restore();
     }
     
-    drawArrow(point, angle) {
-        const arrowLength = 10;
-        const arrowAngle = Math.PI / 6;
+    /**
+     * Geometry of a connection: the polyline it follows (bezier curves are
+     * sampled), the bezier itself for curved connections, and where to put
+     * the arrowhead and label
+     */
+    getConnectionPath(connection, fromNode, toNode) {
+        if (this.hasWaypoints(connection)) {
+            return this.getWaypointPath(connection, fromNode, toNode);
+        }
         
-        this.ctx.save();
-        this.ctx.translate(point.x, point.y);
-        this.ctx.rotate(angle);
+        if (this.usesOrthogonalRouting(connection)) {
+            // Routed elbow connection
+            const points = this.getConnectionRoute(connection);
+            const last = points[points.length - 1];
+            const beforeLast = points[points.length - 2];
+            
+            return {
+                points,
+                curve: null,
+                toPoint: last,
+                arrowAngle: Math.atan2(last.y - beforeLast.y, last.x - beforeLast.x),
+                midPoint: this.getPolylineMidpoint(points)
+            };
+        }
         
-        this.ctx.beginPath();
-        this.ctx.moveTo(0, 0);
-        this.ctx.lineTo(-arrowLength, -arrowLength * Math.tan(arrowAngle));
-        this.ctx.lineTo(-arrowLength, arrowLength * Math.tan(arrowAngle));
-        this.ctx.closePath();
-        this.ctx.fill();
+        // Calculate connection points (edge of nodes)
+        const fromCenter = { x: fromNode.x, y: fromNode.y };
+        const toCenter = { x: toNode.x, y: toNode.y };
         
-        this.ctx.restore();
-    }
-    
-    // Public API methods
-    setData(data) {
-        this.nodes.clear();
-        this.connections = [];
-        this.layers.clear();
+        const angle = Math.atan2(toCenter.y - fromCenter.y, toCenter.x - fromCenter.x);
+        const fromRadius = this.getNodeRadius(fromNode);
+        const toRadius = this.getNodeRadius(toNode);
         
-        // Add layers
-        if (data.layers) {
-            data.layers.forEach(layer => {
-                this.addLayer(layer.id, layer);
-            });
-        }
+        const fromPoint = {
+            x: fromCenter.x + Math.cos(angle) * fromRadius * 0.7,
+            y: fromCenter.y + Math.sin(angle) * fromRadius * 0.7
+        };
         
-        // Add nodes
-        if (data.nodes) {
-            data.nodes.forEach(node => {
-                this.addNode(node);
-            });
+        const toPoint = {
+            x: toCenter.x - Math.cos(angle) * toRadius * 0.7,
+            y: toCenter.y - Math.sin(angle) * toRadius * 0.7
+        };
+        
+        const midPoint = {
+            x: (fromPoint.x + toPoint.x) / 2,
+            y: (fromPoint.y + toPoint.y) / 2
+        };
+        
+        if (connection.type !== 'curved') {
+            return { points: [fromPoint, toPoint], curve: null, toPoint, arrowAngle: angle, midPoint };
         }
         
-        // Add connections
-        if (data.connections) {
-            data.connections.forEach(connection => {
-                this.addConnection(connection);
+        // Curved connection
+        const controlOffset = Utils.distance(fromPoint, toPoint) * 0.3;
+        const controlAngle = angle + Math.PI / 2;
+        
+        const control1 = {
+            x: fromPoint.x + Math.cos(controlAngle) * controlOffset,
+            y: fromPoint.y + Math.sin(controlAngle) * controlOffset
+        };
+        
+        const control2 = {
+            x: toPoint.x + Math.cos(controlAngle) * controlOffset,
+            y: toPoint.y + Math.sin(controlAngle) * controlOffset
+        };
+        
+        // Sample the curve so particles can follow it
+        const points = [];
+        const samples = 16;
+        for (let i = 0; i <= samples; i++) {
+            const t = i / samples;
+            const mt = 1 - t;
+            points.push({
+                x: mt * mt * mt * fromPoint.x + 3 * mt * mt * t * control1.x + 3 * mt * t * t * control2.x + t * t * t * toPoint.x,
+                y: mt * mt * mt * fromPoint.y + 3 * mt * mt * t * control1.y + 3 * mt * t * t * control2.y + t * t * t * toPoint.y
             });
         }
         
-        this.render();
-        
-        // Center the viewport to show the nodes
-        setTimeout(() => {
-            this.zoomToFit();
-        }, 100);
+        return {
+            points,
+            curve: { from: fromPoint, control1, control2, to: toPoint },
+            toPoint,
+            arrowAngle: angle,
+            midPoint
+        };
     }
     
-    zoomToFit() {
-        if (this.nodes.size === 0) return;
+    // Manually routed connections bend through their `waypoints` ([{ x, y }] in world coordinates),
+    // overriding elbow routing and curves
+    hasWaypoints(connection) {
+        return Array.isArray(connection?.waypoints) && connection.waypoints.length > 0;
+    }
+    
+    // Straight segments from the source edge, through the waypoints, to the target edge
+    getWaypointPath(connection, fromNode, toNode) {
+        const waypoints = (connection.waypoints || []).map(point => ({ x: point.x, y: point.y }));
+        const first = waypoints[0] || toNode;
+        const last = waypoints[waypoints.length - 1] || fromNode;
         
-        // Calculate bounding box of all visible nodes
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        const startAngle = Math.atan2(first.y - fromNode.y, first.x - fromNode.x);
+        const endAngle = Math.atan2(toNode.y - last.y, toNode.x - last.x);
+        const fromRadius = this.getNodeRadius(fromNode) * 0.7;
+        const toRadius = this.getNodeRadius(toNode) * 0.7;
         
-        for (const node of this.nodes.values()) {
-            if (!this.isLayerVisible(node.layer)) continue;
+        const fromPoint = {
+            x: fromNode.x + Math.cos(startAngle) * fromRadius,
+            y: fromNode.y + Math.sin(startAngle) * fromRadius
+        };
+        const toPoint = {
+            x: toNode.x - Math.cos(endAngle) * toRadius,
+            y: toNode.y - Math.sin(endAngle) * toRadius
+        };
+        const points = [fromPoint, ...waypoints, toPoint];
+        
+        return {
+            points,
+            curve: null,
+            toPoint,
+            arrowAngle: endAngle,
+            midPoint: this.getPolylineMidpoint(points)
+        };
+    }
+    
+    // World position where the connection's label is drawn
+    getConnectionMidpoint(connection) {
+        const nodes = this.getConnectionNodes(connection);
+        return nodes ? this.getConnectionPath(connection, nodes.fromNode, nodes.toNode).midPoint : null;
+    }
+    
+    // World position where the node's label is drawn (the middle of the header strip for expanded containers)
+    getNodeLabelPosition(node) {
+        if (this.isExpandedContainer(node)) {
+            const toggle = this.getContainerToggleRect(node);
+            return { x: node.x, y: toggle.y + toggle.height / 2 };
+        }
+        
+        return { x: node.x, y: node.y + (this.isContainer(node) ? 4 : 10) };
+    }
+    
+    // Trace a polyline with rounded corners into the current path
+    tracePolyline(points, radius) {
+        this.ctx.moveTo(points[0].x, points[0].y);
+        
+        for (let i = 1; i < points.length - 1; i++) {
+            const prev = points[i - 1];
+            const corner = points[i];
+            const next = points[i + 1];
             
-            minX = Math.min(minX, node.x - this.config.nodeSize.width / 2);
-            minY = Math.min(minY, node.y - this.config.nodeSize.height / 2);
-            maxX = Math.max(maxX, node.x + this.config.nodeSize.width / 2);
-            maxY = Math.max(maxY, node.y + this.config.nodeSize.height / 2);
+            // Shrink the radius on short segments so corners never overlap
+            const cornerRadius = Math.min(
+                radius,
+                Utils.distance(prev, corner) / 2,
+                Utils.distance(corner, next) / 2
+            );
+            this.ctx.arcTo(corner.x, corner.y, next.x, next.y, cornerRadius);
         }
         
-        if (minX === Infinity) return;
+        const last = points[points.length - 1];
+        this.ctx.lineTo(last.x, last.y);
+    }
+    
+    // Point halfway along a polyline, measured by length
+    getPolylineMidpoint(points) {
+        let total = 0;
+        for (let i = 1; i < points.length; i++) {
+            total += Utils.distance(points[i - 1], points[i]);
+        }
+        
+        let remaining = total / 2;
+        for (let i = 1; i < points.length; i++) {
+            const length = Utils.distance(points[i - 1], points[i]);
+            if (remaining <= length && length > 0) {
+                const t = remaining / length;
+                return {
+                    x: Utils.lerp(points[i - 1].x, points[i].x, t),
+                    y: Utils.lerp(points[i - 1].y, points[i].y, t)
+                };
+            }
+            remaining -= length;
+        }
+        
+        return { ...points[points.length - 1] };
+    }
+    
+    getConnectionStyle(connection) {
+        const styles = this.config.connectionStyles;
+        return styles[connection.type] || styles.default;
+    }
+    
+    // Stroke the current path with a connection style's dash pattern or double line
+    strokeConnectionPath(style) {
+        this.ctx.setLineDash(style.dash || []);
+        
+        if (style.double) {
+            // Wide stroke with a background-colored core leaves two parallel lines
+            const lineWidth = this.ctx.lineWidth;
+            this.ctx.lineWidth = lineWidth * 3;
+            this.ctx.stroke();
+            
+            this.ctx.save();
+            this.ctx.shadowColor = 'transparent';
+            this.ctx.strokeStyle = this.canvasBackground || '#fafafa';
+            this.ctx.lineWidth = lineWidth;
+            this.ctx.stroke();
+            this.ctx.restore();
+            
+            this.ctx.lineWidth = lineWidth;
+        } else {
+            this.ctx.stroke();
+        }
+        
+        this.ctx.setLineDash([]);
+    }
+    
+    drawArrow(point, angle, kind = 'triangle') {
+        const arrowLength = 10;
+        const arrowAngle = Math.PI / 6;
+        const halfWidth = arrowLength * Math.tan(arrowAngle);
+        
+        this.ctx.save();
+        this.ctx.translate(point.x, point.y);
+        this.ctx.rotate(angle);
+        this.ctx.fillStyle = this.ctx.strokeStyle;
+        this.ctx.setLineDash([]);
+        
+        this.ctx.beginPath();
+        
+        switch (kind) {
+            case 'open':
+                this.ctx.moveTo(-arrowLength, -halfWidth);
+                this.ctx.lineTo(0, 0);
+                this.ctx.lineTo(-arrowLength, halfWidth);
+                this.ctx.stroke();
+                break;
+            
+            case 'diamond':
+                this.ctx.moveTo(0, 0);
+                this.ctx.lineTo(-arrowLength * 0.7, -halfWidth);
+                this.ctx.lineTo(-arrowLength * 1.4, 0);
+                this.ctx.lineTo(-arrowLength * 0.7, halfWidth);
+                this.ctx.closePath();
+                this.ctx.fill();
+                break;
+            
+            case 'circle':
+                this.ctx.arc(-halfWidth, 0, halfWidth, 0, 2 * Math.PI);
+                this.ctx.fill();
+                break;
+            
+            default:
+                this.ctx.moveTo(0, 0);
+                this.ctx.lineTo(-arrowLength, -halfWidth);
+                this.ctx.lineTo(-arrowLength, halfWidth);
+                this.ctx.closePath();
+                this.ctx.fill();
+        }
+        
+        this.ctx.restore();
+    }
+    
+    // Flow animation
+    setFlowAnimation(playing) {
+        const flow = this.flowAnimation;
+        flow.playing = playing;
+        
+        if (!playing && flow.frameId !== null) {
+            cancelAnimationFrame(flow.frameId);
+            flow.frameId = null;
+        }
+        
+        flow.lastTimestamp = null;
+        this.render();
+    }
+    
+    // Keep the frame loop running only while particles are visible
+    scheduleFlowFrame() {
+        const flow = this.flowAnimation;
+        
+        if (!flow.playing || flow.particlesDrawn === 0) {
+            flow.lastTimestamp = null;
+            return;
+        }
+        
+        if (flow.frameId === null) {
+            flow.frameId = requestAnimationFrame(timestamp => this.stepFlowAnimation(timestamp));
+        }
+    }
+    
+    stepFlowAnimation(timestamp) {
+        const flow = this.flowAnimation;
+        flow.frameId = null;
+        
+        if (flow.lastTimestamp !== null) {
+            flow.time += (timestamp - flow.lastTimestamp) / 1000;
+        }
+        flow.lastTimestamp = timestamp;
+        
+        this.render();
+    }
+    
+    /**
+     * Draw dots moving along a connection. `connection.rate` is the relative
+     * traffic (1 = normal, 0 = none) and scales both speed and density.
+     */
+    drawFlowParticles(connection, points, color) {
+        const rate = connection.rate ?? 1;
+        if (!(rate > 0)) return;
+        
+        const factor = Utils.clamp(rate, 0.25, 4);
+        const speed = this.config.particleSpeed * factor;
+        const spacing = this.config.particleSpacing / factor;
+        
+        // Cumulative segment lengths
+        const lengths = [0];
+        for (let i = 1; i < points.length; i++) {
+            lengths.push(lengths[i - 1] + Utils.distance(points[i - 1], points[i]));
+        }
+        const total = lengths[lengths.length - 1];
+        if (total === 0) return;
+        
+        const offset = (this.flowAnimation.time * speed) % spacing;
+        this.ctx.fillStyle = color;
+        
+        for (let distance = offset; distance < total; distance += spacing) {
+            let segment = 1;
+            while (segment < lengths.length - 1 && lengths[segment] < distance) {
+                segment++;
+            }
+            
+            const start = points[segment - 1];
+            const end = points[segment];
+            const segmentLength = lengths[segment] - lengths[segment - 1];
+            const t = segmentLength > 0 ? (distance - lengths[segment - 1]) / segmentLength : 0;
+            
+            this.ctx.beginPath();
+            this.ctx.arc(Utils.lerp(start.x, end.x, t), Utils.lerp(start.y, end.y, t), this.config.particleRadius, 0, 2 * Math.PI);
+            this.ctx.fill();
+            this.flowAnimation.particlesDrawn++;
+        }
+    }
+    
+    // Legend overlay
+    getLegendEntries() {
+        const nodes = Array.from(this.nodes.values());
+        const usedLayers = new Set(nodes.map(node => node.layer));
+        const nodeTypes = [...new Set(nodes.map(node => node.type || 'default'))];
+        const connectionTypes = [...new Set(this.connections.map(conn =>
+            this.config.connectionStyles[conn.type] ? conn.type : 'default'
+        ))];
+        
+        return {
+            layers: Array.from(this.layers.entries())
+                .filter(([layerId]) => usedLayers.has(layerId))
+                .sort(([a], [b]) => this.getLayerRank(a) - this.getLayerRank(b))
+                .map(([layerId, layer]) => ({ id: layerId, name: layer.name, color: layer.color })),
+            nodeTypes,
+            connectionTypes
+        };
+    }
+    
+    // Draw the legend in the bottom-left corner, in screen coordinates
+    renderLegend() {
+        const { layers, nodeTypes, connectionTypes } = this.getLegendEntries();
+        if (layers.length + nodeTypes.length + connectionTypes.length === 0) return;
+        
+        const style = getComputedStyle(document.documentElement);
+        const surfaceColor = style.getPropertyValue('--surface-color').trim() || '#f8fafc';
+        const borderColor = style.getPropertyValue('--border-color').trim() || '#e2e8f0';
+        const textColor = style.getPropertyValue('--text-primary').trim() || '#1e293b';
+        const mutedColor = style.getPropertyValue('--text-secondary').trim() || '#64748b';
+        
+        const rowHeight = 18;
+        const headingHeight = 20;
+        const padding = 10;
+        const swatchWidth = 28;
+        const sections = [
+            { title: 'Layers', rows: layers },
+            { title: 'Node Types', rows: nodeTypes },
+            { title: 'Connections', rows: connectionTypes }
+        ].filter(section => section.rows.length > 0);
+        
+        // Size the box to the longest label
+        this.ctx.save();
+        this.ctx.font = '11px -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif';
+        const labelFor = (section, row) => {
+            if (section.title === 'Layers') return row.name;
+            if (section.title === 'Connections') return this.config.connectionStyles[row].label;
+            return row;
+        };
+        const textWidth = Math.max(...sections.flatMap(section =>
+            section.rows.map(row => this.ctx.measureText(labelFor(section, row)).width)
+        ), 60);
+        
+        const width = padding * 3 + swatchWidth + textWidth;
+        const height = padding * 2 + sections.reduce((sum, section) =>
+            sum + headingHeight + section.rows.length * rowHeight, 0);
+        const left = padding;
+        const top = this.canvas.clientHeight - height - padding;
+        
+        this.ctx.globalAlpha = 0.95;
+        this.ctx.fillStyle = surfaceColor;
+        this.ctx.strokeStyle = borderColor;
+        this.ctx.lineWidth = 1;
+        this.drawRoundedRect(left, top, width, height, 6);
+        this.ctx.fill();
+        this.ctx.stroke();
+        this.ctx.globalAlpha = 1;
+        
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        
+        let y = top + padding;
+        sections.forEach(section => {
+            this.ctx.fillStyle = mutedColor;
+            this.ctx.font = 'bold 10px -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif';
+            this.ctx.fillText(section.title.toUpperCase(), left + padding, y + headingHeight / 2);
+            y += headingHeight;
+            
+            section.rows.forEach(row => {
+                const cy = y + rowHeight / 2;
+                const swatchX = left + padding;
+                
+                this.ctx.save();
+                if (section.title === 'Layers') {
+                    this.ctx.fillStyle = row.color;
+                    this.drawRoundedRect(swatchX + 6, cy - 6, 16, 12, 3);
+                    this.ctx.fill();
+                } else if (section.title === 'Node Types') {
+                    // Node outline scaled down to swatch size
+                    const scale = 12 / this.config.nodeSize.height;
+                    this.ctx.translate(swatchX + swatchWidth / 2, cy);
+                    this.ctx.scale(scale, scale);
+                    this.ctx.fillStyle = surfaceColor;
+                    this.ctx.strokeStyle = mutedColor;
+                    this.ctx.lineWidth = 1 / scale;
+                    this.drawNodeShape({ x: 0, y: 0, type: row }, this.config.nodeSize.width, this.config.nodeSize.height);
+                } else {
+                    const connectionStyle = this.config.connectionStyles[row];
+                    this.ctx.strokeStyle = mutedColor;
+                    this.ctx.lineWidth = 1.5;
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(swatchX, cy);
+                    this.ctx.lineTo(swatchX + swatchWidth - 4, cy);
+                    this.strokeConnectionPath(connectionStyle);
+                    this.ctx.scale(0.7, 0.7);
+                    this.drawArrow({ x: (swatchX + swatchWidth) / 0.7, y: cy / 0.7 }, 0, connectionStyle.arrow);
+                }
+                this.ctx.restore();
+                
+                this.ctx.fillStyle = textColor;
+                this.ctx.font = '11px -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif';
+                this.ctx.fillText(labelFor(section, row), swatchX + swatchWidth + padding, cy);
+                y += rowHeight;
+            });
+        });
+        
+        this.ctx.restore();
+    }
+    
+    setLegendVisible(visible) {
+        this.showLegend = visible;
+        this.render();
+    }
+    
+    // Layer regions
+    setLayerRegionMode(mode) {
+        this.layerRegionMode = mode;
+        this.regionDrag = null;
+        this.render();
+    }
+    
+    /**
+     * Get the area each visible layer covers, either as full-width swimlane
+     * bands or as convex hulls around its nodes. Regions follow the nodes, so
+     * they are recomputed on every call; `excludeNode` is left out of the geometry.
+     */
+    getLayerRegions(excludeNode = null) {
+        if (this.layerRegionMode === 'none') return [];
+        
+        const padding = this.config.regionPadding;
+        const nodesByLayer = new Map();
+        
+        for (const node of this.nodes.values()) {
+            if (node === excludeNode || !this.layers.has(node.layer) || this.getNodeOpacity(node) <= 0) continue;
+            if (this.isNodeHidden(node)) continue;
+            
+            if (!nodesByLayer.has(node.layer)) {
+                nodesByLayer.set(node.layer, []);
+            }
+            nodesByLayer.get(node.layer).push(node);
+        }
+        
+        const regions = Array.from(nodesByLayer.entries()).map(([layerId, nodes]) => {
+            const layer = this.layers.get(layerId);
+            const corners = nodes.flatMap(node => {
+                const bounds = this.getNodeBounds(node);
+                const left = bounds.x - padding;
+                const top = bounds.y - padding;
+                const right = bounds.x + bounds.width + padding;
+                const bottom = bounds.y + bounds.height + padding;
+                return [
+                    { x: left, y: top },
+                    { x: right, y: top },
+                    { x: right, y: bottom },
+                    { x: left, y: bottom }
+                ];
+            });
+            
+            return {
+                layerId,
+                name: layer.name,
+                color: layer.color,
+                corners,
+                bounds: this.getPolylineBounds(corners)
+            };
+        });
+        
+        if (this.layerRegionMode === 'hulls') {
+            regions.forEach(region => {
+                region.polygon = CanvasEngine.convexHull(region.corners);
+            });
+            // Overlapping hulls stack like their layers
+            return regions.sort((a, b) => this.getLayerRank(b.layerId) - this.getLayerRank(a.layerId));
+        }
+        
+        // Bands share the diagram's full width and are stacked by their centre;
+        // where two bands overlap they meet halfway between their centres
+        const left = Math.min(...regions.map(region => region.bounds.x));
+        const right = Math.max(...regions.map(region => region.bounds.x + region.bounds.width));
+        const centerOf = region => region.bounds.y + region.bounds.height / 2;
+        
+        regions.sort((a, b) => centerOf(a) - centerOf(b));
+        regions.forEach(region => {
+            region.top = region.bounds.y;
+            region.bottom = region.bounds.y + region.bounds.height;
+        });
+        
+        for (let i = 1; i < regions.length; i++) {
+            const above = regions[i - 1];
+            const below = regions[i];
+            if (below.bounds.y < above.bounds.y + above.bounds.height) {
+                const middle = (centerOf(above) + centerOf(below)) / 2;
+                above.bottom = middle;
+                below.top = middle;
+            }
+        }
+        
+        regions.forEach(region => {
+            region.polygon = [
+                { x: left, y: region.top },
+                { x: right, y: region.top },
+                { x: right, y: region.bottom },
+                { x: left, y: region.bottom }
+            ];
+            region.bounds = this.getPolylineBounds(region.polygon);
+        });
+        
+        return regions;
+    }
+    
+    // Layer whose region contains the point; the smallest region wins where hulls overlap
+    getLayerAtPoint(worldPos, excludeNode = null) {
+        let best = null;
+        let bestArea = Infinity;
+        
+        this.getLayerRegions(excludeNode).forEach(region => {
+            if (!this.isLayerVisible(region.layerId)) return;
+            
+            const area = region.bounds.width * region.bounds.height;
+            if (area < bestArea && CanvasEngine.pointInPolygon(worldPos, region.polygon)) {
+                best = region.layerId;
+                bestArea = area;
+            }
+        });
+        
+        return best;
+    }
+    
+    // A drop only counts once the node has left the region it started in
+    isRegionDropTarget(regionDrag, layerId) {
+        return layerId !== null &&
+            layerId === regionDrag.targetLayer &&
+            layerId !== regionDrag.startLayer &&
+            layerId !== regionDrag.node.layer;
+    }
+    
+    renderLayerRegions() {
+        const regions = this.getLayerRegions();
+        const radius = this.layerRegionMode === 'bands' ? 8 : this.config.regionPadding;
+        
+        regions.forEach(region => {
+            const isTarget = this.regionDrag && this.isRegionDropTarget(this.regionDrag, region.layerId);
+            
+            this.ctx.save();
+            this.ctx.globalAlpha = this.getLayerOpacity(region.layerId);
+            this.ctx.beginPath();
+            this.traceRoundedPolygon(region.polygon, radius);
+            this.ctx.fillStyle = Utils.colorWithOpacity(region.color, isTarget ? 0.18 : 0.06);
+            this.ctx.fill();
+            this.ctx.strokeStyle = Utils.colorWithOpacity(region.color, isTarget ? 0.9 : 0.4);
+            this.ctx.lineWidth = isTarget ? 3 : 1.5;
+            this.ctx.setLineDash(isTarget ? [] : [8, 6]);
+            this.ctx.stroke();
+            
+            // Bands are labelled at their left edge, hulls above their top edge
+            this.ctx.fillStyle = region.color;
+            this.ctx.font = 'bold 13px Arial';
+            this.ctx.textBaseline = 'top';
+            if (this.layerRegionMode === 'bands') {
+                this.ctx.textAlign = 'left';
+                this.ctx.fillText(region.name, region.bounds.x + 12, region.bounds.y + 8);
+            } else {
+                const topPoints = region.polygon.filter(point => point.y === region.bounds.y);
+                const labelX = topPoints.reduce((sum, point) => sum + point.x, 0) / topPoints.length;
+                this.ctx.textAlign = 'center';
+                this.ctx.textBaseline = 'bottom';
+                this.ctx.fillText(region.name, labelX, region.bounds.y - 4);
+            }
+            
+            this.ctx.restore();
+        });
+    }
+    
+    // Trace a closed polygon with rounded corners into the current path
+    traceRoundedPolygon(points, radius) {
+        const count = points.length;
+        const first = points[0];
+        const last = points[count - 1];
+        this.ctx.moveTo((first.x + last.x) / 2, (first.y + last.y) / 2);
+        
+        for (let i = 0; i < count; i++) {
+            const prev = points[(i + count - 1) % count];
+            const corner = points[i];
+            const next = points[(i + 1) % count];
+            const cornerRadius = Math.min(
+                radius,
+                Utils.distance(prev, corner) / 2,
+                Utils.distance(corner, next) / 2
+            );
+            this.ctx.arcTo(corner.x, corner.y, next.x, next.y, cornerRadius);
+        }
+        
+        this.ctx.closePath();
+    }
+    
+    /**
+     * Convex hull of a set of points (monotone chain)
+     */
+    static convexHull(points) {
+        const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+        if (sorted.length < 3) return sorted;
+        
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const buildChain = (input) => {
+            const chain = [];
+            input.forEach(point => {
+                while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) {
+                    chain.pop();
+                }
+                chain.push(point);
+            });
+            chain.pop();
+            return chain;
+        };
+        
+        return [...buildChain(sorted), ...buildChain(sorted.reverse())];
+    }
+    
+    static pointInPolygon(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+    
+    // Public API methods
+    setData(data, options = {}) {
+        this.clearSelection();
+        this.clearHighlights();
+        this.hoveredNode = null;
+        this.nodes.clear();
+        this.contentVersion++;
+        this.connections = [];
+        this.nodeConnections.clear();
+        this.layers.clear();
+        this.nodeIndex.clear();
+        this.connectionIndex.clear();
+        this.routeCache.clear();
+        
+        // Add layers
+        if (data.layers) {
+            data.layers.forEach(layer => {
+                this.addLayer(layer.id, layer);
+            });
+        }
+        
+        // Add nodes
+        if (data.nodes) {
+            data.nodes.forEach(node => {
+                this.addNode(node);
+            });
+        }
+        
+        // Add connections
+        if (data.connections) {
+            data.connections.forEach(connection => {
+                this.addConnection(connection);
+            });
+        }
+        
+        this.render();
+        
+        // Center the viewport to show the nodes
+        if (options.fit !== false) {
+            setTimeout(() => {
+                this.zoomToFit();
+            }, 100);
+        }
+    }
+    
+    zoomToFit() {
+        if (this.nodes.size === 0) return;
+        
+        // Calculate bounding box of all visible nodes
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        
+        for (const node of this.nodes.values()) {
+            if (!this.isNodeVisible(node) || this.isNodeHidden(node)) continue;
+            
+            const bounds = this.getNodeBounds(node);
+            minX = Math.min(minX, bounds.x);
+            minY = Math.min(minY, bounds.y);
+            maxX = Math.max(maxX, bounds.x + bounds.width);
+            maxY = Math.max(maxY, bounds.y + bounds.height);
+        }
+        
+        if (minX === Infinity) return;
         
         const contentWidth = maxX - minX;
         const contentHeight = maxY - minY;
@@ -788,7 +2607,7 @@ class CanvasEngine {
     
     getStats() {
         const visibleNodes = Array.from(this.nodes.values()).filter(
-            node => this.isLayerVisible(node.layer)
+            node => this.isNodeVisible(node)
         ).length;
         
         return {
@@ -813,39 +2632,604 @@ class CanvasEngine {
             ...nodeData
         };
         
+        // Replacing an existing node drops the old object from the index
+        const existing = this.nodes.get(nodeId);
+        if (existing) {
+            this.nodeIndex.remove(existing);
+        }
+        
+        // A node can't end up inside itself
+        for (let ancestor = this.nodes.get(node.parent); ancestor; ancestor = this.nodes.get(ancestor.parent)) {
+            if (ancestor.id === nodeId) {
+                delete node.parent;
+                break;
+            }
+        }
+        
         this.nodes.set(nodeId, node);
+        this.contentVersion++;
+        
+        // Containers change which nodes are shown, so everything is re-indexed
+        if (this.isContainer(node) || this.isContainer(existing)) {
+            this.invalidateSpatialIndex();
+        } else {
+            this.updateNodeBounds(node);
+        }
+        return node;
+    }
+    
+    // Label, layer, description and other edits to a node; moves go through updateNodeBounds alone
+    updateNode(nodeId, updates) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return null;
+        
+        Object.assign(node, updates);
+        this.contentVersion++;
+        this.updateNodeBounds(node);
         return node;
     }
     
     removeNode(nodeId) {
         // Remove node
+        const node = this.nodes.get(nodeId);
+        if (node) {
+            this.nodeIndex.remove(node);
+        }
         this.nodes.delete(nodeId);
+        this.sceneVersion++;
+        this.contentVersion++;
+        
+        if (node && !this.spatialIndexDirty) {
+            this.invalidateRoutesNear(this.getNodeBounds(node));
+        }
         
         // Remove all connections to/from this node
-        this.connections = this.connections.filter(conn => 
-            conn.from !== nodeId && conn.to !== nodeId
-        );
+        this.connections = this.connections.filter(conn => {
+            const attached = conn.from === nodeId || conn.to === nodeId;
+            if (attached) {
+                this.unlinkConnection(conn);
+                this.connectionIndex.remove(conn);
+                this.routeCache.delete(conn);
+                this.selectedConnections.delete(conn);
+                if (this.selectedConnection === conn) {
+                    this.selectedConnection = null;
+                }
+            }
+            return !attached;
+        });
         
         // Clear selection if selected node was removed
+        this.selectedNodes.delete(node);
         if (this.selectedNode && this.selectedNode.id === nodeId) {
             this.selectedNode = null;
         }
+        
+        // Children of a removed container are shown again; a container shrinks around its remaining children
+        if (this.isContainer(node)) {
+            this.invalidateSpatialIndex();
+        } else if (node && this.getParentNode(node)) {
+            this.updateNodeBounds(this.getParentNode(node));
+        }
     }
     
     // Utility Methods
     clearAll() {
         this.nodes.clear();
         this.connections = [];
+        this.nodeConnections.clear();
+        this.nodeIndex.clear();
+        this.connectionIndex.clear();
+        this.routeCache.clear();
         this.selectedNode = null;
+        this.selectedConnection = null;
+        this.selectedNodes.clear();
+        this.selectedConnections.clear();
         this.hoveredNode = null;
         this.clearHighlights();
+        this.sceneVersion++;
+        this.contentVersion++;
     }
     
     getNodeAtId(nodeId) {
         return this.nodes.get(nodeId);
     }
     
+    // Container nodes
+    // A container holds the nodes whose `parent` is its id. Expanded, it is drawn as a frame
+    // around its children; collapsed, it is one box that stands in for all of them.
+    isContainer(node) {
+        return !!node?.container;
+    }
+    
+    isExpandedContainer(node) {
+        return this.isContainer(node) && !node.collapsed;
+    }
+    
+    getParentNode(node) {
+        const parent = node.parent ? this.nodes.get(node.parent) : null;
+        return this.isContainer(parent) ? parent : null;
+    }
+    
+    getChildNodes(container) {
+        return Array.from(this.nodes.values()).filter(node => node.parent === container.id);
+    }
+    
+    getDescendants(container) {
+        return this.getChildNodes(container).flatMap(child =>
+            this.isContainer(child) ? [child, ...this.getDescendants(child)] : [child]
+        );
+    }
+    
+    // The given nodes plus everything inside any containers among them
+    getNodesWithDescendants(nodes) {
+        const result = new Set(nodes);
+        nodes.forEach(node => {
+            if (this.isContainer(node)) {
+                this.getDescendants(node).forEach(descendant => result.add(descendant));
+            }
+        });
+        return Array.from(result);
+    }
+    
+    getNodeDepth(node) {
+        let depth = 0;
+        for (let parent = this.getParentNode(node); parent; parent = this.getParentNode(parent)) {
+            depth++;
+        }
+        return depth;
+    }
+    
+    // Outermost collapsed container around the node, or null if the node is shown
+    getCollapsedAncestor(node) {
+        let collapsed = null;
+        for (let parent = this.getParentNode(node); parent; parent = this.getParentNode(parent)) {
+            if (parent.collapsed) {
+                collapsed = parent;
+            }
+        }
+        return collapsed;
+    }
+    
+    isNodeHidden(node) {
+        return this.getCollapsedAncestor(node) !== null;
+    }
+    
+    // The node an endpoint is drawn at: the node itself, or the collapsed container hiding it
+    getVisibleNode(nodeId) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return null;
+        return this.getCollapsedAncestor(node) || node;
+    }
+    
+    /**
+     * Nodes a connection is drawn between once endpoints inside collapsed containers
+     * are re-routed to the container. Null if an endpoint is missing or both ends
+     * are hidden in the same container.
+     */
+    getConnectionNodes(connection) {
+        const fromNode = this.getVisibleNode(connection.from);
+        const toNode = this.getVisibleNode(connection.to);
+        if (!fromNode || !toNode || fromNode === toNode) return null;
+        return { fromNode, toNode };
+    }
+    
+    /**
+     * Re-routed connections that end up between the same two nodes are drawn once.
+     * Maps each of them to { primary, count }, where primary is the one that is drawn.
+     */
+    getConnectionMerges() {
+        if (this.connectionMerges?.version === this.sceneVersion) {
+            return this.connectionMerges.merges;
+        }
+        
+        const groups = new Map();
+        this.connections.forEach(connection => {
+            const ends = this.getConnectionNodes(connection);
+            if (!ends) return;
+            
+            const key = `${ends.fromNode.id}->${ends.toNode.id}`;
+            if (!groups.has(key)) {
+                groups.set(key, { connections: [], rerouted: false });
+            }
+            const group = groups.get(key);
+            group.connections.push(connection);
+            group.rerouted = group.rerouted || ends.fromNode.id !== connection.from || ends.toNode.id !== connection.to;
+        });
+        
+        const merges = new Map();
+        groups.forEach(group => {
+            if (!group.rerouted) return;
+            const [primary] = group.connections;
+            group.connections.forEach(connection => {
+                merges.set(connection, { primary, count: group.connections.length });
+            });
+        });
+        
+        this.connectionMerges = { version: this.sceneVersion, merges };
+        return merges;
+    }
+    
+    // Connections inside a collapsed container, or merged into another one, are not drawn
+    isConnectionShown(connection) {
+        if (!this.getConnectionNodes(connection)) return false;
+        const merge = this.getConnectionMerges().get(connection);
+        return !merge || merge.primary === connection;
+    }
+    
+    // Text drawn on a connection: its label, or the metadata fields it was set to show
+    getConnectionLabel(connection) {
+        const merge = this.getConnectionMerges().get(connection);
+        return merge && merge.count > 1 ? `${merge.count} connections` : ConnectionMetadata.formatLabel(connection);
+    }
+    
+    setContainerCollapsed(node, collapsed) {
+        if (!this.isContainer(node) || !!node.collapsed === collapsed) return;
+        
+        // The collapsed box takes the centre of the frame it replaces
+        this.syncContainerPosition(node);
+        node.collapsed = collapsed;
+        this.invalidateSpatialIndex();
+        this.contentVersion++;
+        
+        // Nodes and connections that disappear leave the selection
+        const nodes = Array.from(this.selectedNodes).filter(selected => !this.isNodeHidden(selected));
+        const connections = Array.from(this.selectedConnections).filter(selected => this.isConnectionShown(selected));
+        if (nodes.length !== this.selectedNodes.size || connections.length !== this.selectedConnections.size) {
+            this.setSelection(nodes, connections);
+        }
+    }
+    
+    // Keep an expanded container's position at the centre of its frame
+    syncContainerPosition(node) {
+        if (!this.isExpandedContainer(node) || this.getChildNodes(node).length === 0) return;
+        
+        const bounds = this.getNodeBounds(node);
+        node.x = bounds.x + bounds.width / 2;
+        node.y = bounds.y + bounds.height / 2;
+    }
+    
+    // Frame around an expanded container's children, with its header strip on top
+    getContainerFrame(node) {
+        const children = this.getChildNodes(node);
+        if (children.length === 0) return null;
+        
+        const { containerPadding: padding, containerHeaderHeight: header } = this.config;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        children.forEach(child => {
+            const bounds = this.getNodeBounds(child);
+            minX = Math.min(minX, bounds.x);
+            minY = Math.min(minY, bounds.y);
+            maxX = Math.max(maxX, bounds.x + bounds.width);
+            maxY = Math.max(maxY, bounds.y + bounds.height);
+        });
+        
+        return {
+            x: minX - padding,
+            y: minY - padding - header,
+            width: maxX - minX + padding * 2,
+            height: maxY - minY + padding * 2 + header
+        };
+    }
+    
+    // Click target for the collapse/expand chevron in the container's top-left corner
+    getContainerToggleRect(node) {
+        const bounds = this.getNodeBounds(node);
+        return { x: bounds.x + 6, y: bounds.y + 6, width: 16, height: 16 };
+    }
+    
+    renderContainer(node) {
+        const bounds = this.getNodeBounds(node);
+        const layer = this.layers.get(node.layer);
+        const layerColor = layer?.color || '#3b82f6';
+        const toggle = this.getContainerToggleRect(node);
+        
+        this.ctx.save();
+        this.ctx.globalAlpha = this.getNodeOpacity(node) * this.getNodeEmphasis(node);
+        this.ctx.strokeStyle = layerColor;
+        this.ctx.lineWidth = 2;
+        
+        if (node.collapsed) {
+            // A box stacked on a second outline, like a closed folder of nodes
+            this.ctx.fillStyle = this.lightenColor(layerColor, 0.9);
+            this.drawRoundedRect(bounds.x + 5, bounds.y + 5, bounds.width, bounds.height, 8);
+            this.ctx.fill();
+            this.ctx.stroke();
+            this.drawRoundedRect(bounds.x, bounds.y, bounds.width, bounds.height, 8);
+            this.ctx.fill();
+            this.ctx.stroke();
+        } else {
+            this.ctx.fillStyle = Utils.colorWithOpacity(layerColor, 0.06);
+            this.ctx.setLineDash([8, 4]);
+            this.drawRoundedRect(bounds.x, bounds.y, bounds.width, bounds.height, 10);
+            this.ctx.fill();
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+        
+        // Selection outline
+        if (this.isNodeSelected(node)) {
+            this.ctx.save();
+            this.ctx.strokeStyle = '#3b82f6';
+            this.ctx.lineWidth = this.config.selectionWidth;
+            this.ctx.setLineDash([6, 4]);
+            this.drawRoundedRect(bounds.x - 6, bounds.y - 6, bounds.width + 12, bounds.height + 12, 12);
+            this.ctx.stroke();
+            this.ctx.restore();
+        }
+        
+        // Collapse/expand chevron
+        this.ctx.fillStyle = layerColor;
+        this.ctx.font = 'bold 12px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(node.collapsed ? '▸' : '▾', toggle.x + toggle.width / 2, toggle.y + toggle.height / 2);
+        
+        this.ctx.fillStyle = '#1f2937';
+        if (node.collapsed) {
+            // Label and the number of nodes folded into the box
+            const count = this.getDescendants(node).length;
+            this.ctx.fillText(node.label || 'Group', node.x, node.y + 4);
+            this.ctx.font = '11px Arial';
+            this.ctx.fillStyle = '#6b7280';
+            this.ctx.fillText(`${count} node${count === 1 ? '' : 's'}`, node.x, node.y + 22);
+            
+            if (node.icon) {
+                this.drawNodeIcon(node.icon, node.x, node.y - 18, layerColor);
+            }
+        } else {
+            // Label in the header strip
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(node.label || 'Group', toggle.x + toggle.width + 6, toggle.y + toggle.height / 2);
+        }
+        
+        if (this.hasSubDiagram(node)) {
+            this.drawSubDiagramBadge(node, layerColor);
+        }
+        
+        this.ctx.restore();
+    }
+    
+    // Connection routing
+    usesOrthogonalRouting(connection) {
+        if (connection.routing) {
+            return connection.routing === 'orthogonal';
+        }
+        return this.routingMode === 'orthogonal' && connection.type !== 'curved';
+    }
+    
+    setRoutingMode(mode) {
+        this.routingMode = mode;
+        this.invalidateSpatialIndex();
+        this.render();
+    }
+    
+    /**
+     * Get the routed elbow path for a connection, computing it on first use.
+     * Routes are cached until a node near them moves.
+     */
+    getConnectionRoute(connection) {
+        const cached = this.routeCache.get(connection);
+        if (cached) return cached;
+        
+        const { fromNode, toNode } = this.getConnectionNodes(connection);
+        const sourceRect = this.getNodeBounds(fromNode);
+        const targetRect = this.getNodeBounds(toNode);
+        
+        // Only nodes around the two endpoints can get in the way
+        const reach = Math.max(this.config.nodeSize.width, this.config.nodeSize.height) * 2;
+        const minX = Math.min(sourceRect.x, targetRect.x) - reach;
+        const minY = Math.min(sourceRect.y, targetRect.y) - reach;
+        const searchRect = {
+            x: minX,
+            y: minY,
+            width: Math.max(sourceRect.x + sourceRect.width, targetRect.x + targetRect.width) + reach - minX,
+            height: Math.max(sourceRect.y + sourceRect.height, targetRect.y + targetRect.height) + reach - minY
+        };
+        
+        const obstacles = this.nodeIndex.search(searchRect)
+            .filter(node => node !== fromNode && node !== toNode && this.isNodeVisible(node))
+            .filter(node => !this.isExpandedContainer(node)) // Frames are crossed, not avoided
+            .map(node => this.getNodeBounds(node));
+        
+        const route = this.router.route(sourceRect, targetRect, obstacles);
+        this.routeCache.set(connection, route);
+        return route;
+    }
+    
+    // Drop cached routes that pass near a node area so they get rerouted
+    invalidateRoutesNear(rect) {
+        const area = ConnectionRouter.inflate(rect, this.config.routeMargin + 1);
+        
+        for (const connection of this.connectionIndex.search(area)) {
+            if (this.routeCache.has(connection)) {
+                this.routeCache.delete(connection);
+                this.updateConnectionBounds(connection);
+            }
+        }
+    }
+    
+    // Spatial index maintenance
+    getNodeBounds(node) {
+        if (this.isExpandedContainer(node)) {
+            const frame = this.getContainerFrame(node);
+            if (frame) return frame;
+        }
+        
+        const { width, height } = this.config.nodeSize;
+        return {
+            x: node.x - width / 2,
+            y: node.y - height / 2,
+            width,
+            height
+        };
+    }
+    
+    // Distance from a node's centre to its bounding box corner
+    getNodeRadius(node) {
+        const { width, height } = this.getNodeBounds(node);
+        return Math.sqrt(Math.pow(width / 2, 2) + Math.pow(height / 2, 2));
+    }
+    
+    getConnectionBounds(connection) {
+        const ends = this.getConnectionNodes(connection);
+        if (!ends) return null;
+        
+        const { fromNode, toNode } = ends;
+        
+        if (this.hasWaypoints(connection)) {
+            return this.getPolylineBounds(this.getWaypointPath(connection, fromNode, toNode).points);
+        }
+        
+        if (this.usesOrthogonalRouting(connection)) {
+            return this.getPolylineBounds(this.getConnectionRoute(connection));
+        }
+        
+        // Curved connections bow out by up to 30% of their length
+        const bulge = connection.type === 'curved' ? Utils.distance(fromNode, toNode) * 0.3 : 0;
+        const margin = Math.max(this.config.nodeSize.width, this.config.nodeSize.height) / 2 + bulge;
+        
+        const minX = Math.min(fromNode.x, toNode.x) - margin;
+        const minY = Math.min(fromNode.y, toNode.y) - margin;
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(fromNode.x, toNode.x) + margin - minX,
+            height: Math.max(fromNode.y, toNode.y) + margin - minY
+        };
+    }
+    
+    // Bounding box of a routed path, padded to cover its label
+    getPolylineBounds(points) {
+        const margin = this.config.nodeSize.width / 2;
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const minX = Math.min(...xs) - margin;
+        const minY = Math.min(...ys) - margin;
+        
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...xs) + margin - minX,
+            height: Math.max(...ys) + margin - minY
+        };
+    }
+    
+    /**
+     * Re-index a node and its connections after its position changed.
+     * Call this after moving a node from outside the engine.
+     */
+    updateNodeBounds(node) {
+        this.sceneVersion++;
+        if (this.spatialIndexDirty) return;
+        
+        this.syncContainerPosition(node);
+        
+        // Nodes inside a collapsed container are not drawn or picked
+        const oldBounds = this.nodeIndex.getBounds(node);
+        const newBounds = this.isNodeHidden(node) ? null : this.getNodeBounds(node);
+        if (newBounds) {
+            this.nodeIndex.update(node, newBounds);
+        } else {
+            this.nodeIndex.remove(node);
+        }
+        
+        // Including connections re-routed to a collapsed container from inside it
+        const nodeIds = this.isContainer(node) && node.collapsed ?
+            [node.id, ...this.getDescendants(node).map(descendant => descendant.id)] :
+            [node.id];
+        nodeIds.forEach(nodeId => {
+            for (const connection of this.getNodeConnections(nodeId)) {
+                this.routeCache.delete(connection);
+                this.updateConnectionBounds(connection);
+            }
+        });
+        
+        // Routes around the old and new position may need to change
+        if (oldBounds) {
+            this.invalidateRoutesNear(oldBounds);
+        }
+        if (newBounds) {
+            this.invalidateRoutesNear(newBounds);
+        }
+        
+        // A container grows and shrinks with its children
+        const parent = this.getParentNode(node);
+        if (parent) {
+            this.updateNodeBounds(parent);
+        }
+    }
+    
+    updateConnectionBounds(connection) {
+        this.sceneVersion++;
+        if (this.spatialIndexDirty) return;
+        
+        const bounds = this.getConnectionBounds(connection);
+        if (bounds) {
+            this.connectionIndex.update(connection, bounds);
+        } else {
+            // Endpoint not added yet; indexed once both nodes exist
+            this.connectionIndex.remove(connection);
+        }
+    }
+    
+    /**
+     * Mark the spatial indexes stale after bulk edits (e.g. auto layout);
+     * they are rebuilt on the next render or hit-test
+     */
+    invalidateSpatialIndex() {
+        this.spatialIndexDirty = true;
+        this.routeCache.clear();
+        this.sceneVersion++;
+    }
+    
+    ensureSpatialIndex() {
+        if (!this.spatialIndexDirty) return;
+        
+        this.spatialIndexDirty = false;
+        this.nodeIndex.clear();
+        this.connectionIndex.clear();
+        
+        for (const node of this.nodes.values()) {
+            this.syncContainerPosition(node);
+            if (!this.isNodeHidden(node)) {
+                this.nodeIndex.insert(node, this.getNodeBounds(node));
+            }
+        }
+        
+        for (const connection of this.connections) {
+            this.updateConnectionBounds(connection);
+        }
+    }
+    
+    // Visible world area, padded by default so labels overhanging a node edge are not culled
+    getVisibleWorldRect(margin = this.config.nodeSize.width) {
+        const topLeft = this.screenToWorld({ x: 0, y: 0 });
+        const bottomRight = this.screenToWorld({
+            x: this.canvas.clientWidth,
+            y: this.canvas.clientHeight
+        });
+        
+        return {
+            x: topLeft.x - margin,
+            y: topLeft.y - margin,
+            width: bottomRight.x - topLeft.x + margin * 2,
+            height: bottomRight.y - topLeft.y + margin * 2
+        };
+    }
+    
     // Highlighting methods
+    setEmphasis(emphasis) {
+        this.emphasis = emphasis;
+    }
+    
+    getNodeEmphasis(node) {
+        return this.emphasis && !this.emphasis.nodes.has(node.id) ? this.config.dimmedOpacity : 1;
+    }
+    
+    getConnectionEmphasis(connection) {
+        return this.emphasis && !this.emphasis.connections.has(connection.id) ? this.config.dimmedOpacity : 1;
+    }
+    
     clearHighlights() {
         this.highlightedNode = null;
         this.highlightedNodes = [];
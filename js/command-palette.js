@@ -0,0 +1,232 @@
+/**
+ * Command Palette for Architecture Flow Visualizer
+ * Ctrl/Cmd+K search box over every registered action and every node of the current diagram
+ */
+
+class CommandPalette {
+    constructor(actions, canvasEngine, options = {}) {
+        this.actions = actions;
+        this.canvasEngine = canvasEngine;
+        this.options = {
+            maxResults: 50,
+            ...options
+        };
+
+        this.results = [];   // [{ item, match }] in display order
+        this.activeIndex = 0;
+        this.callbacks = {
+            onNodePick: null
+        };
+
+        this.createElements();
+        this.bindEvents();
+    }
+
+    createElements() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'command-palette-overlay';
+
+        this.element = document.createElement('div');
+        this.element.className = 'command-palette';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-label', 'Command palette');
+
+        this.input = document.createElement('input');
+        this.input.type = 'text';
+        this.input.className = 'command-palette-input';
+        this.input.placeholder = 'Search actions and nodes...';
+        this.input.setAttribute('aria-label', 'Search actions and nodes');
+
+        this.list = document.createElement('ul');
+        this.list.className = 'command-palette-results';
+        this.list.setAttribute('role', 'listbox');
+
+        this.element.append(this.input, this.list);
+        this.overlay.appendChild(this.element);
+        document.body.appendChild(this.overlay);
+    }
+
+    bindEvents() {
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+        this.list.addEventListener('mousemove', (e) => {
+            const item = e.target.closest('.command-palette-item');
+            if (item && Number(item.dataset.index) !== this.activeIndex) {
+                this.setActiveIndex(Number(item.dataset.index));
+            }
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('.command-palette-item');
+            if (item) {
+                this.pick(Number(item.dataset.index));
+            }
+        });
+
+        // Clicking outside the box closes it
+        this.overlay.addEventListener('mousedown', (e) => {
+            if (e.target === this.overlay) {
+                this.close();
+            }
+        });
+    }
+
+    handleKeyDown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.setActiveIndex((this.activeIndex + 1) % Math.max(this.results.length, 1));
+                break;
+
+            case 'ArrowUp':
+                e.preventDefault();
+                this.setActiveIndex((this.activeIndex - 1 + this.results.length) % Math.max(this.results.length, 1));
+                break;
+
+            case 'Enter':
+                e.preventDefault();
+                this.pick(this.activeIndex);
+                break;
+
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+        }
+    }
+
+    onNodePick(callback) {
+        this.callbacks.onNodePick = callback;
+    }
+
+    isOpen() {
+        return this.overlay.classList.contains('show');
+    }
+
+    open() {
+        this.input.value = '';
+        this.overlay.classList.add('show');
+        this.update();
+        this.input.focus();
+    }
+
+    close() {
+        this.overlay.classList.remove('show');
+        this.input.blur();
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    // Everything that can be searched: actions first, then nodes by label
+    getItems() {
+        const actionItems = this.actions.getAll()
+            .filter(action => !action.hidden)
+            .map(action => ({
+                kind: 'action',
+                id: action.id,
+                text: action.label,
+                detail: action.category,
+                icon: action.icon || 'fas fa-bolt',
+                shortcut: action.shortcuts[0] ? ActionRegistry.formatShortcut(action.shortcuts[0]) : '',
+                disabled: !this.actions.isEnabled(action)
+            }));
+
+        const nodeItems = Array.from(this.canvasEngine.nodes.values()).map(node => ({
+            kind: 'node',
+            id: node.id,
+            text: node.label || node.id,
+            detail: this.canvasEngine.layers.get(node.layer)?.name || 'Node',
+            icon: node.icon || 'fas fa-cube',
+            shortcut: '',
+            disabled: false
+        }));
+
+        return [...actionItems, ...nodeItems];
+    }
+
+    update() {
+        const query = this.input.value.trim();
+
+        // Array.sort is stable, so an empty query keeps the registry order
+        this.results = this.getItems()
+            .map(item => ({ item, match: Utils.fuzzyMatch(query, item.text) }))
+            .filter(result => result.match)
+            .sort((a, b) => b.match.score - a.match.score)
+            .slice(0, this.options.maxResults);
+
+        this.activeIndex = 0;
+        this.render();
+    }
+
+    render() {
+        this.list.innerHTML = '';
+
+        if (this.results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'command-palette-empty';
+            empty.textContent = 'No matching actions or nodes';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        this.results.forEach(({ item, match }, index) => {
+            const li = document.createElement('li');
+            li.className = 'command-palette-item';
+            li.classList.toggle('active', index === this.activeIndex);
+            li.classList.toggle('disabled', item.disabled);
+            li.dataset.index = index;
+            li.setAttribute('role', 'option');
+
+            const icon = document.createElement('i');
+            icon.className = item.icon;
+
+            const label = document.createElement('span');
+            label.className = 'command-palette-label';
+            Utils.appendHighlighted(label, item.text, match.indices);
+
+            const detail = document.createElement('span');
+            detail.className = 'command-palette-detail';
+            detail.textContent = item.kind === 'node' ? `Node · ${item.detail}` : item.detail;
+
+            li.append(icon, label, detail);
+
+            if (item.shortcut) {
+                const shortcut = document.createElement('kbd');
+                shortcut.textContent = item.shortcut;
+                li.appendChild(shortcut);
+            }
+
+            this.list.appendChild(li);
+        });
+    }
+
+    setActiveIndex(index) {
+        this.activeIndex = index;
+        this.list.querySelectorAll('.command-palette-item').forEach(item => {
+            item.classList.toggle('active', Number(item.dataset.index) === index);
+        });
+        this.list.querySelector('.command-palette-item.active')?.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    pick(index) {
+        const result = this.results[index];
+        if (!result || result.item.disabled) return;
+
+        this.close();
+        if (result.item.kind === 'node') {
+            this.callbacks.onNodePick?.(result.item.id);
+        } else {
+            this.actions.run(result.item.id);
+        }
+    }
+}
+
+// Export for use in other modules
+window.CommandPalette = CommandPalette;
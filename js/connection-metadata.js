@@ -0,0 +1,140 @@
+/**
+ * Connection Metadata for Architecture Flow Visualizer
+ * Structured details stored on a connection's `metadata` (protocol, port, auth, ...) and labels built from them
+ */
+
+class ConnectionMetadata {
+    /**
+     * Fields in the order they are shown. `format` turns a value into label text;
+     * fields without one can't be shown on the label.
+     */
+    static getFields() {
+        return [
+            {
+                key: 'protocol',
+                label: 'Protocol',
+                type: 'text',
+                suggestions: ['HTTP', 'HTTPS', 'gRPC', 'GraphQL', 'WebSocket', 'AMQP', 'Kafka', 'MQTT', 'TCP', 'SQL'],
+                format: value => value
+            },
+            { key: 'port', label: 'Port', type: 'number', integer: true, min: 1, max: 65535, format: value => `:${value}` },
+            {
+                key: 'auth',
+                label: 'Authentication',
+                type: 'text',
+                suggestions: ['None', 'API Key', 'Basic', 'JWT', 'OAuth 2.0', 'mTLS'],
+                format: value => value
+            },
+            { key: 'latency', label: 'Expected Latency', unit: 'ms', type: 'number', min: 0, format: value => `${value} ms` },
+            { key: 'throughput', label: 'Throughput', unit: 'req/s', type: 'number', min: 0, format: value => `${value} req/s` },
+            {
+                key: 'mode',
+                label: 'Sync/Async',
+                type: 'choice',
+                options: { sync: 'Synchronous', async: 'Asynchronous' },
+                format: value => value
+            },
+            { key: 'payloadSchema', label: 'Payload Schema', type: 'json' }
+        ];
+    }
+
+    static getField(key) {
+        return ConnectionMetadata.getFields().find(field => field.key === key) || null;
+    }
+
+    /**
+     * What a connection's label can be made of: its own label text, then any formattable field
+     */
+    static getLabelSources() {
+        return [
+            { key: 'label', label: 'Label text' },
+            ...ConnectionMetadata.getFields().filter(field => field.format)
+        ];
+    }
+
+    /**
+     * Text drawn on the connection: its chosen `labelFields` in order, e.g. "gRPC :50051",
+     * or the plain label when none are chosen
+     */
+    static formatLabel(connection) {
+        const sources = connection.labelFields;
+        if (!Array.isArray(sources) || sources.length === 0) return connection.label;
+
+        return sources
+            .map(key => key === 'label' ? connection.label : ConnectionMetadata.formatValue(key, connection.metadata?.[key]))
+            .filter(text => text !== undefined && text !== null && text !== '')
+            .join(' ');
+    }
+
+    // Label text for one field's value, or null when it has none
+    static formatValue(key, value) {
+        const field = ConnectionMetadata.getField(key);
+        if (!field?.format || value === undefined || value === null || value === '') return null;
+        return field.format(value);
+    }
+
+    // True when the label is built from metadata rather than typed
+    static hasGeneratedLabel(connection) {
+        return Array.isArray(connection.labelFields) &&
+            connection.labelFields.some(key => key !== 'label');
+    }
+
+    /**
+     * Check raw form values ({ key: text }). Returns { metadata, errors } where
+     * metadata holds the typed, non-empty values and errors maps keys to messages.
+     */
+    static parse(values) {
+        const metadata = {};
+        const errors = {};
+
+        ConnectionMetadata.getFields().forEach(field => {
+            const raw = (values[field.key] ?? '').trim();
+            if (raw === '') return;
+
+            const { value, error } = ConnectionMetadata.parseValue(field, raw);
+            if (error) {
+                errors[field.key] = error;
+            } else {
+                metadata[field.key] = value;
+            }
+        });
+
+        return { metadata, errors };
+    }
+
+    static parseValue(field, raw) {
+        switch (field.type) {
+            case 'number':
+                return Utils.parseNumberField(field, raw);
+
+            case 'choice':
+                return field.options[raw] ? { value: raw } : { error: 'Pick one of the options' };
+
+            // A JSON Schema is a JSON object
+            case 'json': {
+                try {
+                    const value = JSON.parse(raw);
+                    return value && typeof value === 'object' && !Array.isArray(value) ?
+                        { value } :
+                        { error: 'A JSON Schema must be a JSON object' };
+                } catch (err) {
+                    return { error: `Invalid JSON: ${err.message}` };
+                }
+            }
+
+            default:
+                return { value: raw };
+        }
+    }
+
+    /**
+     * A stored value as form text
+     */
+    static toText(field, value) {
+        if (value === undefined || value === null) return '';
+        return field.type === 'json' ? JSON.stringify(value, null, 2) : String(value);
+    }
+}
+
+// Export for use in other modules
+window.ConnectionMetadata = ConnectionMetadata;
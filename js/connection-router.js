@@ -0,0 +1,311 @@
+/**
+ * Connection Router for Architecture Flow Visualizer
+ * Computes orthogonal (elbow) connection paths that go around node rectangles
+ */
+
+class ConnectionRouter {
+    constructor(options = {}) {
+        this.options = {
+            margin: 20,        // Clearance kept around every node
+            bendPenalty: 60,   // Extra cost per bend, favours routes with fewer corners
+            ...options
+        };
+    }
+
+    /**
+     * Route between two node rectangles, avoiding the obstacle rectangles.
+     * Picks the side of each node to attach to and returns the path as a list
+     * of points, from the source edge to the target edge.
+     */
+    route(sourceRect, targetRect, obstacles = []) {
+        const margin = this.options.margin;
+        const blocked = [sourceRect, targetRect, ...obstacles].map(rect => ConnectionRouter.inflate(rect, margin));
+        const isFree = point => !blocked.some(rect => ConnectionRouter.strictlyInside(point, rect));
+
+        const sourcePorts = this.getPorts(sourceRect).filter(port => isFree(port.stub));
+        const targetPorts = this.getPorts(targetRect).filter(port => isFree(port.stub));
+
+        if (sourcePorts.length === 0 || targetPorts.length === 0) {
+            return this.fallbackRoute(sourceRect, targetRect);
+        }
+
+        const grid = this.buildGrid(sourceRect, targetRect, blocked, [...sourcePorts, ...targetPorts]);
+        const path = this.search(grid, sourcePorts, targetPorts, isFree);
+
+        return path ? ConnectionRouter.simplify(path) : this.fallbackRoute(sourceRect, targetRect);
+    }
+
+    /**
+     * Attachment points at the middle of each side, with a stub leading out of the node
+     */
+    getPorts(rect) {
+        const margin = this.options.margin;
+        const center = { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+
+        return [
+            { side: 'right', dir: 0, point: { x: rect.x + rect.width, y: center.y } },
+            { side: 'bottom', dir: 1, point: { x: center.x, y: rect.y + rect.height } },
+            { side: 'left', dir: 2, point: { x: rect.x, y: center.y } },
+            { side: 'top', dir: 3, point: { x: center.x, y: rect.y } }
+        ].map(port => {
+            const [dx, dy] = ConnectionRouter.DIRECTIONS[port.dir];
+            return {
+                ...port,
+                stub: { x: port.point.x + dx * margin, y: port.point.y + dy * margin }
+            };
+        });
+    }
+
+    /**
+     * Simple Z-shaped route used when no obstacle-free path exists
+     */
+    fallbackRoute(sourceRect, targetRect) {
+        const source = { x: sourceRect.x + sourceRect.width / 2, y: sourceRect.y + sourceRect.height / 2 };
+        const target = { x: targetRect.x + targetRect.width / 2, y: targetRect.y + targetRect.height / 2 };
+        const dx = target.x - source.x;
+        const dy = target.y - source.y;
+
+        if (Math.abs(dx) / sourceRect.width >= Math.abs(dy) / sourceRect.height) {
+            const from = { x: source.x + Math.sign(dx) * sourceRect.width / 2, y: source.y };
+            const to = { x: target.x - Math.sign(dx) * targetRect.width / 2, y: target.y };
+            const midX = (from.x + to.x) / 2;
+            return ConnectionRouter.simplify([from, { x: midX, y: from.y }, { x: midX, y: to.y }, to]);
+        }
+
+        const from = { x: source.x, y: source.y + Math.sign(dy) * sourceRect.height / 2 };
+        const to = { x: target.x, y: target.y - Math.sign(dy) * targetRect.height / 2 };
+        const midY = (from.y + to.y) / 2;
+        return ConnectionRouter.simplify([from, { x: from.x, y: midY }, { x: to.x, y: midY }, to]);
+    }
+
+    // Sparse grid through port stubs, obstacle edges and the midlines between the two nodes
+    buildGrid(sourceRect, targetRect, blocked, ports) {
+        const xs = new Set();
+        const ys = new Set();
+
+        ports.forEach(port => {
+            xs.add(port.stub.x);
+            ys.add(port.stub.y);
+        });
+
+        blocked.forEach(rect => {
+            xs.add(rect.x);
+            xs.add(rect.x + rect.width);
+            ys.add(rect.y);
+            ys.add(rect.y + rect.height);
+        });
+
+        xs.add((sourceRect.x + sourceRect.width / 2 + targetRect.x + targetRect.width / 2) / 2);
+        ys.add((sourceRect.y + sourceRect.height / 2 + targetRect.y + targetRect.height / 2) / 2);
+
+        // Outer ring so there is always a way around the obstacles
+        const margin = this.options.margin;
+        xs.add(Math.min(...xs) - margin);
+        xs.add(Math.max(...xs) + margin);
+        ys.add(Math.min(...ys) - margin);
+        ys.add(Math.max(...ys) + margin);
+
+        return {
+            xs: Array.from(xs).sort((a, b) => a - b),
+            ys: Array.from(ys).sort((a, b) => a - b)
+        };
+    }
+
+    // A* over (grid point, heading) states, penalising bends
+    search(grid, sourcePorts, targetPorts, isFree) {
+        const { xs, ys } = grid;
+        const { margin, bendPenalty } = this.options;
+        const xIndex = new Map(xs.map((x, i) => [x, i]));
+        const yIndex = new Map(ys.map((y, i) => [y, i]));
+        const pointAt = (xi, yi) => ({ x: xs[xi], y: ys[yi] });
+        const cellKey = (xi, yi) => xi * ys.length + yi;
+        const cellCount = xs.length * ys.length;
+
+        const targetsByCell = new Map();
+        targetPorts.forEach(port => {
+            targetsByCell.set(cellKey(xIndex.get(port.stub.x), yIndex.get(port.stub.y)), port);
+        });
+
+        const heuristic = (x, y) => {
+            let min = Infinity;
+            targetPorts.forEach(port => {
+                min = Math.min(min, Math.abs(port.stub.x - x) + Math.abs(port.stub.y - y));
+            });
+            return min;
+        };
+
+        // Free/blocked caches for cells and outgoing edges: 0 = unknown, 1 = free, 2 = blocked
+        const cellState = new Uint8Array(cellCount);
+        const edgeState = new Uint8Array(cellCount * 4);
+        const canMove = (xi, yi, nxi, nyi, dir) => {
+            const target = cellKey(nxi, nyi);
+            if (cellState[target] === 0) {
+                cellState[target] = isFree(pointAt(nxi, nyi)) ? 1 : 2;
+            }
+            if (cellState[target] === 2) return false;
+
+            const edge = cellKey(xi, yi) * 4 + dir;
+            if (edgeState[edge] === 0) {
+                const midpoint = { x: (xs[xi] + xs[nxi]) / 2, y: (ys[yi] + ys[nyi]) / 2 };
+                edgeState[edge] = isFree(midpoint) ? 1 : 2;
+            }
+            return edgeState[edge] === 1;
+        };
+
+        // State = cell * 4 + heading
+        const heap = new ConnectionRouter.MinHeap();
+        const best = new Float64Array(cellCount * 4).fill(Infinity);
+        const previous = new Int32Array(cellCount * 4).fill(-1);
+        const startPorts = new Map();
+
+        sourcePorts.forEach(port => {
+            const xi = xIndex.get(port.stub.x);
+            const yi = yIndex.get(port.stub.y);
+            const state = cellKey(xi, yi) * 4 + port.dir;
+            best[state] = margin;
+            startPorts.set(state, port);
+            heap.push({ state, xi, yi, dir: port.dir, cost: margin }, margin + heuristic(port.stub.x, port.stub.y));
+        });
+
+        while (heap.size > 0) {
+            const current = heap.pop();
+
+            if (current.goal) {
+                return this.reconstruct(current, previous, startPorts, pointAt, ys.length);
+            }
+
+            if (current.cost > best[current.state]) continue;
+
+            const targetPort = targetsByCell.get(cellKey(current.xi, current.yi));
+            if (targetPort) {
+                // Finish by entering the node opposite to the port's outward direction
+                const inward = (targetPort.dir + 2) % 4;
+                const cost = current.cost + margin + (current.dir === inward ? 0 : bendPenalty);
+                heap.push({ goal: true, state: current.state, port: targetPort, cost }, cost);
+            }
+
+            ConnectionRouter.DIRECTIONS.forEach(([dx, dy], dir) => {
+                if (dir === (current.dir + 2) % 4) return; // No U-turns
+
+                const xi = current.xi + dx;
+                const yi = current.yi + dy;
+                if (xi < 0 || yi < 0 || xi >= xs.length || yi >= ys.length) return;
+                if (!canMove(current.xi, current.yi, xi, yi, dir)) return;
+
+                const state = cellKey(xi, yi) * 4 + dir;
+                const length = Math.abs(xs[xi] - xs[current.xi]) + Math.abs(ys[yi] - ys[current.yi]);
+                const cost = current.cost + length + (dir === current.dir ? 0 : bendPenalty);
+                if (cost >= best[state]) return;
+
+                best[state] = cost;
+                previous[state] = current.state;
+                heap.push({ state, xi, yi, dir, cost }, cost + heuristic(xs[xi], ys[yi]));
+            });
+        }
+
+        return null;
+    }
+
+    reconstruct(goal, previous, startPorts, pointAt, rowCount) {
+        const points = [goal.port.point];
+        let state = goal.state;
+
+        while (!startPorts.has(state)) {
+            const cell = Math.floor(state / 4);
+            points.push(pointAt(Math.floor(cell / rowCount), cell % rowCount));
+            state = previous[state];
+        }
+
+        const start = startPorts.get(state);
+        points.push(start.stub, start.point);
+
+        return points.reverse();
+    }
+
+    /**
+     * Drop duplicate and collinear points
+     */
+    static simplify(points) {
+        const result = [];
+
+        points.forEach(point => {
+            const last = result[result.length - 1];
+            if (last && last.x === point.x && last.y === point.y) return;
+
+            const beforeLast = result[result.length - 2];
+            if (beforeLast && (
+                (beforeLast.x === last.x && last.x === point.x) ||
+                (beforeLast.y === last.y && last.y === point.y)
+            )) {
+                result[result.length - 1] = point;
+                return;
+            }
+
+            result.push(point);
+        });
+
+        return result;
+    }
+
+    static inflate(rect, amount) {
+        return {
+            x: rect.x - amount,
+            y: rect.y - amount,
+            width: rect.width + amount * 2,
+            height: rect.height + amount * 2
+        };
+    }
+
+    static strictlyInside(point, rect) {
+        return point.x > rect.x && point.x < rect.x + rect.width &&
+               point.y > rect.y && point.y < rect.y + rect.height;
+    }
+}
+
+// Unit steps for right, down, left, up (matches port.dir)
+ConnectionRouter.DIRECTIONS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+// Binary min-heap keyed by priority, used by the A* search
+ConnectionRouter.MinHeap = class {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(value, priority) {
+        this.items.push({ value, priority });
+        let i = this.items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.items[parent].priority <= this.items[i].priority) break;
+            [this.items[parent], this.items[i]] = [this.items[i], this.items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) smallest = left;
+                if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [this.items[smallest], this.items[i]] = [this.items[i], this.items[smallest]];
+                i = smallest;
+            }
+        }
+        return top.value;
+    }
+};
+
+// Export for use in other modules
+window.ConnectionRouter = ConnectionRouter;
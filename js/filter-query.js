@@ -0,0 +1,226 @@
+/**
+ * Filter Query for Architecture Flow Visualizer
+ * Parses queries such as `type:database layer:core-banking has:code connections>5` and evaluates them over a diagram
+ */
+
+class FilterQuery {
+    /**
+     * Terms are ANDed; `OR` between terms starts an alternative, `-` negates a term.
+     * Values may be quoted and use `*` as a wildcard; a bare word matches label text.
+     */
+    constructor(text) {
+        this.text = (text || '').trim();
+
+        const { groups, errors } = FilterQuery.parse(this.text);
+        this.groups = groups;   // [[{ field, op, value, negate }]], any group may match
+        this.errors = errors;
+    }
+
+    isEmpty() {
+        return this.groups.length === 0;
+    }
+
+    isValid() {
+        return this.errors.length === 0;
+    }
+
+    /**
+     * Ids of the engine's nodes that match
+     */
+    evaluate(engine) {
+        const context = FilterQuery.createContext(engine);
+        const matches = new Set();
+
+        engine.nodes.forEach(node => {
+            if (this.matches(node, context)) {
+                matches.add(node.id);
+            }
+        });
+        return matches;
+    }
+
+    matches(node, context) {
+        if (this.isEmpty()) return true;
+
+        return this.groups.some(group => group.every(clause =>
+            FilterQuery.testClause(clause, node, context) !== clause.negate
+        ));
+    }
+
+    // Connection counts and child counts per node id, worked out once per evaluation
+    static createContext(engine) {
+        const degrees = new Map();
+        const count = (id, key) => {
+            if (!degrees.has(id)) {
+                degrees.set(id, { in: 0, out: 0 });
+            }
+            degrees.get(id)[key]++;
+        };
+
+        engine.connections.forEach(connection => {
+            count(connection.from, 'out');
+            count(connection.to, 'in');
+        });
+
+        const children = new Map();
+        engine.nodes.forEach(node => {
+            if (node.parent) {
+                children.set(node.parent, (children.get(node.parent) || 0) + 1);
+            }
+        });
+
+        return { engine, degrees, children };
+    }
+
+    /**
+     * Fields by name: `kind` is text (substring), keyword (whole value) or number, `get` reads the node.
+     * Built once; evaluation looks fields up for every clause and node.
+     */
+    static fields = {
+        text: { kind: 'text', get: node => [node.label, node.description] },
+        label: { kind: 'text', get: node => [node.label] },
+        description: { kind: 'text', get: node => [node.description] },
+        code: { kind: 'text', get: node => [node.code] },
+        id: { kind: 'keyword', get: node => [node.id] },
+        type: { kind: 'keyword', get: node => [node.type] },
+        codelanguage: { kind: 'keyword', get: node => [node.codeLanguage] },
+        // Layers match by id or by name
+        layer: {
+            kind: 'keyword',
+            get: (node, context) => [node.layer, context.engine.layers.get(node.layer)?.name]
+        },
+        parent: {
+            kind: 'keyword',
+            get: (node, context) => [node.parent, context.engine.nodes.get(node.parent)?.label]
+        },
+        connections: {
+            kind: 'number',
+            get: (node, context) => FilterQuery.getDegree(node, context).in + FilterQuery.getDegree(node, context).out
+        },
+        in: { kind: 'number', get: (node, context) => FilterQuery.getDegree(node, context).in },
+        out: { kind: 'number', get: (node, context) => FilterQuery.getDegree(node, context).out },
+        children: { kind: 'number', get: (node, context) => context.children.get(node.id) || 0 },
+        has: { kind: 'flag' }
+    };
+
+    // What `has:` can ask about
+    static flags = {
+        code: node => !!node.code,
+        description: node => !!node.description,
+        icon: node => !!node.icon,
+        parent: node => !!node.parent,
+        children: (node, context) => (context.children.get(node.id) || 0) > 0,
+        connections: (node, context) => context.degrees.has(node.id)
+    };
+
+    static getDegree(node, context) {
+        return context.degrees.get(node.id) || { in: 0, out: 0 };
+    }
+
+    static getAliases() {
+        return { lang: 'codelanguage', language: 'codelanguage', name: 'label', desc: 'description', degree: 'connections' };
+    }
+
+    /**
+     * Parse a query into OR-groups of clauses; problems are collected rather than thrown
+     */
+    static parse(text) {
+        const fields = FilterQuery.fields;
+        const aliases = FilterQuery.getAliases();
+        const groups = [[]];
+        const errors = [];
+
+        FilterQuery.tokenize(text).forEach(token => {
+            if (token === 'OR') {
+                groups.push([]);
+                return;
+            }
+
+            const negate = token.startsWith('-') && token.length > 1;
+            const term = negate ? token.slice(1) : token;
+            const match = /^([a-zA-Z]+)(:|!=|>=|<=|=|>|<)(.*)$/.exec(term);
+
+            if (!match) {
+                groups[groups.length - 1].push(FilterQuery.createClause('text', ':', FilterQuery.unquote(term), negate));
+                return;
+            }
+
+            const name = match[1].toLowerCase();
+            const field = aliases[name] || name;
+            const op = match[2];
+            const value = FilterQuery.unquote(match[3]);
+
+            if (!fields[field]) {
+                errors.push(`Unknown field "${match[1]}"`);
+            } else if (value === '') {
+                errors.push(`Missing value for "${match[1]}"`);
+            } else if (field === 'has' && (op !== ':' || !FilterQuery.flags[value.toLowerCase()])) {
+                errors.push(`has: takes one of ${Object.keys(FilterQuery.flags).join(', ')}`);
+            } else if (fields[field].kind === 'number' && !/^\d+$/.test(value)) {
+                errors.push(`"${match[1]}" needs a whole number`);
+            } else if (fields[field].kind !== 'number' && ![':', '=', '!='].includes(op)) {
+                errors.push(`"${match[1]}" cannot be compared with ${op}`);
+            } else {
+                groups[groups.length - 1].push(FilterQuery.createClause(field, op, value, negate));
+            }
+        });
+
+        return { groups: groups.filter(group => group.length > 0), errors };
+    }
+
+    // Values are compared lowercased; text and keyword clauses keep their compiled pattern
+    static createClause(field, op, value, negate) {
+        const kind = FilterQuery.fields[field].kind;
+        const clause = { field, op, value: value.toLowerCase(), negate };
+        if (kind === 'text' || kind === 'keyword') {
+            clause.pattern = FilterQuery.globToRegExp(clause.value, kind === 'keyword');
+        }
+        return clause;
+    }
+
+    // Split on whitespace outside double quotes
+    static tokenize(text) {
+        return text.match(/(?:[^\s"]+|"[^"]*"?)+/g) || [];
+    }
+
+    static unquote(value) {
+        return value.replace(/"/g, '');
+    }
+
+    static testClause(clause, node, context) {
+        const field = FilterQuery.fields[clause.field];
+
+        if (field.kind === 'flag') {
+            return FilterQuery.flags[clause.value](node, context);
+        }
+
+        if (field.kind === 'number') {
+            const actual = field.get(node, context);
+            const expected = Number(clause.value);
+            switch (clause.op) {
+                case '>': return actual > expected;
+                case '>=': return actual >= expected;
+                case '<': return actual < expected;
+                case '<=': return actual <= expected;
+                case '!=': return actual !== expected;
+                default: return actual === expected;
+            }
+        }
+
+        const values = field.get(node, context)
+            .filter(candidate => candidate !== undefined && candidate !== null && candidate !== '')
+            .map(candidate => String(candidate).toLowerCase());
+        const found = values.some(candidate => clause.pattern.test(candidate));
+
+        return clause.op === '!=' ? !found : found;
+    }
+
+    // `*` matches any run of characters; whole values must match all of the text, others any part of it
+    static globToRegExp(pattern, whole) {
+        const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(whole ? `^${source}$` : source);
+    }
+}
+
+// Export for use in other modules
+window.FilterQuery = FilterQuery;
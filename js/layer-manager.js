@@ -16,9 +16,15 @@ class LayerManager {
         
         this.layers = new Map();
         this.layerOrder = [];
+        this.dragLayerId = null;    // Layer being dragged in the list
         this.callbacks = {
             onLayerToggle: null,
-            onLayerUpdate: null
+            onLayerUpdate: null,
+            onBatch: null,
+            onLayerCreate: null,
+            onLayerEdit: null,
+            onLayerReorder: null,
+            onLayerDelete: null
         };
         
         this.initializeUI();
@@ -28,6 +34,7 @@ class LayerManager {
         this.layersContainer = document.getElementById('layers-list');
         this.showAllButton = document.getElementById('show-all-layers');
         this.hideAllButton = document.getElementById('hide-all-layers');
+        this.addLayerButton = document.getElementById('add-layer');
         
         // Bind events
         if (this.showAllButton) {
@@ -37,6 +44,18 @@ class LayerManager {
         if (this.hideAllButton) {
             this.hideAllButton.addEventListener('click', () => this.hideAllLayers());
         }
+        
+        if (this.addLayerButton) {
+            this.addLayerButton.addEventListener('click', () => this.showLayerForm());
+        }
+        
+        // Drag layers up and down the list to reorder them
+        if (this.layersContainer) {
+            this.layersContainer.addEventListener('dragstart', (e) => this.handleLayerDragStart(e));
+            this.layersContainer.addEventListener('dragover', (e) => this.handleLayerDragOver(e));
+            this.layersContainer.addEventListener('drop', (e) => this.handleLayerDrop(e));
+            this.layersContainer.addEventListener('dragend', () => this.endLayerDrag());
+        }
     }
     
     addLayer(layerId, layerInfo) {
@@ -46,6 +65,7 @@ class LayerManager {
             name: layerInfo.name || layerId,
             color: layerInfo.color || this.options.colors[colorIndex],
             visible: layerInfo.visible !== undefined ? layerInfo.visible : true,
+            dimmed: layerInfo.dimmed || false,
             nodeCount: 0,
             description: layerInfo.description || '',
             order: layerInfo.order || this.layers.size,
@@ -64,16 +84,37 @@ class LayerManager {
         return layer;
     }
     
+    // Nodes on the layer are left as they are; see App.deleteLayer for moving or deleting them
     removeLayer(layerId) {
         if (this.layers.has(layerId)) {
             this.layers.delete(layerId);
             this.layerOrder = this.layerOrder.filter(id => id !== layerId);
-            this.updateUI();
+            this.canvasEngine.removeLayer(layerId);
+            // Close the gap it leaves in the order
+            this.reorderLayers(this.getLayerData().map(layer => layer.id));
             return true;
         }
         return false;
     }
     
+    // Name, color or description changes
+    updateLayer(layerId, updates) {
+        const layer = this.layers.get(layerId);
+        if (!layer) return null;
+        
+        Object.assign(layer, updates);
+        this.canvasEngine.updateLayer(layerId, updates);
+        this.updateUI();
+        return layer;
+    }
+    
+    // First palette color no layer uses yet
+    getNextColor() {
+        const used = new Set(Array.from(this.layers.values(), layer => layer.color?.toLowerCase()));
+        return this.options.colors.find(color => !used.has(color)) ||
+            this.options.colors[this.layers.size % this.options.colors.length];
+    }
+    
     toggleLayer(layerId) {
         const layer = this.layers.get(layerId);
         if (layer) {
@@ -105,19 +146,54 @@ class LayerManager {
         }
     }
     
-    showAllLayers() {
-        for (const [layerId, layer] of this.layers) {
-            if (!layer.visible) {
-                this.setLayerVisibility(layerId, true);
+    toggleDim(layerId) {
+        const layer = this.layers.get(layerId);
+        if (layer) {
+            this.setLayerDimmed(layerId, !layer.dimmed);
+            return layer.dimmed;
+        }
+        return false;
+    }
+    
+    setLayerDimmed(layerId, dimmed) {
+        const layer = this.layers.get(layerId);
+        if (layer && layer.dimmed !== dimmed) {
+            layer.dimmed = dimmed;
+            this.canvasEngine.setLayerDimmed(layerId, dimmed);
+            this.updateLayerItem(layerId);
+            
+            if (this.callbacks.onLayerUpdate) {
+                this.callbacks.onLayerUpdate(layerId, layer);
             }
         }
     }
     
+    showAllLayers() {
+        this.runBatch('Show All Layers', () => {
+            for (const [layerId, layer] of this.layers) {
+                if (!layer.visible) {
+                    this.setLayerVisibility(layerId, true);
+                }
+            }
+        });
+    }
+    
     hideAllLayers() {
-        for (const [layerId, layer] of this.layers) {
-            if (layer.visible) {
-                this.setLayerVisibility(layerId, false);
+        this.runBatch('Hide All Layers', () => {
+            for (const [layerId, layer] of this.layers) {
+                if (layer.visible) {
+                    this.setLayerVisibility(layerId, false);
+                }
             }
+        });
+    }
+    
+    // Group several layer changes so listeners can treat them as one (e.g. a single undo step)
+    runBatch(name, fn) {
+        if (this.callbacks.onBatch) {
+            this.callbacks.onBatch(name, fn);
+        } else {
+            fn();
         }
     }
     
@@ -129,25 +205,42 @@ class LayerManager {
         }
     }
     
+    /**
+     * Put the layers in the order of newOrder (ids, top of the list first). Layers higher in
+     * the list are drawn over lower ones; layers left out of newOrder keep their place after it.
+     */
     reorderLayers(newOrder) {
-        this.layerOrder = newOrder.filter(id => this.layers.has(id));
+        const order = newOrder.filter(id => this.layers.has(id));
+        const rest = this.getLayerData().map(layer => layer.id).filter(id => !order.includes(id));
+        
+        this.layerOrder = [...order, ...rest];
+        this.layerOrder.forEach((id, index) => {
+            this.layers.get(id).order = index;
+        });
+        this.canvasEngine.setLayerOrder(this.layerOrder);
         this.updateUI();
     }
     
+    // Move a layer up (-1) or down (+1) the list
+    moveLayer(layerId, offset) {
+        const order = this.getLayerData().map(layer => layer.id);
+        const index = order.indexOf(layerId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= order.length) return;
+        
+        order.splice(index, 1);
+        order.splice(target, 0, layerId);
+        this.callbacks.onLayerReorder?.(order);
+    }
+    
     updateUI() {
         if (!this.layersContainer) return;
         
         // Clear existing items
         this.layersContainer.innerHTML = '';
         
-        // Sort layers by order
-        const sortedLayers = this.layerOrder
-            .map(id => this.layers.get(id))
-            .filter(layer => layer)
-            .sort((a, b) => a.order - b.order);
-        
         // Create layer items
-        sortedLayers.forEach(layer => {
+        this.getLayerData().forEach(layer => {
             const layerElement = this.createLayerElement(layer);
             this.layersContainer.appendChild(layerElement);
         });
@@ -157,18 +250,28 @@ class LayerManager {
     
     createLayerElement(layer) {
         const layerItem = document.createElement('div');
-        layerItem.className = `layer-item ${!layer.visible ? 'disabled' : ''}`;
+        layerItem.className = `layer-item ${!layer.visible ? 'disabled' : ''} ${layer.dimmed ? 'dimmed' : ''}`;
         layerItem.dataset.layerId = layer.id;
+        layerItem.draggable = true;
         
         layerItem.innerHTML = `
+            <span class="layer-drag-handle" title="Drag to reorder">
+                <i class="fas fa-grip-vertical"></i>
+            </span>
             <div class="layer-info">
-                <div class="layer-color" style="background-color: ${layer.color}"></div>
+                <div class="layer-color" style="background-color: ${Utils.escapeHtml(layer.color)}"></div>
                 <div class="layer-details">
-                    <div class="layer-name">${layer.name}</div>
+                    <div class="layer-name">${Utils.escapeHtml(layer.name)}</div>
                     <div class="layer-count">${layer.nodeCount} nodes</div>
                 </div>
             </div>
             <div class="layer-controls">
+                <button class="layer-edit-btn" title="Edit layer">
+                    <i class="fas fa-pen"></i>
+                </button>
+                <button class="layer-dim-btn ${layer.dimmed ? 'active' : ''}" title="${layer.dimmed ? 'Undim layer' : 'Dim layer'}">
+                    <i class="fas fa-adjust"></i>
+                </button>
                 <label class="toggle">
                     <input type="checkbox" ${layer.visible ? 'checked' : ''}>
                     <span class="toggle-slider"></span>
@@ -183,6 +286,18 @@ class LayerManager {
             this.toggleLayer(layer.id);
         });
         
+        const dimButton = layerItem.querySelector('.layer-dim-btn');
+        dimButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleDim(layer.id);
+        });
+        
+        const editButton = layerItem.querySelector('.layer-edit-btn');
+        editButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showLayerForm(layer);
+        });
+        
         // Layer info click for details
         const layerInfo = layerItem.querySelector('.layer-info');
         layerInfo.addEventListener('click', () => {
@@ -203,6 +318,14 @@ class LayerManager {
         
         // Update visibility state
         layerElement.classList.toggle('disabled', !layer.visible);
+        layerElement.classList.toggle('dimmed', layer.dimmed);
+        
+        // Update dim button
+        const dimButton = layerElement.querySelector('.layer-dim-btn');
+        if (dimButton) {
+            dimButton.classList.toggle('active', layer.dimmed);
+            dimButton.title = layer.dimmed ? 'Undim layer' : 'Dim layer';
+        }
         
         // Update toggle
         const toggle = layerElement.querySelector('input[type="checkbox"]');
@@ -221,13 +344,16 @@ class LayerManager {
     }
     
     showLayerDetails(layer) {
+        const escape = Utils.escapeHtml;
+        const index = this.getLayerData().indexOf(layer);
+        
         // Create modal content for layer details
         const modalContent = `
             <div class="layer-details-modal">
                 <div class="layer-header">
-                    <div class="layer-color-large" style="background-color: ${layer.color}"></div>
+                    <div class="layer-color-large" style="background-color: ${escape(layer.color)}"></div>
                     <div class="layer-title">
-                        <h4>${layer.name}</h4>
+                        <h4>${escape(layer.name)}</h4>
                         <p class="layer-subtitle">${layer.nodeCount} nodes</p>
                     </div>
                 </div>
@@ -235,7 +361,7 @@ class LayerManager {
                 ${layer.description ? `
                     <div class="layer-description">
                         <h5>Description</h5>
-                        <p>${layer.description}</p>
+                        <p>${escape(layer.description)}</p>
                     </div>
                 ` : ''}
                 
@@ -243,26 +369,41 @@ class LayerManager {
                     <button class="btn layer-action-btn" data-action="toggle">
                         ${layer.visible ? 'Hide Layer' : 'Show Layer'}
                     </button>
+                    <button class="btn layer-action-btn" data-action="dim">
+                        ${layer.dimmed ? 'Undim Layer' : 'Dim Layer'}
+                    </button>
                     <button class="btn layer-action-btn" data-action="focus">
                         Focus Layer
                     </button>
                     <button class="btn layer-action-btn" data-action="export">
                         Export Layer
                     </button>
+                    <button class="btn layer-action-btn" data-action="edit">
+                        Edit Layer
+                    </button>
+                    <button class="btn layer-action-btn" data-action="move-up" ${index <= 0 ? 'disabled' : ''}>
+                        Move Up
+                    </button>
+                    <button class="btn layer-action-btn" data-action="move-down" ${index === this.layers.size - 1 ? 'disabled' : ''}>
+                        Move Down
+                    </button>
+                    <button class="btn btn-danger layer-action-btn" data-action="delete">
+                        Delete Layer
+                    </button>
                 </div>
                 
                 <div class="layer-stats">
                     <div class="stat-item">
                         <span class="stat-label">Visibility:</span>
-                        <span class="stat-value">${layer.visible ? 'Visible' : 'Hidden'}</span>
+                        <span class="stat-value">${!layer.visible ? 'Hidden' : layer.dimmed ? 'Dimmed' : 'Visible'}</span>
                     </div>
                     <div class="stat-item">
                         <span class="stat-label">Color:</span>
-                        <span class="stat-value" style="color: ${layer.color}">${layer.color}</span>
+                        <span class="stat-value" style="color: ${escape(layer.color)}">${escape(layer.color)}</span>
                     </div>
                     <div class="stat-item">
                         <span class="stat-label">Order:</span>
-                        <span class="stat-value">${layer.order}</span>
+                        <span class="stat-value">${index + 1} of ${this.layers.size}</span>
                     </div>
                 </div>
             </div>
@@ -270,16 +411,152 @@ class LayerManager {
         
         this.showModal('Layer Details: ' + layer.name, modalContent);
         
-        // Bind action buttons
+        // Bind action buttons; edit and delete open a modal of their own
         document.querySelectorAll('.layer-action-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const action = e.target.dataset.action;
-                this.handleLayerAction(layer.id, action);
                 this.closeModal();
+                this.handleLayerAction(layer.id, action);
             });
         });
     }
     
+    /**
+     * Name, color and description form, for a new layer or for an existing one
+     */
+    showLayerForm(layer = null) {
+        const escape = Utils.escapeHtml;
+        const modalContent = `
+            <form class="layer-form">
+                <div class="form-group">
+                    <label for="layer-form-name">Name</label>
+                    <input type="text" id="layer-form-name" class="form-control" required placeholder="e.g. Data Layer" value="${escape(layer?.name || '')}">
+                </div>
+                
+                <div class="form-group">
+                    <label for="layer-form-color">Color</label>
+                    <input type="color" id="layer-form-color" class="layer-color-input" value="${escape(layer?.color || this.getNextColor())}">
+                </div>
+                
+                <div class="form-group">
+                    <label for="layer-form-description">Description</label>
+                    <textarea id="layer-form-description" class="form-control" rows="3" placeholder="What belongs in this layer...">${escape(layer?.description || '')}</textarea>
+                </div>
+                
+                <div class="form-actions">
+                    ${layer ? `
+                        <button type="button" class="btn btn-danger layer-form-delete">
+                            <i class="fas fa-trash"></i> Delete Layer
+                        </button>
+                    ` : ''}
+                    <div class="form-actions-right">
+                        <button type="button" class="btn btn-secondary layer-form-cancel">Cancel</button>
+                        <button type="submit" class="btn btn-primary">${layer ? 'Update Layer' : 'Add Layer'}</button>
+                    </div>
+                </div>
+            </form>
+        `;
+        
+        this.showModal(layer ? `Edit Layer: ${layer.name}` : 'Add Layer', modalContent);
+        
+        const form = document.querySelector('.layer-form');
+        const nameInput = form.querySelector('#layer-form-name');
+        nameInput.focus();
+        
+        form.querySelector('.layer-form-cancel').addEventListener('click', () => this.closeModal());
+        form.querySelector('.layer-form-delete')?.addEventListener('click', () => this.showDeleteLayerDialog(layer));
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            const values = {
+                name: nameInput.value.trim(),
+                color: form.querySelector('#layer-form-color').value,
+                description: form.querySelector('#layer-form-description').value.trim()
+            };
+            if (!values.name) {
+                nameInput.focus();
+                return;
+            }
+            
+            this.closeModal();
+            if (layer) {
+                this.callbacks.onLayerEdit?.(layer.id, values);
+            } else {
+                this.callbacks.onLayerCreate?.(values);
+            }
+        });
+    }
+    
+    /**
+     * Confirm deleting a layer, choosing whether its nodes move to another layer or are deleted
+     */
+    showDeleteLayerDialog(layer) {
+        const escape = Utils.escapeHtml;
+        const others = this.getLayerData().filter(other => other.id !== layer.id);
+        
+        // Every node needs a layer, so the last one stays
+        if (others.length === 0) {
+            this.showModal(`Delete Layer: ${layer.name}`, `
+                <p class="layer-delete-message">
+                    <strong>${escape(layer.name)}</strong> is the only layer. Add another layer before deleting it.
+                </p>
+            `);
+            return;
+        }
+        
+        const count = layer.nodeCount;
+        const modalContent = `
+            <form class="layer-delete-form">
+                <p class="layer-delete-message">
+                    Delete <strong>${escape(layer.name)}</strong>?
+                    ${count > 0 ? `It holds ${count} node${count === 1 ? '' : 's'}.` : 'It holds no nodes.'}
+                </p>
+                
+                ${count > 0 ? `
+                    <label class="layer-delete-option">
+                        <input type="radio" name="layer-delete-nodes" value="move" checked>
+                        Move its nodes to
+                        <select class="form-control layer-delete-target">
+                            ${others.map(other => `<option value="${escape(other.id)}">${escape(other.name)}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label class="layer-delete-option">
+                        <input type="radio" name="layer-delete-nodes" value="delete">
+                        Delete its nodes and their connections
+                    </label>
+                ` : ''}
+                
+                <div class="form-actions">
+                    <div class="form-actions-right">
+                        <button type="button" class="btn btn-secondary layer-form-cancel">Cancel</button>
+                        <button type="submit" class="btn btn-danger">Delete Layer</button>
+                    </div>
+                </div>
+            </form>
+        `;
+        
+        this.showModal(`Delete Layer: ${layer.name}`, modalContent);
+        
+        const form = document.querySelector('.layer-delete-form');
+        const target = form.querySelector('.layer-delete-target');
+        
+        form.querySelector('.layer-form-cancel').addEventListener('click', () => this.closeModal());
+        
+        // Picking a target layer means moving the nodes there
+        target?.addEventListener('change', () => {
+            form.querySelector('input[value="move"]').checked = true;
+        });
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            const moveNodes = count > 0 && form.querySelector('input[value="move"]').checked;
+            this.closeModal();
+            this.callbacks.onLayerDelete?.(layer.id, moveNodes ? target.value : null);
+        });
+    }
+    
     handleLayerAction(layerId, action) {
         const layer = this.layers.get(layerId);
         if (!layer) return;
@@ -289,6 +566,10 @@ class LayerManager {
                 this.toggleLayer(layerId);
                 break;
                 
+            case 'dim':
+                this.toggleDim(layerId);
+                break;
+                
             case 'focus':
                 this.focusLayer(layerId);
                 break;
@@ -296,19 +577,97 @@ class LayerManager {
             case 'export':
                 this.exportLayer(layerId);
                 break;
+                
+            case 'edit':
+                this.showLayerForm(layer);
+                break;
+                
+            case 'move-up':
+                this.moveLayer(layerId, -1);
+                break;
+                
+            case 'move-down':
+                this.moveLayer(layerId, 1);
+                break;
+                
+            case 'delete':
+                this.showDeleteLayerDialog(layer);
+                break;
         }
     }
     
-    focusLayer(layerId) {
-        // Hide all other layers
-        for (const [id, layer] of this.layers) {
-            if (id !== layerId && layer.visible) {
-                this.setLayerVisibility(id, false);
-            }
+    // Drag and drop in the layer list
+    handleLayerDragStart(e) {
+        const item = e.target.closest?.('.layer-item');
+        if (!item) return;
+        
+        this.dragLayerId = item.dataset.layerId;
+        item.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', this.dragLayerId);
+    }
+    
+    // The item under the pointer, and whether the dragged layer would land after it
+    getLayerDropTarget(e) {
+        const item = e.target.closest?.('.layer-item');
+        if (!item || !this.dragLayerId) return null;
+        
+        const rect = item.getBoundingClientRect();
+        return { item, layerId: item.dataset.layerId, after: e.clientY > rect.top + rect.height / 2 };
+    }
+    
+    handleLayerDragOver(e) {
+        const target = this.getLayerDropTarget(e);
+        if (!target) return;
+        
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        this.clearLayerDropIndicator();
+        if (target.layerId !== this.dragLayerId) {
+            target.item.classList.add(target.after ? 'drop-after' : 'drop-before');
         }
+    }
+    
+    handleLayerDrop(e) {
+        const target = this.getLayerDropTarget(e);
+        const draggedId = this.dragLayerId;
+        this.endLayerDrag();
+        if (!target || target.layerId === draggedId) return;
         
-        // Show the target layer
-        this.setLayerVisibility(layerId, true);
+        e.preventDefault();
+        const current = this.getLayerData().map(layer => layer.id);
+        const order = current.filter(id => id !== draggedId);
+        order.splice(order.indexOf(target.layerId) + (target.after ? 1 : 0), 0, draggedId);
+        
+        if (order.join('\n') !== current.join('\n')) {
+            this.callbacks.onLayerReorder?.(order);
+        }
+    }
+    
+    clearLayerDropIndicator() {
+        this.layersContainer?.querySelectorAll('.drop-before, .drop-after').forEach(item => {
+            item.classList.remove('drop-before', 'drop-after');
+        });
+    }
+    
+    endLayerDrag() {
+        this.dragLayerId = null;
+        this.clearLayerDropIndicator();
+        this.layersContainer?.querySelector('.dragging')?.classList.remove('dragging');
+    }
+    
+    focusLayer(layerId) {
+        this.runBatch(`Focus Layer: ${this.getLayerName(layerId)}`, () => {
+            // Hide all other layers
+            for (const [id, layer] of this.layers) {
+                if (id !== layerId && layer.visible) {
+                    this.setLayerVisibility(id, false);
+                }
+            }
+            
+            // Show the target layer
+            this.setLayerVisibility(layerId, true);
+        });
         
         // Fit to screen
         setTimeout(() => {
@@ -413,11 +772,17 @@ class LayerManager {
     }
     
     // Data management
+    // Layers in list order, top first
     getLayerData() {
-        return Array.from(this.layers.values());
+        return this.layerOrder
+            .map(id => this.layers.get(id))
+            .filter(layer => layer)
+            .sort((a, b) => a.order - b.order);
     }
     
     setLayerData(layersData) {
+        // The canvas engine drops the old layers too
+        this.layers.forEach((layer, layerId) => this.canvasEngine.removeLayer(layerId));
         this.layers.clear();
         this.layerOrder = [];
         
@@ -445,6 +810,27 @@ class LayerManager {
         this.callbacks.onLayerUpdate = callback;
     }
     
+    onBatch(callback) {
+        this.callbacks.onBatch = callback;
+    }
+    
+    // Layer edits made in the UI are passed on rather than applied, so they can be recorded for undo
+    onLayerCreate(callback) {
+        this.callbacks.onLayerCreate = callback;
+    }
+    
+    onLayerEdit(callback) {
+        this.callbacks.onLayerEdit = callback;
+    }
+    
+    onLayerReorder(callback) {
+        this.callbacks.onLayerReorder = callback;
+    }
+    
+    onLayerDelete(callback) {
+        this.callbacks.onLayerDelete = callback;
+    }
+    
     // Utility methods
     getLayerColor(layerId) {
         const layer = this.layers.get(layerId);
@@ -548,6 +934,7 @@ const layerModalStyles = `
 
 .layer-actions {
     display: flex;
+    flex-wrap: wrap;
     gap: 0.5rem;
     margin-bottom: 1.5rem;
 }
@@ -581,6 +968,42 @@ const layerModalStyles = `
     font-weight: 600;
     color: var(--text-primary);
 }
+
+.layer-form,
+.layer-delete-form {
+    display: flex;
+    flex-direction: column;
+    gap: 1.25rem;
+    max-width: 500px;
+}
+
+.layer-color-input {
+    width: 4rem;
+    height: 2.5rem;
+    padding: 0.125rem;
+    border: 1px solid var(--border-color);
+    border-radius: 0.375rem;
+    background-color: var(--background-color);
+    cursor: pointer;
+}
+
+.layer-delete-message {
+    margin: 0;
+    color: var(--text-primary);
+    line-height: 1.5;
+}
+
+.layer-delete-option {
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+    font-weight: normal;
+}
+
+.layer-delete-option .form-control {
+    flex: 1;
+    padding: 0.4rem 0.5rem;
+}
 </style>
 `;
 
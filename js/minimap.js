@@ -0,0 +1,280 @@
+/**
+ * Minimap for Architecture Flow Visualizer
+ * Scaled-down overview of the whole diagram with a draggable viewport frame
+ */
+
+class Minimap {
+    constructor(canvasEngine, container, options = {}) {
+        this.canvasEngine = canvasEngine;
+        this.options = {
+            width: 200,
+            height: 140,
+            padding: 8,
+            ...options
+        };
+
+        this.visible = true;
+        this.lastDrawKey = null;
+        this.transform = null; // { scale, offsetX, offsetY } mapping world to minimap pixels
+        this.drag = null;      // { offset } while the viewport frame is being dragged
+
+        this.createCanvas(container);
+        this.bindEvents();
+        this.update();
+    }
+
+    createCanvas(container) {
+        const pixelRatio = Utils.getPixelRatio();
+        const { width, height } = this.options;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'minimap';
+        this.canvas.width = width * pixelRatio;
+        this.canvas.height = height * pixelRatio;
+        this.canvas.style.width = width + 'px';
+        this.canvas.style.height = height + 'px';
+        this.canvas.title = 'Drag to pan, scroll to zoom';
+
+        this.ctx = this.canvas.getContext('2d');
+        this.ctx.scale(pixelRatio, pixelRatio);
+
+        container.appendChild(this.canvas);
+    }
+
+    bindEvents() {
+        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        this.canvas.addEventListener('wheel', this.handleWheel.bind(this));
+
+        // Keep tracking the drag when the pointer leaves the minimap
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        window.addEventListener('mousemove', this.handleMouseMove);
+        window.addEventListener('mouseup', this.handleMouseUp);
+    }
+
+    handleMouseDown(e) {
+        e.preventDefault();
+        if (!this.transform) return;
+
+        const worldPos = this.toWorld(this.getMousePosition(e));
+        const viewRect = this.canvasEngine.getVisibleWorldRect(0);
+        const center = {
+            x: viewRect.x + viewRect.width / 2,
+            y: viewRect.y + viewRect.height / 2
+        };
+
+        // Grabbing the frame keeps the grab point under the cursor; clicking elsewhere jumps there
+        const offset = Utils.pointInRect(worldPos, viewRect) ?
+            { x: worldPos.x - center.x, y: worldPos.y - center.y } :
+            { x: 0, y: 0 };
+
+        this.drag = { offset };
+        this.canvas.classList.add('dragging');
+        this.panTo({ x: worldPos.x - offset.x, y: worldPos.y - offset.y });
+    }
+
+    handleMouseMove(e) {
+        if (!this.drag) return;
+
+        const worldPos = this.toWorld(this.getMousePosition(e));
+        this.panTo({ x: worldPos.x - this.drag.offset.x, y: worldPos.y - this.drag.offset.y });
+    }
+
+    handleMouseUp() {
+        if (!this.drag) return;
+
+        this.drag = null;
+        this.canvas.classList.remove('dragging');
+
+        // The scale is frozen while dragging; refit now that the view has settled
+        this.lastDrawKey = null;
+        this.update();
+    }
+
+    handleWheel(e) {
+        e.preventDefault();
+
+        const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
+        this.canvasEngine.setZoom(this.canvasEngine.viewport.zoom * zoomFactor);
+    }
+
+    getMousePosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: e.clientX - rect.left,
+            y: e.clientY - rect.top
+        };
+    }
+
+    // Center the main view on a world position
+    panTo(worldPos) {
+        const engine = this.canvasEngine;
+        engine.viewport.x = engine.canvas.clientWidth / 2 - worldPos.x * engine.viewport.zoom;
+        engine.viewport.y = engine.canvas.clientHeight / 2 - worldPos.y * engine.viewport.zoom;
+        engine.render();
+    }
+
+    toWorld(point) {
+        const { scale, offsetX, offsetY } = this.transform;
+        return {
+            x: (point.x - offsetX) / scale,
+            y: (point.y - offsetY) / scale
+        };
+    }
+
+    toMinimap(point) {
+        const { scale, offsetX, offsetY } = this.transform;
+        return {
+            x: point.x * scale + offsetX,
+            y: point.y * scale + offsetY
+        };
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.canvas.style.display = visible ? '' : 'none';
+
+        if (visible) {
+            this.lastDrawKey = null;
+            this.update();
+        }
+    }
+
+    /**
+     * Redraw if the diagram or the viewport changed since the last draw.
+     * Cheap enough to call after every main canvas render.
+     */
+    update() {
+        if (!this.visible) return;
+
+        const engine = this.canvasEngine;
+        const { x, y, zoom } = engine.viewport;
+        const key = [
+            engine.sceneVersion, x, y, zoom,
+            engine.canvas.clientWidth, engine.canvas.clientHeight,
+            engine.canvasBackground
+        ].join('|');
+
+        if (key === this.lastDrawKey) return;
+        this.lastDrawKey = key;
+
+        this.draw();
+    }
+
+    draw() {
+        const engine = this.canvasEngine;
+        const { width, height } = this.options;
+        const viewRect = engine.getVisibleWorldRect(0);
+        const nodes = Array.from(engine.nodes.values())
+            .filter(node => engine.getNodeOpacity(node) > 0 && !engine.isNodeHidden(node));
+
+        if (!this.drag) {
+            this.fitTransform(nodes, viewRect);
+        }
+
+        const style = getComputedStyle(document.documentElement);
+        const surfaceColor = style.getPropertyValue('--surface-color').trim() || '#f8fafc';
+        const mutedColor = style.getPropertyValue('--text-secondary').trim() || '#64748b';
+        const primaryColor = style.getPropertyValue('--primary-color').trim() || '#3b82f6';
+
+        this.ctx.save();
+        this.ctx.clearRect(0, 0, width, height);
+        this.ctx.fillStyle = surfaceColor;
+        this.ctx.fillRect(0, 0, width, height);
+
+        // Connections as hairlines between node centres
+        this.ctx.strokeStyle = mutedColor;
+        this.ctx.lineWidth = 0.5;
+        engine.connections.forEach(connection => {
+            if (!engine.isConnectionShown(connection)) return;
+
+            const { fromNode, toNode } = engine.getConnectionNodes(connection);
+
+            const opacity = engine.getConnectionOpacity(fromNode, toNode);
+            if (opacity <= 0) return;
+
+            const from = this.toMinimap(fromNode);
+            const to = this.toMinimap(toNode);
+            this.ctx.globalAlpha = opacity * 0.6;
+            this.ctx.beginPath();
+            this.ctx.moveTo(from.x, from.y);
+            this.ctx.lineTo(to.x, to.y);
+            this.ctx.stroke();
+        });
+
+        // Nodes in their layer colour, at least a pixel across so small diagrams stay visible;
+        // expanded containers only as an outline so their children show through
+        nodes.forEach(node => {
+            const bounds = engine.getNodeBounds(node);
+            const topLeft = this.toMinimap(bounds);
+            const layer = engine.layers.get(node.layer);
+
+            this.ctx.globalAlpha = engine.getNodeOpacity(node);
+            if (engine.isExpandedContainer(node)) {
+                this.ctx.strokeStyle = layer?.color || '#3b82f6';
+                this.ctx.lineWidth = 1;
+                this.ctx.strokeRect(topLeft.x, topLeft.y, bounds.width * this.transform.scale, bounds.height * this.transform.scale);
+                return;
+            }
+
+            this.ctx.fillStyle = layer?.color || '#3b82f6';
+            this.ctx.fillRect(
+                topLeft.x,
+                topLeft.y,
+                Math.max(bounds.width * this.transform.scale, 1),
+                Math.max(bounds.height * this.transform.scale, 1)
+            );
+        });
+
+        // Current viewport
+        const frameTopLeft = this.toMinimap(viewRect);
+        const frameWidth = viewRect.width * this.transform.scale;
+        const frameHeight = viewRect.height * this.transform.scale;
+
+        this.ctx.globalAlpha = 1;
+        this.ctx.fillStyle = Utils.colorWithOpacity(primaryColor, 0.12);
+        this.ctx.fillRect(frameTopLeft.x, frameTopLeft.y, frameWidth, frameHeight);
+        this.ctx.strokeStyle = primaryColor;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.strokeRect(frameTopLeft.x, frameTopLeft.y, frameWidth, frameHeight);
+
+        this.ctx.restore();
+    }
+
+    // Scale the diagram and the current viewport to fit inside the minimap
+    fitTransform(nodes, viewRect) {
+        const { width, height, padding } = this.options;
+        let minX = viewRect.x;
+        let minY = viewRect.y;
+        let maxX = viewRect.x + viewRect.width;
+        let maxY = viewRect.y + viewRect.height;
+
+        nodes.forEach(node => {
+            const bounds = this.canvasEngine.getNodeBounds(node);
+            minX = Math.min(minX, bounds.x);
+            minY = Math.min(minY, bounds.y);
+            maxX = Math.max(maxX, bounds.x + bounds.width);
+            maxY = Math.max(maxY, bounds.y + bounds.height);
+        });
+
+        const scale = Math.min(
+            (width - padding * 2) / Math.max(maxX - minX, 1),
+            (height - padding * 2) / Math.max(maxY - minY, 1)
+        );
+
+        this.transform = {
+            scale,
+            offsetX: width / 2 - (minX + maxX) / 2 * scale,
+            offsetY: height / 2 - (minY + maxY) / 2 * scale
+        };
+    }
+
+    destroy() {
+        window.removeEventListener('mousemove', this.handleMouseMove);
+        window.removeEventListener('mouseup', this.handleMouseUp);
+        this.canvas.remove();
+    }
+}
+
+// Export for use in other modules
+window.Minimap = Minimap;
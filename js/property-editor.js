@@ -0,0 +1,329 @@
+/**
+ * Property Editor for Architecture Flow Visualizer
+ * Typed key/value rows for a node's custom properties (`node.data`), with per-node-type schemas
+ */
+
+class PropertyEditor {
+    constructor(container) {
+        this.container = container;
+        this.schema = [];   // Fields the current node type calls for, see getSchemas()
+
+        this.createElements();
+        this.bindEvents();
+    }
+
+    /**
+     * Fields each node type calls for. `required` fields must have a value;
+     * numbers may set `min`, `max` and `integer`.
+     */
+    static getSchemas() {
+        return {
+            database: [
+                { key: 'engine', type: 'string', required: true, placeholder: 'PostgreSQL' },
+                { key: 'version', type: 'string', required: true, placeholder: '15.4' },
+                { key: 'port', type: 'number', integer: true, min: 1, max: 65535 },
+                { key: 'replicated', type: 'boolean' }
+            ],
+            service: [
+                { key: 'language', type: 'string', placeholder: 'Go' },
+                { key: 'port', type: 'number', integer: true, min: 1, max: 65535 },
+                { key: 'replicas', type: 'number', integer: true, min: 0 },
+                { key: 'repository', type: 'url' }
+            ],
+            api: [
+                { key: 'baseUrl', type: 'url', required: true },
+                { key: 'version', type: 'string', placeholder: 'v1' },
+                { key: 'endpoints', type: 'list', placeholder: '/orders, /payments' }
+            ],
+            ui: [
+                { key: 'framework', type: 'string', placeholder: 'React' },
+                { key: 'url', type: 'url' }
+            ],
+            external: [
+                { key: 'vendor', type: 'string', required: true },
+                { key: 'documentation', type: 'url' }
+            ]
+        };
+    }
+
+    static getTypes() {
+        return { string: 'Text', number: 'Number', boolean: 'Yes/No', url: 'URL', list: 'List' };
+    }
+
+    // Editor type for a stored value; anything else (e.g. a nested object) is kept as it is
+    static inferType(value) {
+        if (typeof value === 'boolean') return 'boolean';
+        if (typeof value === 'number') return 'number';
+        if (Array.isArray(value) && value.every(item => typeof item !== 'object')) return 'list';
+        if (typeof value === 'string') return PropertyEditor.isUrl(value) ? 'url' : 'string';
+        return 'json';
+    }
+
+    static isUrl(value) {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * A stored value as text, e.g. for the node details view
+     */
+    static formatValue(value) {
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        if (Array.isArray(value) && PropertyEditor.inferType(value) === 'list') return value.join(', ');
+        return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+
+    createElements() {
+        this.rows = document.createElement('div');
+        this.rows.className = 'property-editor-rows';
+
+        this.addButton = document.createElement('button');
+        this.addButton.type = 'button';
+        this.addButton.className = 'btn btn-sm property-add';
+        this.addButton.innerHTML = '<i class="fas fa-plus"></i> Add Property';
+
+        this.container.innerHTML = '';
+        this.container.append(this.rows, this.addButton);
+    }
+
+    bindEvents() {
+        this.addButton.addEventListener('click', () => {
+            const row = this.createRow({ key: '', type: 'string', value: '' });
+            this.rows.appendChild(row);
+            row.querySelector('.property-key-input').focus();
+        });
+
+        this.rows.addEventListener('click', (e) => {
+            const remove = e.target.closest('.property-remove');
+            if (remove) {
+                remove.closest('.property-row').remove();
+            }
+        });
+
+        // Switching a custom row's type keeps what was typed where the new input can take it
+        this.rows.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('property-type-select')) return;
+
+            const row = e.target.closest('.property-row');
+            const { raw } = this.readRow(row);
+            row.dataset.type = e.target.value;
+            this.renderValueInput(row, typeof raw === 'boolean' ? '' : raw);
+            this.setRowError(row, '');
+        });
+
+        // Errors clear as soon as the row is edited
+        this.rows.addEventListener('input', (e) => {
+            const row = e.target.closest('.property-row');
+            if (row) {
+                this.setRowError(row, '');
+            }
+        });
+    }
+
+    /**
+     * Show a node's properties: the schema fields of its type first, then its other keys
+     */
+    load(data = {}, nodeType = '') {
+        this.schema = PropertyEditor.getSchemas()[nodeType] || [];
+        this.rows.innerHTML = '';
+
+        this.schema.forEach(field => {
+            const value = data[field.key];
+            this.rows.appendChild(this.createRow({
+                key: field.key,
+                type: field.type,
+                value: value === undefined ? '' : value,
+                field
+            }));
+        });
+
+        Object.entries(data).forEach(([key, value]) => {
+            if (this.schema.some(field => field.key === key)) return;
+            this.rows.appendChild(this.createRow({ key, type: PropertyEditor.inferType(value), value }));
+        });
+    }
+
+    /**
+     * Switch to another node type's schema, keeping the values entered so far
+     */
+    setNodeType(nodeType) {
+        const draft = {};
+        this.rows.querySelectorAll('.property-row').forEach(row => {
+            const { key, type, raw } = this.readRow(row);
+            if (!key || raw === '' || (raw === false && this.getRowField(row))) return;
+
+            // Values that don't parse yet carry over as text
+            const { value } = this.parseValue(type, raw, null);
+            draft[key] = value === undefined ? raw : value;
+        });
+        this.load(draft, nodeType);
+    }
+
+    createRow({ key, type, value, field = null }) {
+        const row = document.createElement('div');
+        row.className = 'property-row';
+        row.dataset.type = type;
+
+        // Schema keys are fixed; custom keys can be edited
+        let keyElement;
+        if (field) {
+            row.dataset.key = key;
+            keyElement = document.createElement('span');
+            keyElement.className = 'property-key-label';
+            keyElement.classList.toggle('required', !!field.required);
+            keyElement.textContent = key;
+        } else {
+            keyElement = document.createElement('input');
+            keyElement.type = 'text';
+            keyElement.className = 'form-control property-key-input';
+            keyElement.placeholder = 'Key';
+            keyElement.value = key;
+            keyElement.setAttribute('aria-label', 'Property key');
+        }
+
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'form-control property-type-select';
+        typeSelect.setAttribute('aria-label', 'Property type');
+        const types = type === 'json' ? { json: 'Object' } : PropertyEditor.getTypes();
+        Object.entries(types).forEach(([id, label]) => {
+            typeSelect.add(new Option(label, id, false, id === type));
+        });
+        typeSelect.disabled = !!field || type === 'json';
+
+        const valueField = document.createElement('div');
+        valueField.className = 'property-value-field';
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn btn-icon property-remove';
+        remove.title = 'Remove Property';
+        remove.innerHTML = '<i class="fas fa-times"></i>';
+        remove.hidden = !!field;
+
+        const error = document.createElement('div');
+        error.className = 'property-error';
+
+        row.append(keyElement, typeSelect, valueField, remove, error);
+        this.renderValueInput(row, value);
+        return row;
+    }
+
+    renderValueInput(row, value) {
+        const type = row.dataset.type;
+        const valueField = row.querySelector('.property-value-field');
+        const input = document.createElement('input');
+        input.className = 'property-value-input';
+        input.setAttribute('aria-label', 'Property value');
+
+        if (type === 'boolean') {
+            input.type = 'checkbox';
+            input.checked = value === true || value === 'true';
+        } else {
+            // Always text, so validate() sees what was typed and shows its own messages
+            input.className += ' form-control';
+            input.type = 'text';
+            input.inputMode = { number: this.getRowField(row)?.integer ? 'numeric' : 'decimal', url: 'url' }[type] || 'text';
+            input.value = type === 'list' && Array.isArray(value) ? value.join(', ') : (type === 'json' ? JSON.stringify(value) : value);
+            input.readOnly = type === 'json';
+            input.placeholder = this.getRowField(row)?.placeholder || { url: 'https://', list: 'Comma-separated values' }[type] || 'Value';
+        }
+
+        valueField.innerHTML = '';
+        valueField.appendChild(input);
+    }
+
+    // Schema field behind a row, or null for custom properties
+    getRowField(row) {
+        return row.dataset.key ? this.schema.find(field => field.key === row.dataset.key) || null : null;
+    }
+
+    // Key, type and the value as typed (checked state for booleans)
+    readRow(row) {
+        const keyInput = row.querySelector('.property-key-input');
+        const input = row.querySelector('.property-value-input');
+        return {
+            key: row.dataset.key || keyInput.value.trim(),
+            type: row.dataset.type,
+            raw: input.type === 'checkbox' ? input.checked : input.value.trim()
+        };
+    }
+
+    static parseList(raw) {
+        return raw.split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    /**
+     * Check every row and mark the ones in error. Returns { valid, data }, where data
+     * holds the typed values; empty optional values are left out.
+     */
+    validate() {
+        const data = {};
+        const keys = new Set();
+        let valid = true;
+
+        this.rows.querySelectorAll('.property-row').forEach(row => {
+            const { key, type, raw } = this.readRow(row);
+            const field = this.getRowField(row);
+            const { value, error } = this.parseValue(type, raw, field);
+
+            let message = error;
+            if (!key && (raw !== '' || type === 'boolean')) {
+                message = 'Enter a key';
+            } else if (key && keys.has(key)) {
+                message = `"${key}" is used twice`;
+            }
+
+            this.setRowError(row, message || '');
+            if (message) {
+                valid = false;
+                return;
+            }
+
+            if (key) {
+                keys.add(key);
+            }
+            // An unticked schema flag is left out rather than stored as false
+            if (key && value !== undefined && !(field && value === false)) {
+                data[key] = value;
+            }
+        });
+
+        return { valid, data };
+    }
+
+    // Typed value of a row, or undefined when it is empty and optional
+    parseValue(type, raw, field) {
+        if (type === 'boolean') return { value: raw };
+        if (raw === '') return field?.required ? { error: 'Required' } : { value: undefined };
+
+        switch (type) {
+            case 'number':
+                return Utils.parseNumberField(field, raw);
+
+            case 'url':
+                return PropertyEditor.isUrl(raw) ? { value: raw } : { error: 'Enter a full http(s) URL' };
+
+            case 'list': {
+                const value = PropertyEditor.parseList(raw);
+                return value.length > 0 || !field?.required ? { value } : { error: 'Required' };
+            }
+
+            case 'json':
+                return { value: JSON.parse(raw) };
+
+            default:
+                return { value: raw };
+        }
+    }
+
+    setRowError(row, message) {
+        row.classList.toggle('invalid', !!message);
+        row.querySelector('.property-error').textContent = message;
+    }
+}
+
+// Export for use in other modules
+window.PropertyEditor = PropertyEditor;
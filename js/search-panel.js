@@ -0,0 +1,360 @@
+/**
+ * Search Panel for Architecture Flow Visualizer
+ * Sidebar search over node labels, types, descriptions, code and connection labels; results are grouped by layer
+ */
+
+class SearchPanel {
+    constructor(canvasEngine, layerManager, input, list, options = {}) {
+        this.canvasEngine = canvasEngine;
+        this.layerManager = layerManager;
+        this.input = input;
+        this.list = list;
+        this.options = {
+            maxResults: 100,
+            ...options
+        };
+
+        this.query = '';
+        this.results = [];   // [{ kind, id, layerId, field, text, indices, score }] in display order
+        this.activeIndex = -1;
+        this.lastContentVersion = null;
+        this.lastResultsKey = '';
+        this.renderFrame = null;
+        this.callbacks = {
+            onResultFocus: null,
+            onResultOpen: null
+        };
+
+        this.bindEvents();
+        this.render();
+    }
+
+    bindEvents() {
+        this.input.addEventListener('input', () => this.search(this.input.value));
+        this.input.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('.search-result');
+            if (item) {
+                this.setActiveIndex(Number(item.dataset.index), true);
+            }
+        });
+
+        this.list.addEventListener('dblclick', (e) => {
+            const item = e.target.closest('.search-result');
+            if (item) {
+                this.open(Number(item.dataset.index));
+            }
+        });
+    }
+
+    handleKeyDown(e) {
+        const count = this.results.length;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (count > 0) {
+                    this.setActiveIndex((this.activeIndex + 1) % count, true);
+                }
+                break;
+
+            case 'ArrowUp':
+                e.preventDefault();
+                if (count > 0) {
+                    this.setActiveIndex(this.activeIndex <= 0 ? count - 1 : this.activeIndex - 1, true);
+                }
+                break;
+
+            case 'Enter':
+                e.preventDefault();
+                this.open(Math.max(this.activeIndex, 0));
+                break;
+
+            case 'Escape':
+                e.preventDefault();
+                e.stopPropagation();
+                this.clear();
+                this.input.blur();
+                break;
+        }
+    }
+
+    onResultFocus(callback) {
+        this.callbacks.onResultFocus = callback;
+    }
+
+    onResultOpen(callback) {
+        this.callbacks.onResultOpen = callback;
+    }
+
+    focusInput() {
+        this.input.focus();
+        this.input.select();
+    }
+
+    clear() {
+        this.input.value = '';
+        this.search('');
+    }
+
+    search(query) {
+        this.query = query.trim();
+        this.activeIndex = -1;
+        this.refresh();
+    }
+
+    // Redraw once on the next frame so new emphasis shows; updates before then share it
+    scheduleCanvasRender() {
+        if (this.renderFrame) return;
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.canvasEngine.render();
+        });
+    }
+
+    /**
+     * Re-run the current search if the diagram's content changed since the last one.
+     * Called after every main canvas render; moves don't change the content, so drags skip the search.
+     */
+    update() {
+        if (!this.query || this.canvasEngine.contentVersion === this.lastContentVersion) return;
+
+        // We're inside a canvas render here, so don't start another one
+        this.refresh({ render: false });
+    }
+
+    // Search again, keeping the active result when it still matches. Without `render`, the canvas
+    // is only redrawn (on the next frame) when the results changed
+    refresh({ render = true } = {}) {
+        const active = this.results[this.activeIndex];
+        this.lastContentVersion = this.canvasEngine.contentVersion;
+        this.results = this.query ? this.findMatches(this.query) : [];
+        this.activeIndex = active
+            ? this.results.findIndex(result => result.kind === active.kind && result.id === active.id)
+            : -1;
+
+        this.canvasEngine.setEmphasis(this.query ? {
+            nodes: new Set(this.results.filter(result => result.kind === 'node').map(result => result.id)),
+            connections: new Set(this.results.filter(result => result.kind === 'connection').map(result => result.id))
+        } : null);
+
+        const key = this.results.map(result => `${result.kind}:${result.id}:${result.field}:${result.text}`).join('|');
+        if (render) {
+            this.canvasEngine.render();
+        } else if (key !== this.lastResultsKey) {
+            this.scheduleCanvasRender();
+        }
+
+        // Only rebuild the list when it changes
+        if (key !== this.lastResultsKey || !this.query) {
+            this.lastResultsKey = key;
+            this.render();
+        } else {
+            this.setActiveIndex(this.activeIndex, false);
+        }
+    }
+
+    /**
+     * Every match in the visible layers, grouped by layer in layer order and best first within a layer
+     */
+    findMatches(query) {
+        const engine = this.canvasEngine;
+        const matchedLayers = new Set(this.layerManager.searchLayers(query).map(layer => layer.id));
+        const results = [];
+
+        engine.nodes.forEach(node => {
+            if (!engine.isNodeVisible(node)) return;
+
+            const match = this.matchNode(query, node, matchedLayers.has(node.layer));
+            if (match) {
+                results.push({ kind: 'node', id: node.id, layerId: node.layer, ...match });
+            }
+        });
+
+        engine.connections.forEach(connection => {
+            // Match what is drawn, which may be built from the connection's details
+            const label = ConnectionMetadata.formatLabel(connection);
+            const nodes = engine.getConnectionNodes(connection);
+            if (!label || !nodes) return;
+            if (!engine.isNodeVisible(nodes.fromNode) || !engine.isNodeVisible(nodes.toNode)) return;
+
+            const match = Utils.fuzzyMatch(query, label);
+            if (match) {
+                results.push({
+                    kind: 'connection',
+                    id: connection.id,
+                    layerId: nodes.fromNode.layer,
+                    field: 'connection',
+                    text: label,
+                    detail: `${nodes.fromNode.label} → ${nodes.toNode.label}`,
+                    ...match
+                });
+            }
+        });
+
+        const layerOrder = this.getLayerOrder();
+        const rank = layerId => layerOrder.has(layerId) ? layerOrder.get(layerId) : layerOrder.size;
+
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.options.maxResults)
+            .sort((a, b) => rank(a.layerId) - rank(b.layerId) || b.score - a.score);
+    }
+
+    // Best match among the node's fields, or null
+    matchNode(query, node, layerMatched) {
+        const candidates = [
+            this.matchField('label', node.label || node.id, Utils.fuzzyMatch(query, node.label || node.id), 20),
+            this.matchField('type', node.type, node.type && Utils.fuzzyMatch(query, node.type), 0),
+            this.matchText('description', query, node.description, -5),
+            this.matchText('code', query, node.code, -10)
+        ].filter(Boolean);
+
+        // Nodes of a layer whose name or description matches, ranked below direct matches
+        if (layerMatched) {
+            candidates.push({ field: 'layer', text: node.label || node.id, indices: [], score: -50 });
+        }
+
+        if (candidates.length === 0) return null;
+        return candidates.reduce((best, candidate) => candidate.score > best.score ? candidate : best);
+    }
+
+    matchField(field, text, match, bonus) {
+        return match ? { field, text, indices: match.indices, score: match.score + bonus } : null;
+    }
+
+    // Descriptions and code are too long for in-order character matching, so they need the query as a substring
+    matchText(field, query, text, bonus) {
+        if (!text) return null;
+
+        const line = text.split('\n').find(candidate => candidate.toLowerCase().includes(query.toLowerCase()));
+        if (!line) return null;
+
+        const snippet = line.trim();
+        const start = snippet.toLowerCase().indexOf(query.toLowerCase());
+        return {
+            field,
+            text: snippet,
+            indices: Array.from({ length: query.length }, (_, i) => start + i),
+            score: query.length * 6 + bonus
+        };
+    }
+
+    // layerId -> position, following the layer panel
+    getLayerOrder() {
+        const layers = this.layerManager.layerOrder
+            .map(id => this.layerManager.layers.get(id))
+            .filter(layer => layer)
+            .sort((a, b) => a.order - b.order);
+        return new Map(layers.map((layer, index) => [layer.id, index]));
+    }
+
+    render() {
+        this.list.innerHTML = '';
+        this.list.classList.toggle('active', this.query.length > 0);
+        if (!this.query) return;
+
+        if (this.results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'search-results-empty';
+            empty.textContent = 'No matching nodes or connections';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        let currentLayer;
+        this.results.forEach((result, index) => {
+            if (result.layerId !== currentLayer) {
+                currentLayer = result.layerId;
+                this.list.appendChild(this.createGroupHeader(result.layerId));
+            }
+            this.list.appendChild(this.createResultItem(result, index));
+        });
+    }
+
+    createGroupHeader(layerId) {
+        const layer = this.canvasEngine.layers.get(layerId);
+
+        const header = document.createElement('li');
+        header.className = 'search-results-group';
+
+        const swatch = document.createElement('span');
+        swatch.className = 'search-results-swatch';
+        swatch.style.backgroundColor = layer?.color || '#64748b';
+
+        const name = document.createElement('span');
+        name.textContent = layer?.name || layerId || 'No layer';
+
+        header.append(swatch, name);
+        return header;
+    }
+
+    createResultItem(result, index) {
+        const engine = this.canvasEngine;
+
+        const li = document.createElement('li');
+        li.className = 'search-result';
+        li.classList.toggle('active', index === this.activeIndex);
+        li.dataset.index = index;
+
+        const icon = document.createElement('i');
+        const text = document.createElement('div');
+        text.className = 'search-result-text';
+
+        const label = document.createElement('span');
+        label.className = 'search-result-label';
+
+        const detail = document.createElement('span');
+        detail.className = 'search-result-detail';
+
+        if (result.kind === 'connection') {
+            icon.className = 'fas fa-link';
+            Utils.appendHighlighted(label, result.text, result.indices);
+            detail.textContent = result.detail;
+        } else {
+            const node = engine.nodes.get(result.id);
+            icon.className = node.icon || 'fas fa-cube';
+
+            if (result.field === 'label') {
+                Utils.appendHighlighted(label, result.text, result.indices);
+                detail.textContent = node.type || 'Node';
+            } else if (result.field === 'layer') {
+                label.textContent = result.text;
+                detail.textContent = 'In matching layer';
+            } else {
+                // Type, description or code: show the matching text under the label
+                label.textContent = node.label || node.id;
+                detail.classList.add(`search-result-${result.field}`);
+                Utils.appendHighlighted(detail, result.text, result.indices);
+            }
+        }
+
+        text.append(label, detail);
+        li.append(icon, text);
+        return li;
+    }
+
+    setActiveIndex(index, focus) {
+        this.activeIndex = index;
+        this.list.querySelectorAll('.search-result').forEach(item => {
+            item.classList.toggle('active', Number(item.dataset.index) === index);
+        });
+
+        if (focus && this.results[index]) {
+            this.list.querySelector('.search-result.active')?.scrollIntoView?.({ block: 'nearest' });
+            this.callbacks.onResultFocus?.(this.results[index]);
+        }
+    }
+
+    open(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        this.setActiveIndex(index, true);
+        this.callbacks.onResultOpen?.(result);
+    }
+}
+
+// Export for use in other modules
+window.SearchPanel = SearchPanel;
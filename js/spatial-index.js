@@ -0,0 +1,218 @@
+/**
+ * Spatial Index for Architecture Flow Visualizer
+ * Quadtree over axis-aligned world rectangles, used for picking and viewport culling
+ */
+
+class SpatialIndex {
+    constructor(options = {}) {
+        this.options = {
+            maxItems: 8,   // Items per quad before it splits
+            maxDepth: 10,
+            ...options
+        };
+
+        this.entries = new Map(); // item -> { rect, quad, seq }
+        this.root = null;
+        this.nextSeq = 0;
+    }
+
+    /**
+     * Add an item with its bounding rectangle ({ x, y, width, height })
+     */
+    insert(item, rect) {
+        if (this.entries.has(item)) {
+            this.update(item, rect);
+            return;
+        }
+
+        const entry = { item, rect: { ...rect }, quad: null, seq: this.nextSeq++ };
+        this.entries.set(item, entry);
+
+        if (!this.root || !SpatialIndex.containsRect(this.root.bounds, rect)) {
+            this.rebuild();
+        } else {
+            this.insertEntry(this.root, entry);
+        }
+    }
+
+    /**
+     * Remove an item from the index
+     */
+    remove(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return false;
+
+        const quadItems = entry.quad.items;
+        quadItems.splice(quadItems.indexOf(entry), 1);
+        this.entries.delete(item);
+        return true;
+    }
+
+    /**
+     * Move an item to a new bounding rectangle, keeping its insertion order
+     */
+    update(item, rect) {
+        const entry = this.entries.get(item);
+        if (!entry) {
+            this.insert(item, rect);
+            return;
+        }
+
+        const quadItems = entry.quad.items;
+        quadItems.splice(quadItems.indexOf(entry), 1);
+        entry.rect = { ...rect };
+
+        if (!SpatialIndex.containsRect(this.root.bounds, rect)) {
+            this.rebuild();
+        } else {
+            this.insertEntry(this.root, entry);
+        }
+    }
+
+    /**
+     * Get the rectangle an item is indexed under
+     */
+    getBounds(item) {
+        const entry = this.entries.get(item);
+        return entry ? { ...entry.rect } : null;
+    }
+
+    has(item) {
+        return this.entries.has(item);
+    }
+
+    clear() {
+        this.entries.clear();
+        this.root = null;
+        this.nextSeq = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Get all items whose rectangle intersects the given rectangle, in insertion order
+     */
+    search(rect) {
+        const results = [];
+        if (this.root) {
+            this.collect(this.root, rect, results);
+        }
+        return results.sort((a, b) => a.seq - b.seq).map(entry => entry.item);
+    }
+
+    /**
+     * Get all items whose rectangle contains the given point, in insertion order
+     */
+    searchPoint(point) {
+        return this.search({ x: point.x, y: point.y, width: 0, height: 0 });
+    }
+
+    // Internal quadtree operations
+    rebuild() {
+        const entries = Array.from(this.entries.values());
+        if (entries.length === 0) {
+            this.root = null;
+            return;
+        }
+
+        // Grow the root to twice the content bounds so small moves don't force another rebuild
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        entries.forEach(({ rect }) => {
+            minX = Math.min(minX, rect.x);
+            minY = Math.min(minY, rect.y);
+            maxX = Math.max(maxX, rect.x + rect.width);
+            maxY = Math.max(maxY, rect.y + rect.height);
+        });
+
+        const size = Math.max(maxX - minX, maxY - minY, 1) * 2;
+        const centerX = (minX + maxX) / 2;
+        const centerY = (minY + maxY) / 2;
+
+        this.root = this.createQuad({
+            x: centerX - size / 2,
+            y: centerY - size / 2,
+            width: size,
+            height: size
+        }, 0);
+
+        entries.forEach(entry => this.insertEntry(this.root, entry));
+    }
+
+    createQuad(bounds, depth) {
+        return { bounds, depth, items: [], children: null };
+    }
+
+    insertEntry(quad, entry) {
+        if (quad.children) {
+            const child = quad.children.find(c => SpatialIndex.containsRect(c.bounds, entry.rect));
+            if (child) {
+                this.insertEntry(child, entry);
+                return;
+            }
+        }
+
+        // Items straddling a split line stay on the parent
+        quad.items.push(entry);
+        entry.quad = quad;
+
+        if (!quad.children && quad.items.length > this.options.maxItems && quad.depth < this.options.maxDepth) {
+            this.split(quad);
+        }
+    }
+
+    split(quad) {
+        const { x, y, width, height } = quad.bounds;
+        const halfWidth = width / 2;
+        const halfHeight = height / 2;
+
+        quad.children = [
+            this.createQuad({ x, y, width: halfWidth, height: halfHeight }, quad.depth + 1),
+            this.createQuad({ x: x + halfWidth, y, width: halfWidth, height: halfHeight }, quad.depth + 1),
+            this.createQuad({ x, y: y + halfHeight, width: halfWidth, height: halfHeight }, quad.depth + 1),
+            this.createQuad({ x: x + halfWidth, y: y + halfHeight, width: halfWidth, height: halfHeight }, quad.depth + 1)
+        ];
+
+        const items = quad.items;
+        quad.items = [];
+        items.forEach(entry => this.insertEntry(quad, entry));
+    }
+
+    collect(quad, rect, results) {
+        if (!SpatialIndex.intersects(quad.bounds, rect)) return;
+
+        quad.items.forEach(entry => {
+            if (SpatialIndex.intersects(entry.rect, rect)) {
+                results.push(entry);
+            }
+        });
+
+        if (quad.children) {
+            quad.children.forEach(child => this.collect(child, rect, results));
+        }
+    }
+
+    /**
+     * Check whether two rectangles overlap (touching edges count)
+     */
+    static intersects(a, b) {
+        return a.x <= b.x + b.width &&
+               a.x + a.width >= b.x &&
+               a.y <= b.y + b.height &&
+               a.y + a.height >= b.y;
+    }
+
+    /**
+     * Check whether rectangle inner lies fully inside rectangle outer
+     */
+    static containsRect(outer, inner) {
+        return inner.x >= outer.x &&
+               inner.y >= outer.y &&
+               inner.x + inner.width <= outer.x + outer.width &&
+               inner.y + inner.height <= outer.y + outer.height;
+    }
+}
+
+// Export for use in other modules
+window.SpatialIndex = SpatialIndex;
@@ -270,6 +270,120 @@ class Utils {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    /**
+     * Fuzzy-match a query against text: the query's characters must appear in order.
+     * Returns { score, indices } (higher for consecutive and word-start matches) or null.
+     */
+    static fuzzyMatch(query, text) {
+        const needle = query.toLowerCase().replace(/\s+/g, '');
+        const haystack = text.toLowerCase();
+        if (!needle) return { score: 0, indices: [] };
+
+        // Start of a word, or an uppercase letter after a lowercase one (camelCase)
+        const isWordStart = index => index === 0 ||
+            /[\s\-_:./()]/.test(text[index - 1]) ||
+            (text[index] !== haystack[index] && text[index - 1] === haystack[index - 1]);
+
+        // Take each character at its first occurrence, or at the next word start when there is one
+        const scan = (preferWordStart) => {
+            const indices = [];
+            let score = 0;
+            let from = 0;
+            for (const char of needle) {
+                let index = haystack.indexOf(char, from);
+                if (index === -1) return null;
+
+                if (preferWordStart && !isWordStart(index)) {
+                    for (let i = haystack.indexOf(char, index + 1); i !== -1; i = haystack.indexOf(char, i + 1)) {
+                        if (isWordStart(i)) {
+                            index = i;
+                            break;
+                        }
+                    }
+                }
+
+                score += 1;
+                if (indices.length > 0 && index === indices[indices.length - 1] + 1) score += 5;
+                if (isWordStart(index)) score += 8;
+
+                indices.push(index);
+                from = index + 1;
+            }
+
+            // Prefer matches that start early in shorter texts
+            score -= indices[0] * 0.5 + (haystack.length - needle.length) * 0.1;
+            return { score, indices };
+        };
+
+        const matches = [scan(false), scan(true)].filter(Boolean);
+        if (matches.length === 0) return null;
+        return matches.reduce((best, match) => match.score > best.score ? match : best);
+    }
+
+    /**
+     * Append text to an element, wrapping the characters at the given indices in <mark>
+     */
+    static appendHighlighted(container, text, indices) {
+        const matched = new Set(indices);
+        let run = '';
+        let runMatched = false;
+
+        const flush = () => {
+            if (!run) return;
+            const node = runMatched ? document.createElement('mark') : document.createTextNode(run);
+            if (runMatched) {
+                node.textContent = run;
+            }
+            container.appendChild(node);
+            run = '';
+        };
+
+        text.split('').forEach((char, index) => {
+            if (matched.has(index) !== runMatched) {
+                flush();
+                runMatched = matched.has(index);
+            }
+            run += char;
+        });
+        flush();
+    }
+
+    /**
+     * Escape text for use inside HTML markup
+     */
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Parse form text as a number, checking the field's optional `integer`, `min` and `max`.
+     * Returns { value } or { error } with a message to show next to the field.
+     */
+    static parseNumberField(field, raw) {
+        const value = Number(raw);
+        if (!Number.isFinite(value)) return { error: 'Enter a number' };
+        if (field?.integer && !Number.isInteger(value)) return { error: 'Enter a whole number' };
+        if (field?.min !== undefined && value < field.min) return { error: `Must be at least ${field.min}` };
+        if (field?.max !== undefined && value > field.max) return { error: `Must be at most ${field.max}` };
+        return { value };
+    }
+
+    /**
+     * Read text from the clipboard; resolves to null where the browser does not allow it
+     */
+    static async readClipboardText() {
+        try {
+            return await navigator.clipboard.readText();
+        } catch (err) {
+            return null;
+        }
+    }
+
     /**
      * Copy text to clipboard
      */